@@ -0,0 +1,198 @@
+/**
+ * Conversion benchmark
+ * Compares documents per second and peak memory of htmlToRicos with the
+ * lightweight DOM against the full JSDOM parser, on a generated corpus of
+ * blog-style documents or on a directory of .html files.
+ *
+ * Usage: node scripts/benchmark.js [--docs 300] [--rounds 2] [--dir fixtures/]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fork } = require('child_process');
+
+const PARSERS = ['lightweight', 'jsdom'];
+
+/**
+ * Read --name value arguments
+ * @param {Array} argv - Command line arguments
+ * @returns {Object} Argument names mapped to values
+ */
+function parseArguments(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+/**
+ * Create a seeded random number generator, so every run uses the same corpus
+ * @param {number} seed - The seed
+ * @returns {Function} A function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Stylesheets of the kind themes and exported documents have, with class,
+// descendant, child and sibling selectors, media rules and !important
+const STYLESHEETS = [
+  `body { color: #333333; font-size: 17px; line-height: 1.6 }
+  h2 { color: #1a4d80; font-size: 1.5em }
+  .lead { font-size: 1.2em; font-weight: bold }
+  .post p + p { text-indent: 2em }
+  .post > p:first-child { margin-top: 0 }
+  blockquote p, blockquote { font-style: italic; color: #666 }
+  td.note { background-color: #fff8dc }
+  @media print { body { color: black } }`,
+  `p.MsoNormal, li.MsoNormal, div.MsoNormal { margin: 0in; font-size: 11.0pt; font-family: "Calibri", sans-serif }
+  h2 { mso-style-link: "Heading 2 Char"; font-size: 13.0pt; color: #2F5496 }
+  span.highlight { background: yellow }
+  a:link, span.MsoHyperlink { color: #0563C1; text-decoration: underline }
+  ul li:nth-child(odd) { color: #444444 !important }
+  @page WordSection1 { size: 8.5in 11.0in }
+  @media screen and (min-width: 600px) { .lead { text-align: center } }`
+];
+
+/**
+ * Generate a corpus of blog-style documents mixing the content the converter
+ * handles: headings, styled paragraphs, lists, tables, images, quotes and
+ * code. Half of the documents style their content with a <style> block.
+ * @param {number} count - Number of documents
+ * @returns {Array} HTML documents
+ */
+function generateCorpus(count) {
+  const random = createRandom(42);
+  const pick = items => items[Math.floor(random() * items.length)];
+  const words = ['migration', 'content', 'wix', 'editor', 'paragraph', 'layout', 'image', 'table',
+    'style', 'list', 'quote', 'heading', 'color', 'link', 'section', 'post', 'blog', 'media'];
+  const sentence = () => Array.from({ length: 8 + Math.floor(random() * 12) }, () => pick(words)).join(' ');
+
+  const sections = [
+    () => `<h2>${sentence()}</h2>`,
+    () => `<p>${sentence()} <strong>${pick(words)}</strong> ${sentence()} <a href="https://example.com/${pick(words)}">${pick(words)}</a>.</p>`,
+    () => `<p style="text-align: center; color: #336699; font-size: 18px">${sentence()} <em>${sentence()}</em></p>`,
+    () => `<ul>${Array.from({ length: 3 + Math.floor(random() * 5) }, () => `<li>${sentence()}</li>`).join('')}</ul>`,
+    () => `<ol><li>${sentence()}<ul><li>${sentence()}</li></ul></li><li>${sentence()}</li></ol>`,
+    () => `<table><thead><tr><th>${pick(words)}</th><th>${pick(words)}</th></tr></thead><tbody>${
+      Array.from({ length: 4 }, () => `<tr><td>${sentence()}</td><td style="background-color: #eee">${pick(words)}</td></tr>`).join('')
+    }</tbody></table>`,
+    () => `<figure><img src="https://example.com/${pick(words)}.jpg" alt="${pick(words)}" width="640" height="360"><figcaption>${sentence()}</figcaption></figure>`,
+    () => `<blockquote>${sentence()}</blockquote>`,
+    () => `<pre><code class="language-js">const ${pick(words)} = require('${pick(words)}');\nconsole.log(${pick(words)});</code></pre>`,
+    () => `<div class="section"><h3>${sentence()}</h3><p>${sentence()}</p><p>${sentence()}</p></div>`,
+    () => `<p class="lead MsoNormal">${sentence()} <span class="highlight">${pick(words)}</span></p>`,
+    () => `<div class="post"><p>${sentence()}</p><p>${sentence()}</p><blockquote><p>${sentence()}</p></blockquote></div>`,
+    () => `<table><tr><td>${sentence()}</td><td class="note">${sentence()}</td></tr></table>`
+  ];
+
+  return Array.from({ length: count }, (_, index) => {
+    const body = Array.from({ length: 30 + Math.floor(random() * 30) }, () => pick(sections)()).join('\n');
+    const style = index % 2 === 1 ? `<style>${STYLESHEETS[(index >> 1) % STYLESHEETS.length]}</style>` : '';
+    return `<html><head><title>${sentence()}</title>${style}</head><body>${body}</body></html>`;
+  });
+}
+
+/**
+ * Load the corpus from a directory of .html files, or generate it
+ * @param {Object} args - Command line arguments
+ * @returns {Array} HTML documents
+ */
+function loadCorpus(args) {
+  if (args.dir) {
+    return fs.readdirSync(args.dir)
+      .filter(file => file.endsWith('.html'))
+      .map(file => fs.readFileSync(path.join(args.dir, file), 'utf8'));
+  }
+  return generateCorpus(parseInt(args.docs, 10) || 300);
+}
+
+/**
+ * Convert the corpus with one parser and report the results to the parent.
+ * The jsdom worker swaps the lightweight DOM for full JSDOM documents
+ * before the converter loads, so every parse of the conversion uses them.
+ * @param {string} parser - One of PARSERS
+ * @param {Object} args - Command line arguments
+ */
+function runWorker(parser, args) {
+  if (parser === 'jsdom') {
+    const { JSDOM } = require('jsdom');
+    require('../src/dom').parseDocument = html => new JSDOM(html).window.document;
+  }
+
+  const { htmlToRicos } = require('../src/converter');
+  const corpus = loadCorpus(args);
+  const rounds = parseInt(args.rounds, 10) || 2;
+
+  // Warm up before measuring
+  corpus.slice(0, 10).forEach(html => htmlToRicos(html));
+
+  const start = process.hrtime.bigint();
+  for (let round = 0; round < rounds; round++) {
+    corpus.forEach(html => htmlToRicos(html));
+  }
+  const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+  process.send({
+    parser,
+    documents: corpus.length * rounds,
+    bytes: corpus.reduce((total, html) => total + html.length, 0) * rounds,
+    seconds,
+    peakMemory: process.resourceUsage().maxRSS * 1024
+  });
+}
+
+/**
+ * Run each parser in its own process, so peak memory is measured separately
+ * @param {Object} args - Command line arguments
+ */
+async function runBenchmark(args) {
+  const workerArgs = process.argv.slice(2);
+  const results = [];
+
+  for (const parser of PARSERS) {
+    const result = await new Promise((resolve, reject) => {
+      const worker = fork(__filename, ['--worker', parser, ...workerArgs]);
+      worker.on('message', resolve);
+      worker.on('error', reject);
+      worker.on('exit', code => {
+        if (code !== 0) reject(new Error(`${parser} benchmark exited with code ${code}`));
+      });
+    });
+    results.push(result);
+  }
+
+  const corpusSize = (results[0].bytes / results[0].documents / 1024).toFixed(1);
+  console.log(`Corpus: ${results[0].documents} conversions, ${corpusSize} KB per document on average\n`);
+  console.log('parser        docs/sec   MB/sec   peak memory');
+
+  for (const result of results) {
+    console.log([
+      result.parser.padEnd(12),
+      (result.documents / result.seconds).toFixed(1).padStart(9),
+      (result.bytes / result.seconds / 1048576).toFixed(2).padStart(8),
+      `${(result.peakMemory / 1048576).toFixed(0)} MB`.padStart(13)
+    ].join(' '));
+  }
+}
+
+const args = parseArguments(process.argv.slice(2));
+
+if (args.worker) {
+  runWorker(args.worker, args);
+} else {
+  runBenchmark(args).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
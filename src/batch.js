@@ -0,0 +1,160 @@
+/**
+ * Batch conversion
+ * Converts many documents with bounded concurrency and reports success or
+ * failure per document, so one bad document does not fail the whole batch
+ */
+
+const readline = require('readline');
+const {
+  htmlToRicosAsync,
+  markdownToRicosAsync,
+  RicosValidationError
+} = require('./converter');
+
+// Documents converted at the same time when the request does not say
+const DEFAULT_CONCURRENCY = 4;
+
+// Upper bound for the requested concurrency
+const MAX_CONCURRENCY = 16;
+
+/**
+ * Clamp a requested concurrency to the supported range
+ * @param {*} value - The requested concurrency, e.g. from a query string
+ * @returns {number} The concurrency to use
+ */
+function normalizeConcurrency(value) {
+  const concurrency = parseInt(value, 10);
+  if (!Number.isFinite(concurrency) || concurrency < 1) {
+    return DEFAULT_CONCURRENCY;
+  }
+  return Math.min(concurrency, MAX_CONCURRENCY);
+}
+
+/**
+ * Wait until the event loop has handled pending I/O, such as other requests
+ * and results already written to the response. Conversion itself is
+ * synchronous, so a batch that never waits holds the event loop until it
+ * ends.
+ * @returns {Promise<void>} Resolves on the next turn of the event loop
+ */
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Convert a single batch item, catching its errors. The conversion starts
+ * on a later turn of the event loop.
+ * @param {Object} item - { id, html, markdown, format, options }, or an
+ *   item with a parseError for input lines that could not be read
+ * @returns {Promise<Object>} { id, success: true, ricos } or
+ *   { id, success: false, error: { message, errors? } }
+ */
+async function convertItem(item) {
+  const { id } = item;
+
+  try {
+    await yieldToEventLoop();
+
+    if (item.parseError) {
+      throw new Error(item.parseError);
+    }
+
+    const isMarkdown = item.markdown !== undefined || item.format === 'markdown';
+    const content = item.markdown !== undefined ? item.markdown : item.html;
+
+    if (!content) {
+      throw new Error('HTML content is required');
+    }
+
+    const ricos = isMarkdown
+      ? await markdownToRicosAsync(content, item.options)
+      : await htmlToRicosAsync(content, item.options);
+
+    return { id, success: true, ricos };
+  } catch (error) {
+    const result = { id, success: false, error: { message: error.message } };
+    if (error instanceof RicosValidationError) {
+      result.error.errors = error.errors;
+    }
+    return result;
+  }
+}
+
+/**
+ * Convert a batch of documents with bounded concurrency. Items without an id
+ * are identified by their position in the batch.
+ * @param {Iterable|AsyncIterable} items - Batch items, see convertItem
+ * @param {Object} [options] - Batch options
+ * @param {number} [options.concurrency] - Documents converted at the same time
+ * @param {AbortSignal} [options.signal] - Stops reading items once aborted;
+ *   items already started still finish
+ * @param {Function} [onResult] - Called with each result as it completes.
+ *   A returned promise keeps the item's slot until it settles, so a slow
+ *   consumer slows the batch down.
+ * @returns {Promise<Object>} { total, succeeded, failed } of the items read
+ */
+async function convertBatch(items, options = {}, onResult = () => {}) {
+  const concurrency = normalizeConcurrency(options.concurrency);
+  const running = new Set();
+  const summary = { total: 0, succeeded: 0, failed: 0 };
+
+  for await (const rawItem of items) {
+    if (options.signal?.aborted) break;
+
+    const index = summary.total;
+    summary.total += 1;
+
+    const item = rawItem && typeof rawItem === 'object'
+      ? { ...rawItem, id: rawItem.id !== undefined ? rawItem.id : index }
+      : { id: index, parseError: 'Batch items must be objects' };
+
+    const task = convertItem(item).then(result => {
+      summary[result.success ? 'succeeded' : 'failed'] += 1;
+      return onResult(result);
+    });
+
+    const release = () => running.delete(task);
+    running.add(task);
+    task.then(release, release);
+
+    // Wait for a free slot before reading the next item
+    if (running.size >= concurrency) {
+      await Promise.race(running);
+    }
+  }
+
+  await Promise.all(running);
+
+  return summary;
+}
+
+/**
+ * Read batch items from an NDJSON stream, one JSON object per line. Lines
+ * that are not valid JSON become items with a parseError, identified by
+ * their line number.
+ * @param {Readable} stream - The NDJSON input, e.g. an HTTP request
+ * @returns {AsyncGenerator<Object>} The batch items
+ */
+async function* parseNdjson(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber += 1;
+    if (!line.trim()) continue;
+
+    let item;
+    try {
+      item = JSON.parse(line);
+    } catch (error) {
+      item = { id: `line-${lineNumber}`, parseError: `Invalid JSON on line ${lineNumber}: ${error.message}` };
+    }
+
+    yield item;
+  }
+}
+
+module.exports = {
+  convertBatch,
+  parseNdjson
+};
@@ -0,0 +1,350 @@
+/**
+ * Editor cleanup
+ * Detects HTML pasted or exported from word processors and cleans it up
+ * before conversion: editor-only markup is removed, Word list paragraphs
+ * become real lists, and span styles are reduced to the formatting the
+ * converter maps to decorations
+ */
+
+const { splitTopLevel, parseDeclarations, lengthToPx } = require('./css');
+const { checkOptionValue } = require('./options');
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+// Declarations every preset drops: vertical margins are the editor's
+// paragraph spacing, which the spacing policy replaces, and fonts and page
+// breaks are left to the site
+const COMMON_JUNK_STYLES = [
+  /^margin-(top|bottom):/,
+  /^font-family:/,
+  /^page-break-/,
+  /^(orphans|widows):/
+];
+
+/**
+ * Cleanup presets by source. Each preset has:
+ *   - detect: a pattern the raw HTML of that source matches
+ *   - junkStyles: patterns of "property: value" declarations to drop
+ *   - clean(document): changes to the markup, run before styles are cleaned
+ */
+const PRESETS = {
+  'google-docs': {
+    detect: /\bid=["']?docs-internal-guid-/i,
+    // Google Docs writes every property on every span, defaults included.
+    // white-space stays: it keeps the spaces typed in the document.
+    junkStyles: [
+      /^font-variant:/,
+      /^line-height:/,
+      /^-webkit-/,
+      /^text-decoration-skip/,
+      /^vertical-align: baseline$/,
+      /^font-weight: (400|normal)$/,
+      /^font-style: normal$/,
+      /^text-decoration: none$/,
+      /^color: (#000000|rgb\(0, ?0, ?0\))$/,
+      /^background-color: transparent$/,
+      /^font-size: 11pt$/
+    ],
+    clean: cleanGoogleDocs
+  },
+  word: {
+    detect: /urn:schemas-microsoft-com:office:word|<meta[^>]+content=["']?Microsoft Word|class=["']?Mso|mso-[a-z-]+\s*:/i,
+    junkStyles: [
+      /^mso-/,
+      /^tab-stops:/,
+      /^text-autospace:/,
+      /^line-height:/
+    ],
+    clean: cleanWord
+  },
+  libreoffice: {
+    detect: /<meta[^>]+content=["']?(LibreOffice|OpenOffice)/i,
+    junkStyles: [
+      /^line-height:/,
+      /^background: transparent$/,
+      /^so-language:/
+    ],
+    clean: () => {}
+  }
+};
+
+// Supported values of the source option
+const SOURCES = ['auto', 'none', ...Object.keys(PRESETS)];
+
+/**
+ * Work out which cleanup preset applies to a document
+ * @param {string} html - The raw HTML
+ * @param {string} [source='auto'] - The source option: 'auto' to detect it,
+ *   'none' to skip cleanup, or a preset name
+ * @returns {string|null} The preset name, or null for no cleanup
+ * @throws {ConversionOptionsError} If the source is unknown
+ */
+function detectSource(html, source = 'auto') {
+  checkOptionValue('source', source, SOURCES);
+
+  if (source === 'none') return null;
+  if (source !== 'auto') return source;
+
+  return Object.keys(PRESETS).find(name => PRESETS[name].detect.test(html)) || null;
+}
+
+/**
+ * Replace an element with its children
+ * @param {Element} element - The element
+ */
+function unwrap(element) {
+  const parent = element.parentNode;
+  while (element.firstChild) {
+    parent.insertBefore(element.firstChild, element);
+  }
+  parent.removeChild(element);
+}
+
+/**
+ * Clean up Google Docs markup: the bold wrapper around the whole clipboard
+ * content and the trailing newline marker
+ * @param {Document} document - The parsed document
+ */
+function cleanGoogleDocs(document) {
+  for (const element of document.querySelectorAll('[id]')) {
+    if (element.getAttribute('id').startsWith('docs-internal-guid-')) {
+      unwrap(element);
+    }
+  }
+
+  for (const element of document.querySelectorAll('br.Apple-interchange-newline')) {
+    element.parentNode.removeChild(element);
+  }
+}
+
+// mso-list style of a Word list paragraph: list ID and nesting level
+const WORD_LIST_STYLE = /mso-list\s*:\s*(l\d+)\s+level(\d+)/i;
+
+// Markers of numbered list items, e.g. "1.", "a)" or "(iv)"
+const ORDERED_MARKER = /^\(?(\d+|[a-z]+)[.)]$/i;
+
+/**
+ * Get the list a Word list paragraph belongs to
+ * @param {Node} node - A node
+ * @returns {Object|null} { listId, level }, or null if the node is not a list
+ *   paragraph
+ */
+function getWordListInfo(node) {
+  if (node.nodeType !== ELEMENT_NODE || node.localName !== 'p') return null;
+
+  const match = (node.getAttribute('style') || '').match(WORD_LIST_STYLE);
+  return match ? { listId: match[1].toLowerCase(), level: parseInt(match[2], 10) } : null;
+}
+
+/**
+ * Remove the marker Word writes in front of a list paragraph's text
+ * @param {Element} paragraph - The list paragraph
+ * @returns {string} The marker text, e.g. "1." or "·", or '' if there is none
+ */
+function takeWordListMarker(paragraph) {
+  const marker = Array.from(paragraph.querySelectorAll('[style]'))
+    .find(element => /mso-list\s*:\s*ignore/i.test(element.getAttribute('style')));
+  if (!marker) return '';
+
+  marker.parentNode.removeChild(marker);
+  return marker.textContent.trim();
+}
+
+/**
+ * Create the list element for a list whose first item has a given marker
+ * @param {Document} document - The document
+ * @param {string} marker - The marker of the first item
+ * @returns {Element} An ol for numbered markers, a ul otherwise
+ */
+function createWordList(document, marker) {
+  const match = marker.match(ORDERED_MARKER);
+  if (!match) {
+    return document.createElement('ul');
+  }
+
+  const list = document.createElement('ol');
+  const numbering = match[1];
+
+  if (/^\d+$/.test(numbering)) {
+    if (parseInt(numbering, 10) !== 1) {
+      list.setAttribute('start', parseInt(numbering, 10));
+    }
+  } else if (/^[ivxlcdm]+$/i.test(numbering) && (numbering.length > 1 || /i/i.test(numbering))) {
+    list.setAttribute('type', numbering === numbering.toLowerCase() ? 'i' : 'I');
+  } else {
+    list.setAttribute('type', numbering === numbering.toLowerCase() ? 'a' : 'A');
+  }
+
+  return list;
+}
+
+/**
+ * Collect a list paragraph and the list paragraphs that directly follow it,
+ * skipping whitespace between them
+ * @param {Element} first - The first list paragraph
+ * @returns {Array} The paragraphs
+ */
+function collectWordListRun(first) {
+  const siblings = Array.from(first.parentNode.childNodes);
+  const run = [first];
+
+  for (let index = siblings.indexOf(first) + 1; index < siblings.length; index++) {
+    const node = siblings[index];
+    if (node.nodeType === TEXT_NODE && !node.data.trim()) continue;
+    if (node.nodeType !== ELEMENT_NODE && node.nodeType !== TEXT_NODE) continue;
+    if (!getWordListInfo(node)) break;
+    run.push(node);
+  }
+
+  return run;
+}
+
+/**
+ * Turn a run of Word list paragraphs into nested ul and ol elements. Each
+ * paragraph moves into a list item, without its marker and hanging indent.
+ * @param {Document} document - The document
+ * @param {Array} run - Consecutive list paragraphs
+ */
+function buildWordList(document, run) {
+  // Open lists, outermost first, as { listId, level, list }
+  const stack = [];
+
+  for (const paragraph of run) {
+    const { listId, level } = getWordListInfo(paragraph);
+    const marker = takeWordListMarker(paragraph);
+
+    while (stack.length > 0 && stack[stack.length - 1].level > level) {
+      stack.pop();
+    }
+
+    // A different list at the same level starts over
+    if (stack.length > 0 && stack[stack.length - 1].level === level && stack[stack.length - 1].listId !== listId) {
+      stack.pop();
+    }
+
+    if (stack.length === 0 || stack[stack.length - 1].level < level) {
+      const list = createWordList(document, marker);
+      const parent = stack[stack.length - 1];
+
+      if (parent) {
+        (parent.list.lastChild || parent.list).appendChild(list);
+      } else {
+        paragraph.parentNode.insertBefore(list, paragraph);
+      }
+      stack.push({ listId, level, list });
+    }
+
+    const item = document.createElement('li');
+    stack[stack.length - 1].list.appendChild(item);
+    item.appendChild(paragraph);
+
+    const style = parseDeclarations(paragraph.getAttribute('style'))
+      .filter(({ property }) => property !== 'text-indent' && property !== 'margin-left');
+    setDeclarations(paragraph, style);
+  }
+}
+
+/**
+ * Clean up Word markup: list paragraphs become lists
+ * @param {Document} document - The parsed document
+ */
+function cleanWord(document) {
+  const listed = new Set();
+
+  for (const paragraph of document.querySelectorAll('p')) {
+    if (listed.has(paragraph) || !getWordListInfo(paragraph)) continue;
+
+    const run = collectWordListRun(paragraph);
+    run.forEach(item => listed.add(item));
+    buildWordList(document, run);
+  }
+}
+
+/**
+ * Write declarations back to an element's style attribute
+ * @param {Element} element - The element
+ * @param {Array} declarations - Declarations as { property, value, important }
+ */
+function setDeclarations(element, declarations) {
+  if (declarations.length === 0) {
+    element.removeAttribute('style');
+    return;
+  }
+
+  element.setAttribute('style', declarations
+    .map(({ property, value, important }) => `${property}: ${value}${important ? ' !important' : ''}`)
+    .join('; '));
+}
+
+/**
+ * Drop the junk declarations of a preset from a style attribute value. The
+ * margin shorthand keeps only its left margin, which is indentation.
+ * @param {string} style - The style attribute value
+ * @param {Array} junkStyles - Patterns of declarations to drop
+ * @returns {Array} The remaining declarations
+ */
+function cleanDeclarations(style, junkStyles) {
+  return parseDeclarations(style).reduce((declarations, declaration) => {
+    if (declaration.property === 'margin') {
+      const values = splitTopLevel(declaration.value, /\s/);
+      const left = values[[0, 1, 1, 3][values.length - 1]];
+      if (lengthToPx(left)) {
+        declarations.push({ ...declaration, property: 'margin-left', value: left });
+      }
+      return declarations;
+    }
+
+    const text = `${declaration.property}: ${declaration.value.toLowerCase()}`;
+    if (!junkStyles.some(pattern => pattern.test(text))) {
+      declarations.push(declaration);
+    }
+    return declarations;
+  }, []);
+}
+
+/**
+ * Clean up a parsed document with the preset of its source
+ * @param {Document} document - The sanitized document, changed in place
+ * @param {string|null} source - The preset name from detectSource
+ */
+function cleanupDocument(document, source) {
+  const preset = PRESETS[source];
+  if (!preset) return;
+
+  preset.clean(document);
+
+  const junkStyles = [...COMMON_JUNK_STYLES, ...preset.junkStyles];
+  for (const element of document.querySelectorAll('[style]')) {
+    setDeclarations(element, cleanDeclarations(element.getAttribute('style'), junkStyles));
+  }
+}
+
+/**
+ * Clean up the base styles of a document with the preset of its source, so
+ * editor defaults do not end up in the documentStyle
+ * @param {Object} baseStyles - Tag names mapped to style attribute values
+ * @param {string|null} source - The preset name from detectSource
+ * @returns {Object} The cleaned base styles
+ */
+function cleanupBaseStyles(baseStyles, source) {
+  const preset = PRESETS[source];
+  if (!preset) return baseStyles;
+
+  const junkStyles = [...COMMON_JUNK_STYLES, ...preset.junkStyles];
+  const cleaned = {};
+  Object.entries(baseStyles).forEach(([tagName, style]) => {
+    const declarations = cleanDeclarations(style, junkStyles);
+    if (declarations.length > 0) {
+      cleaned[tagName] = declarations.map(({ property, value }) => `${property}: ${value}`).join('; ');
+    }
+  });
+  return cleaned;
+}
+
+module.exports = {
+  SOURCES,
+  detectSource,
+  cleanupDocument,
+  cleanupBaseStyles
+};
@@ -3,15 +3,56 @@
  * Converts HTML content to Wix Ricos format with proper styling and spacing
  */
 
+const { isDeepStrictEqual } = require('util');
 const sanitizeHtml = require('sanitize-html');
-const { v4: uuidv4 } = require('uuid');
-const { JSDOM } = require('jsdom');
+const { ricosToHtml } = require('./ricosToHtml');
+const { markdownToHtml } = require('./markdown');
+const { docxToHtml, DocxError } = require('./docx');
+const { validateRicos, RicosValidationError, CHILD_RULES } = require('./validator');
+const { absoluteUrl, recognizeEmbed } = require('./embeds');
+const { rehostMedia, createLocalUploader, MediaUploadError } = require('./media');
+const { resolveStylesheets } = require('./stylesheet');
+const { parseDocument } = require('./dom');
+const { ID_STRATEGIES, assignIds, createDocumentId } = require('./ids');
+const { ConversionOptionsError, checkOptions, checkOptionValue, checkObjectOption } = require('./options');
+const { ConversionReport, reportSanitizedContent, reportIgnoredStyles } = require('./report');
+const { normalizeRules, ruleMatches, applyRules, extendSanitizeOptions } = require('./rules');
+const { SOURCES, detectSource, cleanupDocument, cleanupBaseStyles } = require('./cleanup');
+const { collapseSpaces, readText, markPreserved, collapseWhiteSpace } = require('./whitespace');
+const {
+  detectTextDirection,
+  getDirection,
+  getLanguageDirection,
+  getBidiControls,
+  getDocumentDirection,
+  getDocumentLanguage
+} = require('./direction');
+const {
+  BASE_FONT_SIZE,
+  splitTopLevel,
+  parseStyle,
+  normalizeColor,
+  lengthToPx,
+  fontSizeToPx,
+  parseFontWeight,
+  findColor,
+  expandFontShorthand
+} = require('./css');
 
-// Set up a global DOM environment for Node.js
-global.DOMParser = new JSDOM().window.DOMParser;
+// Report of the conversion in progress, when one was asked for. Conversion
+// is synchronous, so only one report is active at a time.
+let activeReport = null;
+
+// Rules of the converter in progress, by context, see createConverter
+let activeRules = null;
+
+// Whether the conversion in progress detects the direction of text that
+// has no dir attribute, see the detectDirection option
+let activeDirectionDetection = false;
 
 /**
- * Helper function to generate a node ID
+ * Helper function to generate a provisional node ID. The final IDs are set
+ * by assignIds once the document is complete.
  * @returns {string} A short random ID
  */
 function generateId() {
@@ -26,76 +67,161 @@ function createSpacingParagraph() {
   return {
     type: 'PARAGRAPH',
     id: generateId(),
-    nodes: [{
+    // The space is the whole content, so white-space collapsing keeps it
+    nodes: [markPreserved({
       type: 'TEXT',
       id: '',
       textData: {
         text: ' '
       }
-    }]
+    })]
   };
 }
 
+/**
+ * Check whether any of the given box properties (margin or padding) is non-zero
+ * @param {Object} declarations - Parsed style declarations
+ * @param {string} property - 'margin' or 'padding'
+ * @returns {boolean} True if the element has that kind of spacing
+ */
+function hasBoxSpacing(declarations, property) {
+  return Object.keys(declarations)
+    .filter(name => name === property || name.startsWith(`${property}-`))
+    .some(name => splitTopLevel(declarations[name], /\s/).some(value => lengthToPx(value)));
+}
+
 /**
  * Process style attribute of an HTML element
  * @param {HTMLElement} element - The element to process
  * @returns {Object|null} Parsed style data or null if no style
  */
 function processNodeStyle(element) {
-  const style = element.getAttribute('style');
+  return processStyleText(element.getAttribute('style'));
+}
+
+/**
+ * Parse style declarations into the style data the converter uses
+ * @param {string|null} style - A style attribute value
+ * @returns {Object|null} Parsed style data or null if no style
+ */
+function processStyleText(style) {
   if (!style) return null;
   
+  const declarations = parseStyle(style);
+  
+  // Expand the font shorthand so its parts are handled like longhands
+  if (declarations.font) {
+    Object.entries(expandFontShorthand(declarations.font)).forEach(([property, value]) => {
+      if (!declarations[property]) {
+        declarations[property] = value;
+      }
+    });
+  }
+  
   const styleData = {};
   
   // Parse margin and padding
-  if (style.includes('margin')) {
+  if (hasBoxSpacing(declarations, 'margin')) {
     styleData.margin = true;
   }
   
-  if (style.includes('padding')) {
+  if (hasBoxSpacing(declarations, 'padding')) {
     styleData.padding = true;
   }
   
   // Parse text alignment
-  if (style.includes('text-align')) {
-    if (style.includes('text-align: center')) {
-      styleData.textAlignment = 'CENTER';
-    } else if (style.includes('text-align: right')) {
-      styleData.textAlignment = 'RIGHT';
-    } else if (style.includes('text-align: justify')) {
-      styleData.textAlignment = 'JUSTIFY';
-    } else {
-      styleData.textAlignment = 'LEFT';
-    }
+  if (declarations['text-align']) {
+    const alignments = {
+      left: 'LEFT',
+      start: 'LEFT',
+      center: 'CENTER',
+      right: 'RIGHT',
+      end: 'RIGHT',
+      justify: 'JUSTIFY'
+    };
+    styleData.textAlignment = alignments[declarations['text-align'].toLowerCase()] || 'LEFT';
+  }
+  
+  // Parse colors
+  const color = normalizeColor(declarations.color);
+  if (color) {
+    styleData.color = color;
   }
   
-  // Parse color
-  const colorMatch = style.match(/color\s*:\s*(#[0-9a-fA-F]{3,6}|rgba?\([^)]+\)|[a-zA-Z]+)\s*(!important)?/);
-  if (colorMatch) {
-    styleData.color = colorMatch[1];
+  const backgroundColor = declarations['background-color']
+    ? normalizeColor(declarations['background-color'])
+    : declarations.background && findColor(declarations.background);
+  if (backgroundColor) {
+    styleData.backgroundColor = backgroundColor;
   }
   
   // Parse font size
-  const fontSizeMatch = style.match(/font-size\s*:\s*(\d+)(px|pt|em|rem)?\s*(!important)?/);
-  if (fontSizeMatch) {
-    styleData.fontSize = parseInt(fontSizeMatch[1]);
+  const fontSize = fontSizeToPx(declarations['font-size']);
+  if (fontSize) {
+    styleData.fontSize = Math.round(fontSize);
   }
   
   // Parse font weight
-  const fontWeightMatch = style.match(/font-weight\s*:\s*(\d+|bold|normal)\s*(!important)?/);
-  if (fontWeightMatch) {
-    if (fontWeightMatch[1] === 'bold') {
-      styleData.fontWeight = 700;
-    } else if (fontWeightMatch[1] === 'normal') {
-      styleData.fontWeight = 400;
-    } else {
-      styleData.fontWeight = parseInt(fontWeightMatch[1]);
+  const fontWeight = parseFontWeight(declarations['font-weight']);
+  if (fontWeight) {
+    styleData.fontWeight = fontWeight;
+  }
+  
+  // Parse font style
+  if (declarations['font-style']) {
+    styleData.italic = /italic|oblique/i.test(declarations['font-style']);
+  }
+  
+  // Parse text decoration
+  const textDecoration = declarations['text-decoration-line'] || declarations['text-decoration'];
+  if (textDecoration) {
+    styleData.underline = /underline/i.test(textDecoration);
+    styleData.strikethrough = /line-through/i.test(textDecoration);
+  }
+  
+  // Parse vertical alignment; other values only apply to table cells and images
+  const verticalAlign = (declarations['vertical-align'] || '').trim().toLowerCase();
+  if (['super', 'sub', 'baseline'].includes(verticalAlign)) {
+    styleData.verticalAlign = verticalAlign;
+  }
+  
+  // Parse line height as a multiple of the font size, as Ricos expects
+  const lineHeight = declarations['line-height'];
+  if (lineHeight && lineHeight.toLowerCase() !== 'normal') {
+    const multiplier = /^[\d.]+$/.test(lineHeight.trim())
+      ? parseFloat(lineHeight)
+      : lengthToPx(lineHeight, fontSize || BASE_FONT_SIZE) / (fontSize || BASE_FONT_SIZE);
+    if (multiplier > 0) {
+      styleData.lineHeight = String(Math.round(multiplier * 100) / 100);
     }
   }
   
+  // Parse text indent
+  const textIndent = lengthToPx(declarations['text-indent'], fontSize || BASE_FONT_SIZE);
+  if (textIndent > 0) {
+    styleData.textIndent = Math.round(textIndent);
+  }
+  
   return styleData;
 }
 
+/**
+ * Build a Ricos textStyle from parsed style data
+ * @param {Object|null} style - Parsed style data from processNodeStyle
+ * @returns {Object} A Ricos textStyle
+ */
+function createTextStyle(style) {
+  const textStyle = {
+    textAlignment: style?.textAlignment || 'AUTO'
+  };
+  
+  if (style?.lineHeight) {
+    textStyle.lineHeight = style.lineHeight;
+  }
+  
+  return textStyle;
+}
+
 /**
  * Process class attribute of an HTML element
  * @param {HTMLElement} element - The element to process
@@ -133,837 +259,2027 @@ function processNodeClass(element) {
 }
 
 /**
- * Process text and inline elements
- * @param {HTMLElement} element - The element to process
- * @returns {Array} Array of Ricos nodes
+ * Add a decoration to a decoration list, replacing any decoration of the same type
+ * @param {Array} decorations - The inherited decorations
+ * @param {Object} decoration - The decoration to add
+ * @returns {Array} A new decoration list
  */
-function processTextAndInlineElements(element) {
-  const tempNodes = [];
-  const childNodes = element.childNodes;
+function addDecoration(decorations, decoration) {
+  return [...decorations.filter(existing => existing.type !== decoration.type), decoration];
+}
+
+/**
+ * Apply the decorations implied by an element's inline style
+ * @param {Array} decorations - The inherited decorations
+ * @param {Object|null} style - Parsed style data from processNodeStyle
+ * @returns {Array} A new decoration list
+ */
+function applyStyleDecorations(decorations, style) {
+  if (!style) return decorations;
   
-  // Get style for the parent element
-  const parentStyle = processNodeStyle(element);
+  let result = decorations;
   
-  for (let i = 0; i < childNodes.length; i++) {
-    const child = childNodes[i];
+  // Add color decoration if available
+  if (style.color || style.backgroundColor) {
+    const colorData = {};
+    if (style.color) {
+      colorData.foreground = style.color;
+    }
+    if (style.backgroundColor) {
+      colorData.background = style.backgroundColor;
+    }
     
-    if (child.nodeType === 3) { // Node.TEXT_NODE
-      const text = child.textContent;
-      if (text && text.trim()) {
-        const textNode = {
-          type: 'TEXT',
-          id: '',
-          textData: {
-            text: text
-          }
-        };
-        
-        // Apply parent style if available
-        if (parentStyle && (parentStyle.color || parentStyle.fontWeight)) {
-          textNode.textData.decorations = [];
-          
-          // Add color decoration if available
-          if (parentStyle.color) {
-            textNode.textData.decorations.push({
-              type: 'COLOR',
-              colorData: {
-                color: parentStyle.color
-              }
-            });
-          }
-          
-          // Add bold decoration if font weight is bold
-          if (parentStyle.fontWeight && parentStyle.fontWeight >= 600) {
-            textNode.textData.decorations.push({
-              type: 'BOLD',
-              fontWeightValue: parentStyle.fontWeight
-            });
-          }
-        }
-        
-        tempNodes.push(textNode);
-      }
-    } else if (child.nodeType === 1) { // Node.ELEMENT_NODE
-      const childElement = child;
-      const tagName = childElement.tagName.toLowerCase();
-      
-      // Handle inline elements
-      switch (tagName) {
-        case 'strong':
-        case 'b':
-          tempNodes.push({
-            type: 'TEXT',
-            id: '',
-            textData: {
-              text: childElement.textContent || '',
-              decorations: [{
-                type: 'BOLD',
-                fontWeightValue: 700
-              }]
-            }
-          });
-          break;
-          
-        case 'em':
-        case 'i':
-          tempNodes.push({
-            type: 'TEXT',
-            id: '',
-            textData: {
-              text: childElement.textContent || '',
-              decorations: [{
-                type: 'ITALIC'
-              }]
-            }
-          });
-          break;
-          
-        case 'u':
-          tempNodes.push({
-            type: 'TEXT',
-            id: '',
-            textData: {
-              text: childElement.textContent || '',
-              decorations: [{
-                type: 'UNDERLINE'
-              }]
-            }
-          });
-          break;
-          
-        case 'a':
-          tempNodes.push({
-            type: 'TEXT',
-            id: '',
-            textData: {
-              text: childElement.textContent || '',
-              decorations: [
-                {
-                  type: 'LINK',
-                  linkData: {
-                    link: {
-                      url: childElement.getAttribute('href') || '',
-                      target: childElement.getAttribute('target') === '_blank' ? 'BLANK' : 'SELF',
-                      rel: {
-                        noreferrer: true
-                      }
-                    }
-                  }
-                },
-                {
-                  type: 'UNDERLINE'
-                }
-              ]
-            }
-          });
-          break;
-          
-        case 'span':
-          // Process span content and pass it up
-          tempNodes.push(...processTextAndInlineElements(childElement));
-          break;
-          
-        case 'br':
-          // Add a line break by pushing a paragraph break
-          tempNodes.push({
-            type: 'TEXT',
-            id: '',
-            textData: {
-              text: '\n'
-            }
-          });
-          break;
-          
-        case 'img':
-          // Handle inline images
-          const imgWidth = childElement.hasAttribute('width') ? parseInt(childElement.getAttribute('width') || '0') : 500;
-          const imgHeight = childElement.hasAttribute('height') ? parseInt(childElement.getAttribute('height') || '0') : 300;
-          
-          tempNodes.push({
-            type: 'IMAGE',
-            id: generateId(),
-            imageData: {
-              containerData: {
-                width: {
-                  size: 'CONTENT'
-                },
-                alignment: 'CENTER',
-                textWrap: true
-              },
-              image: {
-                src: {
-                  url: childElement.getAttribute('src') || ''
-                },
-                width: imgWidth,
-                height: imgHeight
-              }
-            }
-          });
-          break;
-          
-        default:
-          // Check if this is a block element that needs special handling
-          if (['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'div', 'blockquote', 'pre', 'ul', 'ol', 'li'].includes(tagName)) {
-            // Process these elements normally through the main converter
-            tempNodes.push(...handleBlockElement(childElement));
-          } else {
-            // Process other inline elements recursively
-            tempNodes.push(...processTextAndInlineElements(childElement));
-          }
-          break;
+    // Keep whichever inherited color the element does not override
+    const inherited = result.find(decoration => decoration.type === 'COLOR');
+    result = addDecoration(result, {
+      type: 'COLOR',
+      colorData: {
+        ...(inherited && inherited.colorData),
+        ...colorData
       }
+    });
+  }
+  
+  // Font weight either adds bold or cancels bold inherited from a parent
+  if (style.fontWeight) {
+    if (style.fontWeight >= 600) {
+      result = addDecoration(result, {
+        type: 'BOLD',
+        fontWeightValue: style.fontWeight
+      });
+    } else {
+      result = result.filter(decoration => decoration.type !== 'BOLD');
     }
   }
   
-  return tempNodes;
+  // Font style and text decoration work the same way
+  if (style.italic !== undefined) {
+    result = style.italic
+      ? addDecoration(result, { type: 'ITALIC' })
+      : result.filter(decoration => decoration.type !== 'ITALIC');
+  }
+  
+  if (style.underline !== undefined) {
+    result = style.underline
+      ? addDecoration(result, { type: 'UNDERLINE' })
+      : result.filter(decoration => decoration.type !== 'UNDERLINE');
+  }
+  
+  if (style.strikethrough !== undefined) {
+    result = style.strikethrough
+      ? addDecoration(result, { type: 'STRIKETHROUGH' })
+      : result.filter(decoration => decoration.type !== 'STRIKETHROUGH');
+  }
+  
+  // Superscript and subscript replace each other, baseline cancels both
+  if (style.verticalAlign) {
+    result = result.filter(decoration => decoration.type !== 'SUPERSCRIPT' && decoration.type !== 'SUBSCRIPT');
+    if (style.verticalAlign !== 'baseline') {
+      result = addDecoration(result, { type: style.verticalAlign === 'super' ? 'SUPERSCRIPT' : 'SUBSCRIPT' });
+    }
+  }
+  
+  // Add font size decoration if available
+  if (style.fontSize) {
+    result = addDecoration(result, {
+      type: 'FONT_SIZE',
+      fontSizeData: {
+        unit: 'PX',
+        value: style.fontSize
+      }
+    });
+  }
+  
+  return result;
 }
 
 /**
- * Handle table element
- * @param {HTMLElement} element - The table element to process
- * @returns {Object} A Ricos table node
+ * Create a Ricos text node
+ * @param {string} text - The text content
+ * @param {Array} decorations - Decorations to attach
+ * @returns {Object} A Ricos TEXT node
  */
-function handleTable(element) {
-  // Get all rows from table
-  const rows = element.querySelectorAll('tr');
-  if (!rows || rows.length === 0) {
-    return createSpacingParagraph(); // Return empty paragraph if no rows
+function createTextNode(text, decorations = []) {
+  const textNode = {
+    type: 'TEXT',
+    id: '',
+    textData: {
+      text: text
+    }
+  };
+  
+  if (decorations.length > 0) {
+    textNode.textData.decorations = decorations;
   }
   
-  const tableRows = [];
-  const rowsHeight = [];
-  let maxCols = 0;
+  return textNode;
+}
+
+/**
+ * Create a text node from a DOM text node. Whitespace is collapsed unless
+ * the white-space style of the text keeps it.
+ * @param {Node} child - The DOM text node
+ * @param {Array} decorations - Array of decoration objects
+ * @returns {Object} A Ricos text node
+ */
+function convertTextNode(child, decorations = []) {
+  const { text, preserved } = readText(child);
+  const textNode = createTextNode(text, decorations);
+  return preserved ? markPreserved(textNode) : textNode;
+}
+
+/**
+ * Check whether inline nodes hold more than spaces, which collapse away
+ * @param {Array} nodes - Ricos inline nodes
+ * @returns {boolean} True if the nodes have text, line breaks or other nodes
+ */
+function hasInlineContent(nodes) {
+  return nodes.some(node => node.type !== 'TEXT' || /[^ \t\r\f]/.test(node.textData.text));
+}
+
+// Class names that align images, e.g. alignleft, float-right, pull-left, img-center
+const IMAGE_ALIGNMENT_CLASS = /(?:^|\s)(?:align|float|pull|img|image)-?(left|right|center)(?:\s|$)/i;
+
+/**
+ * Work out the alignment of an image from its float, align attribute,
+ * alignment classes or auto margins, checking the wrapping figure as well
+ * @param {HTMLElement} element - The img element
+ * @returns {string} LEFT, RIGHT or CENTER
+ */
+function getImageAlignment(element) {
+  const candidates = [element];
+  const figure = element.closest('figure');
+  if (figure) {
+    candidates.push(figure);
+  }
   
-  // Process each row
-  for (let i = 0; i < rows.length; i++) {
-    const row = rows[i];
-    const rowCells = [];
-    const isHeaderRow = row.parentElement && row.parentElement.tagName.toLowerCase() === 'thead';
-    
-    // Get cells from row (th or td)
-    let cells = row.querySelectorAll('th, td');
-    if (!cells || cells.length === 0) {
-      continue; // Skip empty rows
+  for (const candidate of candidates) {
+    const declarations = parseStyle(candidate.getAttribute('style'));
+    const float = (declarations.float || '').toLowerCase();
+    if (float === 'left' || float === 'right') {
+      return float.toUpperCase();
     }
     
-    // Track max columns for column width calculation
-    maxCols = Math.max(maxCols, cells.length);
-    
-    // Track row height
-    rowsHeight.push(50); // Default height for rows
-    
-    // Process each cell
-    for (let j = 0; j < cells.length; j++) {
-      const cell = cells[j];
-      const isHeader = cell.tagName.toLowerCase() === 'th' || isHeaderRow;
-      
-      // Create cell node
-      const cellNode = {
-        type: 'TABLE_CELL',
-        id: generateId()
-      };
-      
-      // Get cell content
-      const cellContentNodes = processTextAndInlineElements(cell);
-      
-      // Create paragraph for cell content
-      const cellParagraph = {
-        type: 'PARAGRAPH',
-        id: generateId(),
-        paragraphData: {
-          textStyle: {
-            textAlignment: 'CENTER' // Center text in table cells
-          }
-        }
-      };
-      
-      if (cellContentNodes.length > 0) {
-        cellParagraph.nodes = cellContentNodes;
-      } else {
-        // Text node for cell content if no other content
-        const textNode = {
-          type: 'TEXT',
-          id: '',
-          textData: {
-            text: cell.textContent || ''
-          }
-        };
-        
-        // Add bold decoration for headers
-        if (isHeader) {
-          textNode.textData.decorations = [{
-            type: 'BOLD',
-            fontWeightValue: 700
-          }];
-        }
-        
-        cellParagraph.nodes = [textNode];
-      }
-      
-      // Check for colspan
-      const colspan = cell.getAttribute('colspan');
-      if (colspan) {
-        cellNode.cellData = {
-          colspan: parseInt(colspan)
-        };
-      }
-      
-      cellNode.nodes = [cellParagraph];
-      rowCells.push(cellNode);
+    const align = (candidate.getAttribute('align') || '').toLowerCase();
+    if (align === 'left' || align === 'right') {
+      return align.toUpperCase();
     }
     
-    // Create row node with cells
-    const rowNode = {
-      type: 'TABLE_ROW',
-      id: generateId(),
-      nodes: rowCells
-    };
+    const classMatch = (candidate.getAttribute('class') || '').match(IMAGE_ALIGNMENT_CLASS);
+    if (classMatch) {
+      return classMatch[1].toUpperCase();
+    }
     
-    tableRows.push(rowNode);
+    const margin = `${declarations.margin || ''} ${declarations['margin-left'] || ''}`;
+    if (/\bauto\b/.test(margin) || align === 'center' || align === 'middle') {
+      return 'CENTER';
+    }
+  }
+  
+  return 'CENTER';
+}
+
+/**
+ * Read the link of an image from a LINK decoration inherited from a wrapping <a>
+ * @param {Array} decorations - Decorations inherited by the image
+ * @returns {Object|null} A Ricos link, or null
+ */
+function getImageLink(decorations) {
+  const linkDecoration = decorations.find(decoration => decoration.type === 'LINK');
+  return linkDecoration ? linkDecoration.linkData.link : null;
+}
+
+/**
+ * Get the Ricos container width of a media element
+ * @param {HTMLElement} element - An img, iframe, video or audio element
+ * @returns {Object} A Ricos container width
+ */
+function getContainerWidth(element) {
+  const width = getElementDimension(element, 'width');
+  
+  // Full-width media fill the content, sized media keep their width
+  if (width && width.unit === '%' && width.value >= 100) {
+    return { size: 'FULL_WIDTH' };
+  }
+  if (width && width.unit === 'px') {
+    return { custom: String(width.value) };
+  }
+  return { size: 'CONTENT' };
+}
+
+/**
+ * Create an image node from an img element. Images without a source, for
+ * example because the sanitizer removed a javascript: URL, are dropped.
+ * @param {HTMLElement} element - The img element
+ * @param {Array} decorations - Decorations inherited by the image, used for its link
+ * @param {string} [caption] - Caption text, e.g. from a figcaption
+ * @returns {Object|null} A Ricos image node, or null if the image has no source
+ */
+function createImageNode(element, decorations = [], caption) {
+  if (!(element.getAttribute('src') || '').trim()) {
+    activeReport?.addDroppedElement(element, 'image without a source');
+    return null;
   }
   
-  // Create column widths with better proportions
-  const colsWidthRatio = [];
-  const colsMinWidth = [];
+  const width = getElementDimension(element, 'width');
+  const height = getElementDimension(element, 'height');
+  const alignment = getImageAlignment(element);
   
-  for (let i = 0; i < maxCols; i++) {
-    colsWidthRatio.push(150); // Increased for better spacing
-    colsMinWidth.push(140);   // Increased for better spacing
+  const image = {
+    src: {
+      url: element.getAttribute('src') || ''
+    }
+  };
+  
+  // Only real dimensions are kept, unknown sizes are left to Wix
+  if (width && width.unit === 'px') {
+    image.width = width.value;
+  }
+  if (height && height.unit === 'px') {
+    image.height = height.value;
+  }
+  if (!image.width || !image.height) {
+    activeReport?.addImageWithoutDimensions(element);
+  }
+  
+  const imageData = {
+    containerData: {
+      width: getContainerWidth(element),
+      alignment,
+      textWrap: true
+    },
+    image
+  };
+  
+  const altText = element.getAttribute('alt');
+  if (altText) {
+    imageData.altText = altText;
+  }
+  
+  if (caption) {
+    imageData.caption = caption;
+  }
+  
+  const link = getImageLink(decorations);
+  if (link) {
+    imageData.link = link;
   }
   
-  // Complete table node with better styling
   return {
-    type: 'TABLE',
+    type: 'IMAGE',
     id: generateId(),
-    nodes: tableRows,
-    tableData: {
-      dimensions: {
-        colsWidthRatio,
-        rowsHeight,
-        colsMinWidth
-      },
-      borderColor: '#CFCFCF',  // Add light border color
-      cellStyle: {
-        borderWidth: 1,
-        borderStyle: 'solid'
-      }
-    }
+    imageData
   };
 }
 
 /**
- * Handle block elements inside other elements
- * @param {HTMLElement} element - The element to process
- * @returns {Array} Array of Ricos nodes
+ * Create a gallery node from image nodes
+ * @param {Array} imageNodes - Ricos image nodes
+ * @returns {Object} A Ricos gallery node
  */
-function handleBlockElement(element) {
-  const blockNodes = [];
-  const tagName = element.tagName.toLowerCase();
-  
-  switch (tagName) {
-    case 'p':
-      const pStyle = processNodeStyle(element);
-      const paragraphNode = {
-        type: 'PARAGRAPH',
-        id: generateId(),
-        nodes: processTextAndInlineElements(element)
-      };
-      
-      // Add paragraph spacing data if style exists
-      if (pStyle) {
-        paragraphNode.paragraphData = {
-          textStyle: {
-            textAlignment: pStyle.textAlignment || 'AUTO'
+function createGalleryNode(imageNodes) {
+  return {
+    type: 'GALLERY',
+    id: generateId(),
+    galleryData: {
+      containerData: {
+        width: {
+          size: 'CONTENT'
+        },
+        alignment: 'CENTER'
+      },
+      items: imageNodes.map(imageNode => {
+        const { image, altText, caption, link } = imageNode.imageData;
+        const item = {
+          image: {
+            media: {
+              src: image.src
+            }
           }
         };
         
-        // Add indentation to create spacing effect
-        if (pStyle.margin || pStyle.padding) {
-          paragraphNode.paragraphData.indentation = 1;
+        if (image.width) {
+          item.image.media.width = image.width;
         }
-      }
-      
-      blockNodes.push(paragraphNode);
-      break;
-      
-    case 'h1':
-    case 'h2':
-    case 'h3':
-    case 'h4':
-    case 'h5':
-    case 'h6':
-      // Add spacing before h2 and h3 elements
-      if (tagName === 'h2' || tagName === 'h3') {
-        blockNodes.push(createSpacingParagraph());
-      }
-      
-      const headingLevel = parseInt(tagName.charAt(1));
-      const headingStyle = processNodeStyle(element);
-      const headingNode = {
-        type: 'HEADING',
-        id: generateId(),
-        nodes: processTextAndInlineElements(element),
-        headingData: {
-          level: Math.min(headingLevel, 6), // Ensure level is 1-6
-          textStyle: {
-            textAlignment: headingStyle?.textAlignment || 'AUTO'
-          }
+        if (image.height) {
+          item.image.media.height = image.height;
         }
-      };
-      
-      blockNodes.push(headingNode);
-      
-      // Add empty paragraph after headings for spacing
-      blockNodes.push(createSpacingParagraph());
-      
-      // Add extra spacing for h2 elements (main section headers)
-      if (tagName === 'h2') {
-        blockNodes.push(createSpacingParagraph());
-      }
-      break;
-      
-    case 'ul':
-      blockNodes.push({
-        type: 'BULLETED_LIST',
-        id: generateId(),
-        nodes: convertNodeToRicos(element)
-      });
-      // Add spacing after lists
-      blockNodes.push(createSpacingParagraph());
-      break;
-      
-    case 'ol':
-      blockNodes.push({
-        type: 'ORDERED_LIST',
-        id: generateId(),
-        nodes: convertNodeToRicos(element)
-      });
-      // Add spacing after lists
-      blockNodes.push(createSpacingParagraph());
-      break;
-      
-    case 'li':
-      blockNodes.push({
-        type: 'LIST_ITEM',
-        id: generateId(),
-        nodes: processTextAndInlineElements(element)
-      });
-      break;
-      
-    case 'blockquote':
-      // Convert blockquote to a special paragraph
-      blockNodes.push({
-        type: 'BLOCKQUOTE',
-        id: generateId(),
-        nodes: processTextAndInlineElements(element)
-      });
-      // Add spacing after blockquote
-      blockNodes.push(createSpacingParagraph());
-      break;
-      
-    case 'pre':
-    case 'code':
-      // Convert pre/code to a code block
-      blockNodes.push({
-        type: 'CODE_BLOCK',
-        id: generateId(),
-        nodes: [{
-          type: 'TEXT',
-          id: '',
-          textData: {
-            text: element.textContent || ''
-          }
-        }]
-      });
-      // Add spacing after code blocks
-      blockNodes.push(createSpacingParagraph());
-      break;
-      
-    case 'div':
-      // Get class information
-      const divClass = processNodeClass(element);
-      
-      // Process div children - either convert to paragraphs or process block elements
-      const hasBlockChildren = Array.from(element.children).some(child => 
-        ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'div', 'blockquote', 'pre', 'ul', 'ol', 'table'].includes(
-          child.tagName.toLowerCase()
-        )
-      );
-      
-      // Add spacing before sections
-      if (divClass && divClass.isSection) {
-        blockNodes.push(createSpacingParagraph());
-        blockNodes.push(createSpacingParagraph());
-      }
-      
-      if (hasBlockChildren) {
-        // If div contains block elements, process each child
-        for (let i = 0; i < element.childNodes.length; i++) {
-          const childNode = element.childNodes[i];
-          if (childNode.nodeType === 1) { // Node.ELEMENT_NODE
-            const childElement = childNode;
-            blockNodes.push(...convertNodeToRicos(childElement));
-          } else if (childNode.nodeType === 3) { // Node.TEXT_NODE
-            const text = childNode.textContent?.trim();
-            if (text) {
-              // Wrap text nodes in paragraphs
-              blockNodes.push({
-                type: 'PARAGRAPH',
-                id: generateId(),
-                nodes: [{
-                  type: 'TEXT',
-                  id: '',
-                  textData: {
-                    text
-                  }
-                }]
-              });
-            }
-          }
+        if (link) {
+          item.image.link = link;
         }
-      } else {
-        // If div only contains text or inline elements, convert to paragraph
-        const paragraphNode = {
-          type: 'PARAGRAPH',
-          id: generateId(),
-          nodes: processTextAndInlineElements(element)
-        };
-        
-        // Apply class-based styling
-        if (divClass && divClass.textAlignment) {
-          paragraphNode.paragraphData = {
-            textStyle: {
-              textAlignment: divClass.textAlignment
-            }
-          };
+        if (altText) {
+          item.altText = altText;
+        }
+        if (caption) {
+          item.title = caption;
         }
         
-        blockNodes.push(paragraphNode);
+        return item;
+      }),
+      options: {
+        layout: {
+          type: 'GRID'
+        }
       }
+    }
+  };
+}
+
+/**
+ * Turn runs of two or more consecutive images into galleries
+ * @param {Array} nodes - Sibling Ricos block nodes
+ * @returns {Array} The nodes with image runs grouped
+ */
+function groupConsecutiveImages(nodes) {
+  const grouped = [];
+  let run = [];
+  
+  const flushRun = () => {
+    if (run.length > 1) {
+      grouped.push(createGalleryNode(run));
+    } else {
+      grouped.push(...run);
+    }
+    run = [];
+  };
+  
+  for (const node of nodes) {
+    if (node.type === 'IMAGE') {
+      run.push(node);
+    } else {
+      flushRun();
+      grouped.push(node);
+    }
+  }
+  
+  flushRun();
+  return grouped;
+}
+
+/**
+ * Lift images, embeds and other blocks out of a paragraph, since Ricos
+ * paragraphs only hold text. The text around them stays in paragraphs with
+ * the original paragraph data.
+ * @param {Object} paragraphNode - A Ricos paragraph or heading node
+ * @returns {Array} The paragraph, or the split paragraphs and blocks
+ */
+function liftBlocks(paragraphNode) {
+  if (paragraphNode.nodes.every(node => node.type === 'TEXT')) {
+    return [paragraphNode];
+  }
+  
+  const result = [];
+  let textRun = [];
+  
+  // Text between blocks that is only whitespace or line breaks is dropped
+  const flushText = () => {
+    if (textRun.some(node => node.type !== 'TEXT' || node.textData.text.trim())) {
+      result.push({
+        ...paragraphNode,
+        id: result.length === 0 ? paragraphNode.id : generateId(),
+        nodes: textRun
+      });
+    }
+    textRun = [];
+  };
+  
+  for (const node of paragraphNode.nodes) {
+    if (node.type !== 'TEXT') {
+      flushText();
+      result.push(node);
+    } else {
+      textRun.push(node);
+    }
+  }
+  
+  flushText();
+  return groupConsecutiveImages(result);
+}
+
+/**
+ * Fit the blocks converted from one child element to the Ricos container
+ * that holds them. Headings in quotes and list items become paragraphs
+ * without the spacers around them, a quote in a quote and a table in a
+ * table cell give up their content, and list items drop spacers. Other
+ * blocks the container cannot hold are left for splitContainer to lift out.
+ * @param {Array} nodes - Ricos nodes converted from the element
+ * @param {string} containerType - Type of the Ricos container
+ * @param {HTMLElement} element - The element the nodes were converted from
+ * @returns {Array} The fitted nodes
+ */
+function fitBlocks(nodes, containerType, element) {
+  const childTypes = CHILD_RULES[containerType];
+  const dropsSpacers = containerType === 'LIST_ITEM' ||
+    (!childTypes.includes('HEADING') && nodes.some(node => node.type === 'HEADING'));
+  const fitted = [];
+
+  for (const node of nodes) {
+    if (dropsSpacers && isSpacingParagraph(node)) {
+      continue;
+    }
+
+    if (childTypes.includes(node.type)) {
+      fitted.push(node);
+    } else if (node.type === 'HEADING' && childTypes.includes('PARAGRAPH')) {
+      activeReport?.addFlattenedElement(element, 'paragraph');
+      const textStyle = node.headingData.textStyle;
+      fitted.push({
+        type: 'PARAGRAPH',
+        id: node.id,
+        nodes: node.nodes,
+        ...(textStyle && { paragraphData: { textStyle } })
+      });
+    } else if (node.type === containerType) {
+      activeReport?.addFlattenedElement(element, 'quote content');
+      fitted.push(...node.nodes);
+    } else if (node.type === 'TABLE' && containerType === 'TABLE_CELL') {
+      activeReport?.addFlattenedElement(element, 'cell content');
+      fitted.push(...node.nodes.flatMap(row => row.nodes.flatMap(cell => cell.nodes)));
+    } else {
+      fitted.push(node);
+    }
+  }
+
+  return fitted;
+}
+
+/**
+ * Split a container around the children it cannot hold, as liftBlocks does
+ * for paragraphs. The children it can hold stay in copies of the container,
+ * with the original data; the others are lifted out between them.
+ * @param {Object} container - A Ricos quote, list or list item node
+ * @returns {Array} The container, or the split containers and lifted nodes
+ */
+function splitContainer(container) {
+  const childTypes = CHILD_RULES[container.type];
+  if (container.nodes.every(node => childTypes.includes(node.type))) {
+    return [container];
+  }
+
+  const result = [];
+  let children = [];
+  let copies = 0;
+
+  // Spacers alone make no container and stay between the lifted blocks
+  const flushChildren = () => {
+    if (children.some(node => !isSpacingParagraph(node))) {
+      result.push({
+        ...container,
+        id: copies === 0 ? container.id : generateId(),
+        nodes: children
+      });
+      copies++;
+    } else {
+      result.push(...children);
+    }
+    children = [];
+  };
+
+  for (const node of container.nodes) {
+    if (childTypes.includes(node.type)) {
+      children.push(node);
+    } else {
+      flushChildren();
+      result.push(node);
+    }
+  }
+
+  flushChildren();
+  return result;
+}
+
+/**
+ * Handle a figure element: one image with its caption, or a gallery
+ * @param {HTMLElement} element - The figure element
+ * @returns {Array} Array of Ricos nodes
+ */
+function handleFigure(element) {
+  const images = Array.from(element.querySelectorAll('img'));
+  const figcaption = element.querySelector('figcaption');
+  const caption = figcaption ? collapseSpaces(figcaption.textContent).trim() : '';
+  
+  // Figures without images (quotes, code listings) convert like a div
+  if (images.length === 0) {
+    return convertNodeToRicos(element);
+  }
+  
+  const imageNodes = images.map(image => {
+    const link = image.closest('a');
+    return createImageNode(image, link ? createLinkDecorations(link) : []);
+  }).filter(Boolean);
+  
+  if (imageNodes.length === 1) {
+    if (caption) {
+      imageNodes[0].imageData.caption = caption;
+    }
+    return imageNodes;
+  }
+  
+  // Several images form a gallery, with the caption below it. The caption
+  // stays on its own when no image has a source.
+  const nodes = imageNodes.length > 1 ? [createGalleryNode(imageNodes)] : [];
+  if (caption) {
+    nodes.push({
+      type: 'PARAGRAPH',
+      id: generateId(),
+      nodes: processTextAndInlineElements(figcaption),
+      paragraphData: {
+        textStyle: {
+          textAlignment: 'CENTER'
+        }
+      }
+    });
+  }
+  return nodes;
+}
+
+/**
+ * Handle an element marked as a gallery, e.g. <div class="gallery">
+ * @param {HTMLElement} element - The gallery container
+ * @returns {Array} Array of Ricos nodes
+ */
+function handleGallery(element) {
+  const imageNodes = Array.from(element.querySelectorAll('img')).map(image => {
+    const link = image.closest('a');
+    const figure = image.closest('figure');
+    const figcaption = figure && element.contains(figure) ? figure.querySelector('figcaption') : null;
+    return createImageNode(
+      image,
+      link && element.contains(link) ? createLinkDecorations(link) : [],
+      figcaption ? collapseSpaces(figcaption.textContent).trim() : undefined
+    );
+  }).filter(Boolean);
+  
+  return imageNodes.length > 0 ? [createGalleryNode(imageNodes)] : [];
+}
+
+/**
+ * Get the link decoration an <a> element gives its content
+ * @param {HTMLElement} element - The a element
+ * @returns {Array} The decorations
+ */
+function createLinkDecorations(element) {
+  return [{
+    type: 'LINK',
+    linkData: {
+      link: createLink(element)
+    }
+  }];
+}
+
+/**
+ * Create a Ricos link from an <a> element
+ * @param {HTMLElement} element - The a element
+ * @returns {Object} A Ricos link
+ */
+function createLink(element) {
+  return {
+    url: element.getAttribute('href') || '',
+    target: element.getAttribute('target') === '_blank' ? 'BLANK' : 'SELF',
+    rel: {
+      noreferrer: true
+    }
+  };
+}
+
+/**
+ * Check whether an element is marked as an image gallery
+ * @param {HTMLElement} element - The element
+ * @returns {boolean} True for gallery containers
+ */
+function isGalleryElement(element) {
+  return /(?:^|[\s_-])gallery(?:$|[\s_-])/i.test(element.getAttribute('class') || '');
+}
+
+/**
+ * Get the media URL of a video or audio element, from src or its first <source>
+ * @param {HTMLElement} element - The video or audio element
+ * @returns {string} The URL, or an empty string
+ */
+function getMediaSource(element) {
+  if (element.getAttribute('src')) {
+    return absoluteUrl(element.getAttribute('src'));
+  }
+  
+  const source = element.querySelector('source[src]');
+  return source ? absoluteUrl(source.getAttribute('src')) : '';
+}
+
+/**
+ * Create a Ricos node for a recognised provider embed
+ * @param {Object} embed - A recognised embed from recognizeEmbed
+ * @param {Object} containerData - Ricos container data
+ * @param {string} [title] - Title of the embed
+ * @returns {Object} A Ricos VIDEO, AUDIO or EMBED node
+ */
+function createProviderEmbedNode(embed, containerData, title) {
+  switch (embed.type) {
+    case 'VIDEO':
+      return {
+        type: 'VIDEO',
+        id: generateId(),
+        videoData: {
+          containerData,
+          video: {
+            src: {
+              url: embed.url
+            }
+          },
+          ...(title ? { title } : {})
+        }
+      };
+      
+    case 'AUDIO':
+      return {
+        type: 'AUDIO',
+        id: generateId(),
+        audioData: {
+          containerData,
+          audio: {
+            src: {
+              url: embed.url
+            }
+          },
+          ...(title ? { title } : {})
+        }
+      };
+      
+    default:
+      return {
+        type: 'EMBED',
+        id: generateId(),
+        embedData: {
+          containerData,
+          oembed: {
+            type: 'rich',
+            url: embed.url,
+            providerName: embed.provider
+          },
+          src: embed.url
+        }
+      };
+  }
+}
+
+/**
+ * Create a Ricos node for an iframe, video or audio element. Known providers
+ * become VIDEO, AUDIO or EMBED nodes; unknown iframes become HTML nodes,
+ * which Wix renders in a sandboxed frame.
+ * @param {HTMLElement} element - The iframe, video or audio element
+ * @returns {Object|null} A Ricos node, or null when there is nothing to embed
+ */
+function createEmbedNode(element) {
+  const tagName = element.tagName.toLowerCase();
+  const src = getMediaSource(element);
+  const title = element.getAttribute('title') || undefined;
+  const containerData = {
+    width: getContainerWidth(element),
+    alignment: 'CENTER'
+  };
+  
+  if (!src) {
+    return null;
+  }
+  
+  const embed = recognizeEmbed(src);
+  if (embed) {
+    return createProviderEmbedNode(embed, containerData, title);
+  }
+  
+  if (tagName === 'video') {
+    const videoData = {
+      containerData,
+      video: {
+        src: {
+          url: src
+        }
+      }
+    };
+    
+    const poster = element.getAttribute('poster');
+    if (poster) {
+      videoData.thumbnail = {
+        src: {
+          url: absoluteUrl(poster)
+        }
+      };
+    }
+    if (title) {
+      videoData.title = title;
+    }
+    
+    return {
+      type: 'VIDEO',
+      id: generateId(),
+      videoData
+    };
+  }
+  
+  if (tagName === 'audio') {
+    return createProviderEmbedNode({ type: 'AUDIO', url: src }, containerData, title);
+  }
+  
+  // Unknown iframes keep their URL and are rendered sandboxed by Wix
+  const height = getElementDimension(element, 'height');
+  if (height && height.unit === 'px') {
+    containerData.height = {
+      custom: String(height.value)
+    };
+  }
+  
+  return {
+    type: 'HTML',
+    id: generateId(),
+    htmlData: {
+      containerData,
+      url: src,
+      source: 'HTML'
+    }
+  };
+}
+
+/**
+ * Create a Ricos node for a blockquote that holds a post embed, such as the
+ * markup X/Twitter and Instagram give for embedding a post
+ * @param {HTMLElement} element - The blockquote element
+ * @returns {Object|null} A Ricos EMBED node, or null for ordinary quotes
+ */
+function createBlockquoteEmbedNode(element) {
+  const className = element.getAttribute('class') || '';
+  if (!/\b(twitter-tweet|twitter-video|instagram-media)\b/.test(className)) {
+    return null;
+  }
+  
+  const candidates = [
+    element.getAttribute('data-instgrm-permalink'),
+    element.getAttribute('cite'),
+    ...Array.from(element.querySelectorAll('a[href]')).map(link => link.getAttribute('href')).reverse()
+  ];
+  
+  for (const candidate of candidates) {
+    const embed = candidate && recognizeEmbed(candidate);
+    if (embed && embed.type === 'EMBED') {
+      return createProviderEmbedNode(embed, {
+        width: {
+          size: 'CONTENT'
+        },
+        alignment: 'CENTER'
+      });
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Process text and inline elements
+ * @param {HTMLElement} element - The element to process
+ * @param {Array} decorations - Decorations inherited from ancestor elements
+ * @returns {Array} Array of Ricos nodes
+ */
+function processTextAndInlineElements(element, decorations = []) {
+  // Styles on the element carry down to every text node below it
+  return processChildNodes(element, applyStyleDecorations(decorations, processNodeStyle(element)));
+}
+
+/**
+ * Process the child nodes of an element as inline content
+ * @param {HTMLElement} element - The element whose children to process
+ * @param {Array} elementDecorations - Decorations to apply to every text node
+ * @returns {Array} Array of Ricos nodes
+ */
+function processChildNodes(element, elementDecorations) {
+  return processInlineNodes(element.childNodes, elementDecorations);
+}
+
+/**
+ * Process a list of sibling DOM nodes as inline content
+ * @param {Array} childNodes - Text and element nodes
+ * @param {Array} elementDecorations - Decorations to apply to every text node
+ * @returns {Array} Array of Ricos nodes
+ */
+function processInlineNodes(childNodes, elementDecorations) {
+  const tempNodes = [];
+  
+  for (let i = 0; i < childNodes.length; i++) {
+    const child = childNodes[i];
+    
+    if (child.nodeType === 3) { // Node.TEXT_NODE
+      // Whitespace between inline elements separates their words
+      if (child.textContent) {
+        tempNodes.push(convertTextNode(child, elementDecorations));
+      }
+    } else if (child.nodeType === 1) { // Node.ELEMENT_NODE
+      tempNodes.push(...processInlineElement(child, elementDecorations));
+    }
+  }
+  
+  return tempNodes;
+}
+
+/**
+ * Create the helpers passed to the convert function of a rule
+ * @param {string} context - 'block' or 'inline'
+ * @param {Array} decorations - Decorations inherited from ancestor elements
+ * @returns {Object} The helpers
+ */
+function createRuleHelpers(context, decorations = []) {
+  return {
+    context,
+    decorations,
+    // Convert the children of an element as block nodes
+    convertBlocks: element => convertNodeToRicos(element),
+    // Convert the children of an element as inline content, by default with
+    // the inherited decorations
+    convertInline: (element, inlineDecorations = decorations) =>
+      processTextAndInlineElements(element, inlineDecorations),
+    addDecoration,
+    createTextNode,
+    generateId
+  };
+}
+
+// Background of <mark>, the browser default
+const MARK_BACKGROUND_COLOR = '#ffff00';
+
+// Built-in rules for inline elements
+const INLINE_RULES = normalizeRules([
+  {
+    tag: ['strong', 'b'],
+    convert: (element, { decorations }) => processTextAndInlineElements(element, addDecoration(decorations, {
+      type: 'BOLD',
+      fontWeightValue: 700
+    }))
+  },
+  {
+    tag: ['em', 'i'],
+    convert: (element, { decorations }) => processTextAndInlineElements(element, addDecoration(decorations, {
+      type: 'ITALIC'
+    }))
+  },
+  {
+    // Inserted text is underlined, as browsers show it
+    tag: ['u', 'ins'],
+    convert: (element, { decorations }) => processTextAndInlineElements(element, addDecoration(decorations, {
+      type: 'UNDERLINE'
+    }))
+  },
+  {
+    tag: ['s', 'del', 'strike'],
+    convert: (element, { decorations }) => processTextAndInlineElements(element, addDecoration(decorations, {
+      type: 'STRIKETHROUGH'
+    }))
+  },
+  {
+    tag: ['sup', 'sub'],
+    convert: (element, { decorations }) => processTextAndInlineElements(element, applyStyleDecorations(decorations, {
+      verticalAlign: element.tagName.toLowerCase() === 'sup' ? 'super' : 'sub'
+    }))
+  },
+  {
+    // Marked text gets the highlight browsers give it, unless its style
+    // sets another background
+    tag: 'mark',
+    convert: (element, { decorations }) => processTextAndInlineElements(element, applyStyleDecorations(decorations, {
+      backgroundColor: MARK_BACKGROUND_COLOR
+    }))
+  },
+  {
+    // Small print is one size step below the surrounding text
+    tag: 'small',
+    convert: (element, { decorations }) => {
+      const fontSize = decorations.find(decoration => decoration.type === 'FONT_SIZE');
+      return processTextAndInlineElements(element, applyStyleDecorations(decorations, {
+        fontSize: Math.round(fontSizeToPx('smaller', fontSize ? fontSize.fontSizeData.value : BASE_FONT_SIZE))
+      }));
+    }
+  },
+  {
+    // Inline code stays in the paragraph with a code decoration
+    tag: ['code', 'kbd', 'samp', 'tt'],
+    convert: (element, { decorations }) =>
+      processTextAndInlineElements(element, addDecoration(decorations, INLINE_CODE_DECORATION))
+  },
+  {
+    tag: 'a',
+    convert: (element, { decorations }) => {
+      const linkDecorations = addDecoration(decorations, {
+        type: 'LINK',
+        linkData: {
+          link: createLink(element)
+        }
+      });
+      
+      return processTextAndInlineElements(element, addDecoration(linkDecorations, {
+        type: 'UNDERLINE'
+      }));
+    }
+  },
+  {
+    // Process span content with the span's own styles applied. An
+    // abbreviation keeps its text; its expansion has no Ricos equivalent.
+    tag: ['span', 'abbr'],
+    convert: (element, { decorations }) => processTextAndInlineElements(element, decorations)
+  },
+  {
+    // A line break is a soft break inside the paragraph
+    tag: 'br',
+    convert: () => [createTextNode('\n')]
+  },
+  {
+    // Checkboxes, such as those of task list items, keep their state as a
+    // ballot box character, since Ricos has no checkbox lists
+    tag: 'input',
+    convert: (element, { decorations }) => {
+      if ((element.getAttribute('type') || '').toLowerCase() === 'checkbox') {
+        return [createTextNode(element.hasAttribute('checked') ? '\u2611' : '\u2610', decorations)];
+      }
+      return [];
+    }
+  },
+  {
+    // Handle inline images, linked when inside an <a>
+    tag: 'img',
+    convert: (element, { decorations }) => {
+      const imageNode = createImageNode(element, decorations);
+      return imageNode ? [imageNode] : [];
+    }
+  },
+  {
+    // Embeds are lifted out of the paragraph later
+    tag: ['iframe', 'video', 'audio'],
+    convert: element => {
+      const embedNode = createEmbedNode(element);
+      return embedNode ? [embedNode] : [];
+    }
+  }
+]);
+
+/**
+ * Process a single inline element and its descendants. Text of an element
+ * that changes the direction is wrapped in bidi control characters, which
+ * go into its first and last text nodes.
+ * @param {HTMLElement} element - The inline element to process
+ * @param {Array} decorations - Decorations inherited from ancestor elements
+ * @returns {Array} Array of Ricos nodes
+ */
+function processInlineElement(element, decorations = []) {
+  const nodes = convertInlineElement(element, decorations);
+  
+  const controls = isBlockElement(element) ? null : getBidiControls(element);
+  if (!controls || nodes.length === 0 || nodes.some(node => node.type !== 'TEXT')) {
+    return nodes;
+  }
+  
+  const first = nodes[0].textData;
+  const last = nodes[nodes.length - 1].textData;
+  first.text = controls.start + first.text;
+  last.text += controls.end;
+  return nodes;
+}
+
+/**
+ * Convert an inline element with the first matching rule, as a block, or
+ * as plain text
+ * @param {HTMLElement} element - The inline element to convert
+ * @param {Array} decorations - Decorations inherited from ancestor elements
+ * @returns {Array} Array of Ricos nodes
+ */
+function convertInlineElement(element, decorations) {
+  const ruleNodes = applyRules(activeRules.inline, element, createRuleHelpers('inline', decorations));
+  if (ruleNodes) {
+    return ruleNodes;
+  }
+  
+  // Blocks inside inline content convert as they would anywhere else, and
+  // are lifted out of the paragraph later
+  if (isBlockElement(element)) {
+    return handleBlockElement(element, decorations);
+  }
+  
+  // Process other inline elements recursively, keeping only their text
+  activeReport?.addFlattenedElement(element, 'inline text');
+  return processTextAndInlineElements(element, decorations);
+}
+
+// Decoration for inline code. Ricos has no code decoration, so it is an
+// EXTERNAL decoration the reverse converter renders as <code>.
+const INLINE_CODE_DECORATION = {
+  type: 'EXTERNAL',
+  externalData: {
+    type: 'CODE'
+  }
+};
+
+// Class names that carry the language of a code block
+const CODE_LANGUAGE_CLASS = /(?:^|\s)(?:language|lang)-([\w+#.-]+)/;
+
+/**
+ * Read the language of a code block from a language-xx or lang-xx class or a
+ * data-lang attribute, on the pre or its code element
+ * @param {HTMLElement} element - The pre or code element
+ * @returns {string|null} The language or null if none is set
+ */
+function getCodeLanguage(element) {
+  const candidates = [element, element.querySelector('code')];
+  
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    
+    const dataLanguage = candidate.getAttribute('data-lang') || candidate.getAttribute('data-language');
+    if (dataLanguage && dataLanguage.trim()) {
+      return dataLanguage.trim().toLowerCase();
+    }
+    
+    const languageMatch = (candidate.getAttribute('class') || '').match(CODE_LANGUAGE_CLASS);
+    if (languageMatch) {
+      return languageMatch[1].toLowerCase();
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Read the text of a code element, keeping its whitespace and turning <br>
+ * into line breaks. Highlighter markup inside the code is flattened.
+ * @param {Node} node - The pre or code element
+ * @returns {string} The code text
+ */
+function getCodeText(node) {
+  if (node.nodeType === 3) { // Node.TEXT_NODE
+    return node.textContent;
+  }
+  
+  if (node.nodeType === 1 && node.tagName.toLowerCase() === 'br') {
+    return '\n';
+  }
+  
+  return Array.from(node.childNodes).map(getCodeText).join('');
+}
+
+/**
+ * Create a code block node from a pre or code element. A <pre><code> pair
+ * makes a single block.
+ * @param {HTMLElement} element - The pre or code element
+ * @returns {Object} A Ricos code block node
+ */
+function createCodeBlockNode(element) {
+  // The newline that closes the last line is not part of the code
+  const text = getCodeText(element).replace(/\r\n?/g, '\n').replace(/\n$/, '');
+  
+  const codeBlockNode = {
+    type: 'CODE_BLOCK',
+    id: generateId(),
+    nodes: [createTextNode(text)]
+  };
+  
+  const language = getCodeLanguage(element);
+  if (language) {
+    codeBlockNode.codeBlockData = {
+      language
+    };
+  }
+  
+  return codeBlockNode;
+}
+
+/**
+ * Check whether a code element outside a pre is a block of code rather than
+ * a snippet, i.e. it spans several lines
+ * @param {HTMLElement} element - The code element
+ * @returns {boolean} True for multi-line code
+ */
+function isCodeBlockElement(element) {
+  return /\n/.test(getCodeText(element).trim()) || Boolean(element.querySelector('br'));
+}
+
+// Ricos vertical alignments for CSS vertical-align and the valign attribute
+const VERTICAL_ALIGNMENTS = {
+  top: 'TOP',
+  middle: 'MIDDLE',
+  center: 'MIDDLE',
+  bottom: 'BOTTOM'
+};
+
+// Ricos text alignments for the align attribute
+const ATTRIBUTE_ALIGNMENTS = {
+  left: 'LEFT',
+  center: 'CENTER',
+  right: 'RIGHT',
+  justify: 'JUSTIFY'
+};
+
+/**
+ * Read a width or height in px from an element's attribute or style
+ * @param {HTMLElement} element - The element
+ * @param {string} property - 'width' or 'height'
+ * @returns {Object|null} { value, unit } where unit is 'px' or '%', or null
+ */
+function getElementDimension(element, property) {
+  const declared = parseStyle(element.getAttribute('style'))[property] || element.getAttribute(property);
+  if (!declared) return null;
+  
+  const value = declared.trim();
+  if (value.endsWith('%')) {
+    const percent = parseFloat(value);
+    return percent > 0 ? { value: percent, unit: '%' } : null;
+  }
+  
+  // Attributes are plain numbers in px
+  const px = lengthToPx(/^[\d.]+$/.test(value) ? `${value}px` : value);
+  return px > 0 ? { value: Math.round(px), unit: 'px' } : null;
+}
+
+/**
+ * Read cell styling shared by table rows and cells
+ * @param {HTMLElement} element - A tr, th or td element
+ * @returns {Object} { backgroundColor, verticalAlignment, textAlignment }, each optional
+ */
+function getTableCellStyle(element) {
+  const declarations = parseStyle(element.getAttribute('style'));
+  const cellStyle = {};
+  
+  const backgroundColor = normalizeColor(declarations['background-color'] || element.getAttribute('bgcolor')) ||
+    (declarations.background && findColor(declarations.background));
+  if (backgroundColor) {
+    cellStyle.backgroundColor = backgroundColor;
+  }
+  
+  const verticalAlign = (declarations['vertical-align'] || element.getAttribute('valign') || '').toLowerCase();
+  if (VERTICAL_ALIGNMENTS[verticalAlign]) {
+    cellStyle.verticalAlignment = VERTICAL_ALIGNMENTS[verticalAlign];
+  }
+  
+  const style = processNodeStyle(element);
+  const textAlignment = (style && style.textAlignment) ||
+    ATTRIBUTE_ALIGNMENTS[(element.getAttribute('align') || '').toLowerCase()];
+  if (textAlignment) {
+    cellStyle.textAlignment = textAlignment;
+  }
+  
+  return cellStyle;
+}
+
+/**
+ * Read column widths from <colgroup>/<col> elements
+ * @param {HTMLElement} element - The table element
+ * @returns {Array} Column widths ({ value, unit } or null) by column index
+ */
+function getColumnWidths(element) {
+  const widths = [];
+  const columnElements = Array.from(element.children)
+    .filter(child => child.tagName.toLowerCase() === 'colgroup')
+    .flatMap(colgroup => {
+      const cols = Array.from(colgroup.children).filter(child => child.tagName.toLowerCase() === 'col');
+      // A colgroup without col children describes its columns itself
+      return cols.length > 0 ? cols : [colgroup];
+    });
+  
+  for (const column of columnElements) {
+    const span = Math.max(parseInt(column.getAttribute('span'), 10) || 1, 1);
+    const width = getElementDimension(column, 'width');
+    for (let i = 0; i < span; i++) {
+      widths.push(width);
+    }
+  }
+  
+  return widths;
+}
+
+/**
+ * Convert the content of a table cell
+ * @param {HTMLElement} cell - The th or td element
+ * @param {boolean} isHeader - Whether the cell is a header cell
+ * @param {string} textAlignment - Text alignment for the cell paragraphs
+ * @returns {Array} Ricos block nodes for the cell
+ */
+function convertTableCellContent(cell, isHeader, textAlignment) {
+  // The cell background belongs to the cell, not to its text
+  const cellStyle = processNodeStyle(cell);
+  const decorations = applyStyleDecorations(
+    isHeader ? [{ type: 'BOLD', fontWeightValue: 700 }] : [],
+    cellStyle && { ...cellStyle, backgroundColor: undefined }
+  );
+  
+  // Cells hold blocks like any container except tables, and at least one
+  // paragraph
+  const cellNodes = convertNodeToRicos(cell, decorations, 'TABLE_CELL');
+  if (cellNodes.length === 0) {
+    cellNodes.push({
+      type: 'PARAGRAPH',
+      id: generateId(),
+      nodes: []
+    });
+  }
+  
+  // Apply the cell alignment to paragraphs that do not set their own
+  cellNodes.forEach(node => {
+    if (node.type !== 'PARAGRAPH' || isSpacingParagraph(node)) return;
+    const textStyle = (node.paragraphData && node.paragraphData.textStyle) || {};
+    if (!textStyle.textAlignment || textStyle.textAlignment === 'AUTO') {
+      node.paragraphData = {
+        ...node.paragraphData,
+        textStyle: {
+          ...textStyle,
+          textAlignment
+        }
+      };
+    }
+  });
+  
+  return cellNodes;
+}
+
+/**
+ * Handle table element
+ * @param {HTMLElement} element - The table element to process
+ * @returns {Array} The Ricos table node, preceded by a caption paragraph if the table has one
+ */
+function handleTable(element) {
+  // Rows of this table only, thead first and tfoot last, not rows of nested tables
+  const rows = Array.from(element.rows || []).filter(row => row.cells.length > 0);
+  if (rows.length === 0) {
+    return [createSpacingParagraph()]; // Return empty paragraph if no rows
+  }
+  
+  const tableNodes = [];
+  
+  // Keep the caption as a centered paragraph above the table
+  const caption = element.caption;
+  if (caption && caption.textContent.trim()) {
+    tableNodes.push({
+      type: 'PARAGRAPH',
+      id: generateId(),
+      nodes: processTextAndInlineElements(caption),
+      paragraphData: {
+        textStyle: {
+          textAlignment: 'CENTER'
+        }
+      }
+    });
+  }
+  
+  const tableRows = [];
+  const rowsHeight = [];
+  const cellWidths = [];
+  const isHeaderRow = [];
+  const firstCellIsHeader = [];
+  
+  // Grid positions taken by cells spanning down from earlier rows
+  const occupied = [];
+  let maxCols = 0;
+  
+  // Process each row
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    const rowCells = [];
+    const section = row.parentElement ? row.parentElement.tagName.toLowerCase() : '';
+    const rowStyle = getTableCellStyle(row);
+    const cells = Array.from(row.cells);
+    let rowHeight = getElementDimension(row, 'height');
+    let column = 0;
+    
+    occupied[i] = occupied[i] || [];
+    isHeaderRow.push(section === 'thead' || cells.every(cell => cell.tagName.toLowerCase() === 'th'));
+    firstCellIsHeader.push(cells[0].tagName.toLowerCase() === 'th');
+    
+    // Process each cell
+    for (const cell of cells) {
+      // Skip grid positions covered by rowspans from rows above
+      while (occupied[i][column]) {
+        column++;
+      }
+      
+      const isHeader = cell.tagName.toLowerCase() === 'th' || section === 'thead';
+      const colspan = Math.max(parseInt(cell.getAttribute('colspan'), 10) || 1, 1);
+      // A rowspan of 0 spans the rest of the table section
+      const rowspanAttribute = parseInt(cell.getAttribute('rowspan'), 10);
+      const rowspan = Math.min(
+        rowspanAttribute === 0 ? rows.length - i : Math.max(rowspanAttribute || 1, 1),
+        rows.length - i
+      );
+      
+      for (let r = i; r < i + rowspan; r++) {
+        occupied[r] = occupied[r] || [];
+        for (let c = column; c < column + colspan; c++) {
+          occupied[r][c] = true;
+        }
+      }
+      
+      const cellStyle = { ...rowStyle, ...getTableCellStyle(cell) };
+      const textAlignment = cellStyle.textAlignment || (cell.tagName.toLowerCase() === 'th' ? 'CENTER' : 'AUTO');
+      
+      // Create cell node
+      const cellNode = {
+        type: 'TABLE_CELL',
+        id: generateId(),
+        nodes: convertTableCellContent(cell, isHeader, textAlignment)
+      };
+      
+      const cellData = {};
+      if (colspan > 1) {
+        cellData.colspan = colspan;
+      }
+      if (rowspan > 1) {
+        cellData.rowspan = rowspan;
+      }
+      if (cellStyle.backgroundColor || cellStyle.verticalAlignment) {
+        cellData.cellStyle = {};
+        if (cellStyle.verticalAlignment) {
+          cellData.cellStyle.verticalAlignment = cellStyle.verticalAlignment;
+        }
+        if (cellStyle.backgroundColor) {
+          cellData.cellStyle.backgroundColor = cellStyle.backgroundColor;
+        }
+      }
+      if (Object.keys(cellData).length > 0) {
+        cellNode.cellData = cellData;
+      }
+      
+      // Single-column cells give the width of their column
+      const cellWidth = getElementDimension(cell, 'width');
+      if (cellWidth && colspan === 1 && !cellWidths[column]) {
+        cellWidths[column] = cellWidth;
+      }
+      
+      // Single-row cells give the height of their row
+      const cellHeight = getElementDimension(cell, 'height');
+      if (cellHeight && cellHeight.unit === 'px' && rowspan === 1 && (!rowHeight || cellHeight.value > rowHeight.value)) {
+        rowHeight = cellHeight;
+      }
+      
+      rowCells.push(cellNode);
+      column += colspan;
+    }
+    
+    // Track max columns for column width calculation
+    maxCols = Math.max(maxCols, column, occupied[i].length);
+    
+    // Track row height
+    rowsHeight.push(rowHeight && rowHeight.unit === 'px' ? rowHeight.value : 50);
+    
+    // Create row node with cells
+    tableRows.push({
+      type: 'TABLE_ROW',
+      id: generateId(),
+      nodes: rowCells
+    });
+  }
+  
+  // Column widths come from <col> elements first, then from cells
+  const columnWidths = getColumnWidths(element);
+  const widths = [];
+  for (let i = 0; i < maxCols; i++) {
+    widths.push(columnWidths[i] || cellWidths[i] || null);
+  }
+  
+  // Percentages and px cannot be mixed, use whichever unit most columns have
+  const percentCount = widths.filter(width => width && width.unit === '%').length;
+  const pxCount = widths.filter(width => width && width.unit === 'px').length;
+  const unit = percentCount > pxCount ? '%' : 'px';
+  const known = widths.map(width => (width && width.unit === unit ? width.value : null));
+  const knownValues = known.filter(value => value !== null);
+  const fallback = knownValues.length > 0
+    ? knownValues.reduce((sum, value) => sum + value, 0) / knownValues.length
+    : 150;
+  
+  const colsWidthRatio = known.map(value => Math.round(value !== null ? value : fallback));
+  const colsMinWidth = known.map(value => (unit === 'px' && value !== null ? Math.min(value, 140) : 140));
+  
+  const tableData = {
+    dimensions: {
+      colsWidthRatio,
+      rowsHeight,
+      colsMinWidth
+    },
+    borderColor: '#CFCFCF',  // Add light border color
+    cellStyle: {
+      borderWidth: 1,
+      borderStyle: 'solid'
+    }
+  };
+  
+  // Keep header rows and header columns
+  if (isHeaderRow[0]) {
+    tableData.rowHeader = true;
+  }
+  const bodyRowIndexes = isHeaderRow.map((isHeader, index) => index).filter(index => !isHeaderRow[index]);
+  if (bodyRowIndexes.length > 0 && bodyRowIndexes.every(index => firstCellIsHeader[index])) {
+    tableData.columnHeader = true;
+  }
+  
+  tableNodes.push({
+    type: 'TABLE',
+    id: generateId(),
+    nodes: tableRows,
+    tableData
+  });
+  
+  return tableNodes;
+}
+
+// List items split by lifted blocks: the parts after the first continue
+// the same item
+const continuedListItems = new WeakSet();
+
+// Ricos list style types for the values of the <ol type> attribute
+const ORDERED_LIST_TYPES = {
+  '1': 'decimal',
+  a: 'lower-alpha',
+  A: 'upper-alpha',
+  i: 'lower-roman',
+  I: 'upper-roman'
+};
+
+/**
+ * Handle a list item. Its inline content becomes paragraphs, nested lists
+ * stay in the item and other blocks convert as they do anywhere else; the
+ * blocks a list item cannot hold are lifted out, splitting the item. The
+ * checkbox of a task list item stays in its text as a ballot box.
+ * @param {HTMLElement} item - The li element
+ * @param {number} depth - Nesting depth of the list holding the item
+ * @returns {Array} The Ricos list item, or the split items and lifted blocks
+ */
+function handleListItem(item, depth) {
+  const itemNodes = [];
+  const decorations = applyStyleDecorations([], processNodeStyle(item));
+  let inlineNodes = [];
+  
+  // Close the paragraph collecting inline content
+  const flushParagraph = () => {
+    if (hasInlineContent(inlineNodes)) {
+      itemNodes.push(...liftBlocks({
+        type: 'PARAGRAPH',
+        id: generateId(),
+        nodes: inlineNodes
+      }));
+    }
+    inlineNodes = [];
+  };
+  
+  const visit = parent => {
+    for (let i = 0; i < parent.childNodes.length; i++) {
+      const child = parent.childNodes[i];
+      
+      if (child.nodeType === 3) { // Node.TEXT_NODE
+        if (child.textContent) {
+          inlineNodes.push(convertTextNode(child, decorations));
+        }
+        continue;
+      }
+      
+      if (child.nodeType !== 1) { // Node.ELEMENT_NODE
+        continue;
+      }
+      
+      const tagName = child.tagName.toLowerCase();
+      
+      if (tagName === 'ul' || tagName === 'ol') {
+        flushParagraph();
+        itemNodes.push(...handleList(child, depth + 1));
+      } else if (['div', 'section', 'article'].includes(tagName)) {
+        flushParagraph();
+        visit(child);
+        flushParagraph();
+      } else if (isBlockElement(child)) {
+        flushParagraph();
+        itemNodes.push(...fitBlocks(handleBlockElement(child, decorations), 'LIST_ITEM', child));
+      } else {
+        inlineNodes.push(...processInlineElement(child, decorations));
+      }
+    }
+  };
+  
+  visit(item);
+  flushParagraph();
+  
+  // Wix expects every list item to start with a paragraph
+  if (itemNodes.length === 0 || itemNodes[0].type !== 'PARAGRAPH') {
+    itemNodes.unshift({
+      type: 'PARAGRAPH',
+      id: generateId(),
+      nodes: []
+    });
+  }
+  applyDirection(itemNodes, item);
+  
+  const itemNode = {
+    type: 'LIST_ITEM',
+    id: generateId(),
+    nodes: itemNodes
+  };
+  
+  return splitListItem(itemNode);
+}
+
+/**
+ * Split a list item around the blocks it cannot hold. Wix expects every
+ * part to start with a paragraph, like any list item.
+ * @param {Object} itemNode - A Ricos list item node
+ * @returns {Array} The list item, or the split items and lifted blocks
+ */
+function splitListItem(itemNode) {
+  const parts = splitContainer(itemNode);
+  
+  parts.forEach(part => {
+    if (part.type !== 'LIST_ITEM') return;
+    if (part !== itemNode) {
+      continuedListItems.add(part);
+    }
+    if (part.nodes[0].type !== 'PARAGRAPH') {
+      part.nodes.unshift({
+        type: 'PARAGRAPH',
+        id: generateId(),
+        nodes: []
+      });
+    }
+  });
+  
+  return parts;
+}
+
+/**
+ * Number the parts of an ordered list split by lifted blocks, so each part
+ * continues where the one before it ended. A part that starts with the rest
+ * of a split item repeats that item's number.
+ * @param {Array} parts - The split lists and lifted blocks
+ * @param {Object} orderedListData - The data of the original list
+ * @returns {Array} The parts
+ */
+function continueNumbering(parts, orderedListData) {
+  const step = orderedListData.reversed ? -1 : 1;
+  const first = orderedListData.start === undefined ? 1 : orderedListData.start;
+  let number = first;
+  
+  parts.forEach(part => {
+    if (part.orderedListData !== orderedListData) return;
+    if (continuedListItems.has(part.nodes[0])) {
+      number -= step;
+    }
+    if (number !== first) {
+      part.orderedListData = { ...orderedListData, start: number };
+    }
+    number += step * part.nodes.length;
+  });
+  
+  return parts;
+}
+
+/**
+ * Handle ul and ol elements, to any nesting depth
+ * @param {HTMLElement} element - The list element
+ * @param {number} depth - Nesting depth, 0 for a top-level list
+ * @returns {Array} The Ricos list, or the parts of the list split by blocks
+ *   lifted out of its items; empty for a list without items
+ */
+function handleList(element, depth = 0) {
+  const tagName = element.tagName.toLowerCase();
+  const itemNodes = [];
+  
+  for (let i = 0; i < element.childNodes.length; i++) {
+    const child = element.childNodes[i];
+    
+    if (child.nodeType === 1) { // Node.ELEMENT_NODE
+      const childTag = child.tagName.toLowerCase();
+      
+      if (childTag === 'li') {
+        itemNodes.push(...handleListItem(child, depth));
+      } else if ((childTag === 'ul' || childTag === 'ol') && itemNodes.length > 0 &&
+          itemNodes[itemNodes.length - 1].type === 'LIST_ITEM') {
+        // A list placed directly in a list belongs to the previous item
+        const previousItem = itemNodes.pop();
+        previousItem.nodes.push(...handleList(child, depth + 1));
+        itemNodes.push(...splitListItem(previousItem));
+      } else {
+        itemNodes.push(...handleListItem(child, depth));
+      }
+    } else if (child.nodeType === 3 && child.textContent.trim()) { // Node.TEXT_NODE
+      itemNodes.push({
+        type: 'LIST_ITEM',
+        id: generateId(),
+        nodes: [{
+          type: 'PARAGRAPH',
+          id: generateId(),
+          nodes: [convertTextNode(child)]
+        }]
+      });
+    }
+  }
+  
+  // Ricos lists must hold at least one item
+  if (itemNodes.length === 0) {
+    activeReport?.addDroppedElement(element, 'list without items');
+    return [];
+  }
+  
+  if (tagName === 'ol') {
+    const orderedListData = {
+      indentation: depth
+    };
+    
+    const start = parseInt(element.getAttribute('start'), 10);
+    const reversed = element.hasAttribute('reversed');
+    if (!isNaN(start)) {
+      orderedListData.start = start;
+    } else if (reversed) {
+      // Reversed lists count down from the number of items by default
+      orderedListData.start = itemNodes.filter(node => node.type === 'LIST_ITEM' && !continuedListItems.has(node)).length;
+    }
+    
+    if (reversed) {
+      orderedListData.reversed = true;
+    }
+    
+    const listStyleType = ORDERED_LIST_TYPES[element.getAttribute('type')];
+    if (listStyleType) {
+      orderedListData.listStyleType = listStyleType;
+    }
+    
+    return continueNumbering(splitContainer({
+      type: 'ORDERED_LIST',
+      id: generateId(),
+      nodes: itemNodes,
+      orderedListData
+    }), orderedListData);
+  }
+  
+  return splitContainer({
+    type: 'BULLETED_LIST',
+    id: generateId(),
+    nodes: itemNodes,
+    bulletedListData: {
+      indentation: depth
+    }
+  });
+}
+
+/**
+ * Wrap a list item found outside a list in a single-item bulleted list
+ * @param {HTMLElement} element - The li element
+ * @returns {Array} The Ricos bulleted list, or its parts split by lifted blocks
+ */
+function wrapStrayListItem(element) {
+  return splitContainer({
+    type: 'BULLETED_LIST',
+    id: generateId(),
+    nodes: handleListItem(element, 0),
+    bulletedListData: {
+      indentation: 0
+    }
+  });
+}
+
+/**
+ * Convert a paragraph element, lifting media out of it
+ * @param {HTMLElement} element - The p element
+ * @param {Array} decorations - Decorations inherited from ancestor elements
+ * @returns {Array} Array of Ricos nodes
+ */
+function convertParagraph(element, decorations = []) {
+  const pStyle = processNodeStyle(element);
+  const paragraphNode = {
+    type: 'PARAGRAPH',
+    id: generateId(),
+    nodes: processTextAndInlineElements(element, decorations)
+  };
+  
+  // Add paragraph spacing data if style exists
+  if (pStyle) {
+    paragraphNode.paragraphData = {
+      textStyle: createTextStyle(pStyle)
+    };
+    
+    // Map text-indent to indentation levels, or indent once to create spacing effect
+    if (pStyle.textIndent) {
+      paragraphNode.paragraphData.indentation = Math.min(Math.max(Math.round(pStyle.textIndent / 40), 1), 4);
+    } else if (pStyle.margin || pStyle.padding) {
+      paragraphNode.paragraphData.indentation = 1;
+    }
+  }
+  
+  return liftBlocks(paragraphNode);
+}
+
+/**
+ * Convert a div that is not a gallery. Its content converts as blocks, its
+ * styles carry down to its text and an alignment class aligns its paragraphs.
+ * @param {HTMLElement} element - The div element
+ * @param {Array} decorations - Decorations inherited from ancestor elements
+ * @returns {Array} Array of Ricos nodes
+ */
+function convertContainer(element, decorations = []) {
+  const divClass = processNodeClass(element);
+  const blockNodes = convertNodeToRicos(element, applyStyleDecorations(decorations, processNodeStyle(element)));
+  
+  // Apply class-based alignment to paragraphs that do not set their own
+  if (divClass && divClass.textAlignment) {
+    blockNodes.forEach(node => {
+      if (node.type === 'PARAGRAPH' && !node.paragraphData?.textStyle?.textAlignment) {
+        node.paragraphData = {
+          ...node.paragraphData,
+          textStyle: {
+            ...node.paragraphData?.textStyle,
+            textAlignment: divClass.textAlignment
+          }
+        };
+      }
+    });
+  }
+  
+  // Add double spacing around sections
+  if (divClass && divClass.isSection) {
+    return [createSpacingParagraph(), createSpacingParagraph(), ...blockNodes,
+      createSpacingParagraph(), createSpacingParagraph()];
+  }
+  
+  return blockNodes;
+}
+
+// Elements that convert as blocks wherever they appear. Everything else is
+// inline content; runs of inline content between blocks become paragraphs.
+const BLOCK_TAGS = [
+  'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'div', 'blockquote', 'pre', 'ul', 'ol', 'li',
+  'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption', 'figure', 'figcaption', 'hr'
+];
+
+/**
+ * Check whether an element converts as a block: a block tag, or an element
+ * matched by a block-only rule of the active converter
+ * @param {HTMLElement} element - The element
+ * @returns {boolean} True for blocks
+ */
+function isBlockElement(element) {
+  return BLOCK_TAGS.includes(element.tagName.toLowerCase()) ||
+    activeRules.blockOnly.some(rule => ruleMatches(rule, element));
+}
+
+// Built-in rules for block elements. They give the same nodes at document
+// level, inside containers and inside inline content.
+const BLOCK_RULES = normalizeRules([
+  {
+    tag: 'p',
+    convert: (element, { decorations }) => convertParagraph(element, decorations)
+  },
+  {
+    tag: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'],
+    convert: (element, { decorations }) => {
+      const tagName = element.tagName.toLowerCase();
+      const headingLevel = parseInt(tagName.charAt(1));
+      const headingStyle = processNodeStyle(element);
       
-      // Add spacing after sections
-      if (divClass && divClass.isSection) {
-        blockNodes.push(createSpacingParagraph());
-        blockNodes.push(createSpacingParagraph());
+      // Headings get spacing before and after; the spacing policy drops the
+      // spacing at the start and between consecutive headings
+      return [createSpacingParagraph(), ...liftBlocks({
+        type: 'HEADING',
+        id: generateId(),
+        nodes: processTextAndInlineElements(element, decorations),
+        headingData: {
+          level: Math.min(headingLevel, 6), // Ensure level is 1-6
+          textStyle: createTextStyle(headingStyle)
+        }
+      }), createSpacingParagraph()];
+    }
+  },
+  {
+    tag: 'div',
+    // Gallery containers become a single gallery
+    convert: (element, { decorations }) =>
+      isGalleryElement(element) ? handleGallery(element) : convertContainer(element, decorations)
+  },
+  {
+    // Process table content, with spacing after the table
+    tag: 'table',
+    convert: element => [...handleTable(element), createSpacingParagraph()]
+  },
+  {
+    // Table sections, rows and cells are handled within handleTable. Outside
+    // a table their content converts like a div.
+    tag: ['thead', 'tbody', 'tfoot', 'tr', 'th', 'td'],
+    convert: (element, { decorations }) => convertNodeToRicos(element, decorations)
+  },
+  {
+    tag: 'figure',
+    convert: handleFigure
+  },
+  {
+    tag: ['ul', 'ol'],
+    convert: element => handleList(element)
+  },
+  {
+    // A list item outside a list becomes a single-item bulleted list
+    tag: 'li',
+    convert: element => wrapStrayListItem(element)
+  },
+  {
+    tag: 'blockquote',
+    convert: (element, { decorations }) => {
+      // Post embeds use blockquote markup
+      const quoteEmbed = createBlockquoteEmbedNode(element);
+      if (quoteEmbed) {
+        return [quoteEmbed];
       }
-      break;
       
-    default:
-      // For any other block element, convert to paragraph
-      blockNodes.push({
-        type: 'PARAGRAPH',
+      // Quotes hold paragraphs; other blocks are lifted out between them
+      return splitContainer({
+        type: 'BLOCKQUOTE',
         id: generateId(),
-        nodes: processTextAndInlineElements(element)
+        nodes: convertNodeToRicos(element, applyStyleDecorations(decorations, processNodeStyle(element)), 'BLOCKQUOTE')
       });
-      break;
+    }
+  },
+  {
+    // Convert pre, with or without an inner code, to a single code block
+    tag: 'pre',
+    convert: element => [createCodeBlockNode(element)]
+  },
+  {
+    tag: 'hr',
+    convert: () => [{
+      type: 'DIVIDER',
+      id: generateId()
+    }]
+  }
+]);
+
+/**
+ * Handle a block element, wherever it appears
+ * @param {HTMLElement} element - The element to process
+ * @param {Array} decorations - Decorations inherited from ancestor elements
+ * @returns {Array} Array of Ricos nodes
+ */
+function handleBlockElement(element, decorations = []) {
+  const ruleNodes = applyRules(activeRules.block, element, createRuleHelpers('block', decorations));
+  if (ruleNodes) {
+    return ruleNodes;
   }
   
-  return blockNodes;
+  // For any other block element, convert to paragraph
+  activeReport?.addFlattenedElement(element, 'paragraph');
+  return liftBlocks({
+    type: 'PARAGRAPH',
+    id: generateId(),
+    nodes: processTextAndInlineElements(element, decorations)
+  });
+}
+
+/**
+ * Convert a run of inline content that sits between blocks
+ * @param {Array} run - Sibling text and inline element nodes
+ * @param {Array} decorations - Decorations inherited from ancestor elements
+ * @returns {Array} Array of Ricos nodes
+ */
+function convertInlineRun(run, decorations) {
+  const elements = run.filter(child => child.nodeType === 1); // Node.ELEMENT_NODE
+  const hasText = run.some(child => child.nodeType === 3 && child.textContent.trim()); // Node.TEXT_NODE
+  
+  if (!hasText && elements.length === 0) {
+    return [];
+  }
+  
+  if (!hasText && elements.length === 1 && elements[0].tagName.toLowerCase() === 'code' &&
+      isCodeBlockElement(elements[0])) {
+    // Multi-line code on its own is a code block
+    return [createCodeBlockNode(elements[0])];
+  }
+  
+  // Whitespace alone between blocks makes no paragraph
+  const inlineNodes = processInlineNodes(run, decorations);
+  if (!hasInlineContent(inlineNodes)) {
+    return [];
+  }
+  
+  return liftBlocks({
+    type: 'PARAGRAPH',
+    id: generateId(),
+    nodes: inlineNodes
+  });
 }
 
 /**
- * Main function to convert nodes recursively
- * @param {Node} node - The DOM node to convert
+ * Main function to convert nodes recursively: the children of a node as
+ * block nodes
+ * @param {Node} node - The DOM node whose children to convert
+ * @param {Array} [decorations=[]] - Decorations for text outside blocks
+ * @param {string} [containerType] - Type of the Ricos container the nodes go
+ *   in, to fit each block to it with fitBlocks
  * @returns {Array} Array of Ricos nodes
  */
-function convertNodeToRicos(node) {
+function convertNodeToRicos(node, decorations = [], containerType) {
   const nodes = [];
 
   if (!node || !node.childNodes) {
     return nodes;
   }
 
-  // Track previous element type for spacing
-  let previousWasText = false;
-  let previousWasHeading = false;
+  let inlineRun = [];
   
-  for (let i = 0; i < node.childNodes.length; i++) {
-    const child = node.childNodes[i];
-
-    if (child.nodeType === 3) { // Node.TEXT_NODE
-      // For text content outside block elements
-      const text = child.textContent;
-      if (text && text.trim()) {
-        nodes.push({
-          type: 'TEXT',
-          id: '',
-          textData: {
-            text: text
-          }
-        });
-        previousWasText = true;
-        previousWasHeading = false;
-      }
-    } else if (child.nodeType === 1) { // Node.ELEMENT_NODE
-      const element = child;
-      const tagName = element.tagName.toLowerCase();
-
-      switch (tagName) {
-        case 'p':
-          nodes.push(...handleBlockElement(element));
-          previousWasText = true;
-          previousWasHeading = false;
-          break;
-
-        case 'h1':
-        case 'h2':
-        case 'h3':
-        case 'h4':
-        case 'h5':
-        case 'h6':
-          // Add spacing before headings (except the first one)
-          if (nodes.length > 0 && !previousWasHeading) {
-            nodes.push(createSpacingParagraph());
-          }
-          
-          const headingLevel = parseInt(tagName.charAt(1));
-          const headingStyle = processNodeStyle(element);
-          const headingNode = {
-            type: 'HEADING',
-            id: generateId(),
-            nodes: processTextAndInlineElements(element),
-            headingData: {
-              level: Math.min(headingLevel, 6), // Ensure level is 1-6
-              textStyle: {
-                textAlignment: headingStyle?.textAlignment || 'AUTO'
-              }
-            }
-          };
-          
-          nodes.push(headingNode);
-          
-          // Add empty paragraph after headings for spacing
-          nodes.push(createSpacingParagraph());
-          previousWasText = false;
-          previousWasHeading = true;
-          break;
-
-        case 'div':
-          // Handle div contents as block elements
-          const divContent = convertNodeToRicos(element);
-          nodes.push(...divContent);
-          break;
-
-        case 'table':
-          // Process table content
-          const tableNode = handleTable(element);
-          nodes.push(tableNode);
-          // Add spacing after table
-          nodes.push(createSpacingParagraph());
-          break;
-          
-        case 'thead':
-        case 'tbody':
-        case 'tfoot':
-          // Skip these container elements and process their children
-          nodes.push(...convertNodeToRicos(element));
-          break;
-          
-        case 'tr':
-          // Process table row - we will handle these within handleTable
-          // This is here for cases where a table row might be outside a table
-          nodes.push(...convertNodeToRicos(element));
-          break;
-          
-        case 'th':
-        case 'td':
-          // Process table cell - we will handle these within handleTable
-          // This is here for cases where a table cell might be outside a row
-          nodes.push(...processTextAndInlineElements(element));
-          break;
-
-        // Handle inline elements
-        case 'strong':
-        case 'em':
-        case 'a':
-        case 'b':
-        case 'i':
-        case 'u':
-        case 'span':
-          // These are now handled inside processTextAndInlineElements
-          nodes.push(...processTextAndInlineElements(element));
-          break;
-
-        case 'img':
-          const imgWidth = element.hasAttribute('width') ? parseInt(element.getAttribute('width') || '0') : 500;
-          const imgHeight = element.hasAttribute('height') ? parseInt(element.getAttribute('height') || '0') : 300;
-          
-          nodes.push({
-            type: 'IMAGE',
-            id: generateId(),
-            imageData: {
-              containerData: {
-                width: {
-                  size: 'CONTENT'
-                },
-                alignment: 'CENTER',
-                textWrap: true
-              },
-              image: {
-                src: {
-                  url: element.getAttribute('src') || ''
-                },
-                width: imgWidth,
-                height: imgHeight
-              }
-            }
-          });
-          break;
-
-        case 'ul':
-          nodes.push({
-            type: 'BULLETED_LIST',
-            id: generateId(),
-            nodes: convertNodeToRicos(element)
-          });
-          break;
-
-        case 'ol':
-          nodes.push({
-            type: 'ORDERED_LIST',
-            id: generateId(),
-            nodes: convertNodeToRicos(element)
-          });
-          break;
-
-        case 'li':
-          nodes.push({
-            type: 'LIST_ITEM',
-            id: generateId(),
-            nodes: processTextAndInlineElements(element)
-          });
-          break;
-          
-        case 'blockquote':
-          nodes.push({
-            type: 'BLOCKQUOTE',
-            id: generateId(),
-            nodes: processTextAndInlineElements(element)
-          });
-          break;
-          
-        case 'pre':
-        case 'code':
-          nodes.push({
-            type: 'CODE_BLOCK',
-            id: generateId(),
-            nodes: [{
-              type: 'TEXT',
-              id: '',
-              textData: {
-                text: element.textContent || ''
-              }
-            }]
-          });
-          break;
-          
-        case 'hr':
-          nodes.push({
-            type: 'DIVIDER',
-            id: generateId()
-          });
-          break;
-
-        case 'br':
-          // Add a proper paragraph break instead of just a text node with newline
-          nodes.push({
-            type: 'PARAGRAPH',
-            id: generateId(),
-            nodes: [{
-              type: 'TEXT',
-              id: '',
-              textData: {
-                text: ' '
-              }
-            }]
-          });
-          break;
-          
-        default:
-          // For any unhandled elements, try to handle as block element or fall back to text
-          nodes.push(...handleBlockElement(element));
-          break;
-      }
-    }
-  }
+  // Close the run of inline content before a block
+  const flushInlineRun = () => {
+    nodes.push(...applyDirection(convertInlineRun(inlineRun, decorations), node));
+    inlineRun = [];
+  };
 
-  // Add double spacing between major block elements
   for (let i = 0; i < node.childNodes.length; i++) {
     const child = node.childNodes[i];
-    if (child.nodeType === 1) { // Node.ELEMENT_NODE
-      const element = child;
-      const tagName = element.tagName.toLowerCase();
-      
-      // Add double spacing between major sections
-      if (tagName === 'div' && element.getAttribute('class') && 
-          (element.getAttribute('class').includes('section') || 
-           element.getAttribute('class').includes('container'))) {
-        nodes.push(createSpacingParagraph());
-        nodes.push(createSpacingParagraph());
-      }
+
+    if (child.nodeType === 1 && isBlockElement(child)) { // Node.ELEMENT_NODE
+      flushInlineRun();
+      const blockNodes = applyDirection(handleBlockElement(child, decorations), child);
+      nodes.push(...(containerType ? fitBlocks(blockNodes, containerType, child) : blockNodes));
+    } else if (child.nodeType === 1 || child.nodeType === 3) { // Node.TEXT_NODE
+      inlineRun.push(child);
     }
   }
+  
+  flushInlineRun();
 
-  return nodes;
+  // Consecutive images form a gallery
+  return groupConsecutiveImages(nodes);
 }
 
 /**
- * Main function to convert HTML to Ricos format
- * @param {string} html - The HTML string to convert
- * @returns {Object} A Ricos document object
+ * Set the text direction of a paragraph or heading in its textStyle
+ * @param {Object} node - A Ricos paragraph or heading node
+ * @param {string} direction - 'RTL' or 'LTR'
  */
-function htmlToRicos(html) {
-  // Sanitize input HTML with more allowed tags and styles
-  const cleanHtml = sanitizeHtml(html, {
-    allowedTags: [
-      'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 
-      'strong', 'em', 'b', 'i', 'u', 'a', 'img', 
-      'ul', 'ol', 'li', 'table', 'tr', 'td', 'th', 'tbody', 'thead',
-      'div', 'span', 'br', 'hr', 'blockquote', 'code', 'pre'
-    ],
-    allowedAttributes: {
-      'a': ['href', 'target', 'rel', 'title', 'style', 'class'],
-      'img': ['src', 'alt', 'width', 'height', 'style', 'class'],
-      'td': ['colspan', 'rowspan', 'style', 'class'],
-      'th': ['colspan', 'rowspan', 'style', 'class'],
-      'div': ['class', 'id', 'style'],
-      'span': ['class', 'id', 'style'],
-      'p': ['class', 'style'],
-      'h1': ['class', 'style'],
-      'h2': ['class', 'style'],
-      'h3': ['class', 'style'],
-      'h4': ['class', 'style'],
-      'h5': ['class', 'style'],
-      'h6': ['class', 'style'],
-      'ul': ['class', 'style'],
-      'ol': ['class', 'style'],
-      'li': ['class', 'style'],
-      'blockquote': ['class', 'style'],
-      'pre': ['class', 'style'],
-      'code': ['class', 'style'],
-      '*': ['style', 'class', 'id']
+function setTextDirection(node, direction) {
+  const dataKey = node.type === 'HEADING' ? 'headingData' : 'paragraphData';
+  node[dataKey] = {
+    ...node[dataKey],
+    textStyle: {
+      ...node[dataKey]?.textStyle,
+      textDirection: direction
     }
-  });
+  };
+}
 
-  // Create a temporary document to parse the HTML
-  const dom = new JSDOM(cleanHtml);
-  const doc = dom.window.document;
+/**
+ * Give the paragraphs and headings converted from an element the direction
+ * of its text, at any nesting level. Nodes that already have a direction
+ * came from a nearer element and keep it. With direction detection on,
+ * text without a dir falls back to its language, then to its first letter.
+ * @param {Array} nodes - Ricos nodes converted from the element
+ * @param {HTMLElement} element - The element
+ * @returns {Array} The nodes, changed in place
+ */
+function applyDirection(nodes, element) {
+  const direction = getDirection(element) ||
+    (activeDirectionDetection ? getLanguageDirection(element) : null);
+  if (!direction && !activeDirectionDetection) {
+    return nodes;
+  }
   
-  // Process the document body with spacing
-  const nodes = convertNodeToRicos(doc.body);
+  const visit = siblings => siblings.forEach(node => {
+    if (node.type !== 'PARAGRAPH' && node.type !== 'HEADING') {
+      if (node.nodes) visit(node.nodes);
+      return;
+    }
+    
+    const data = node.type === 'HEADING' ? node.headingData : node.paragraphData;
+    if (isSpacingParagraph(node) || data?.textStyle?.textDirection) return;
+    
+    const text = node.nodes.map(child => (child.textData ? child.textData.text : '')).join('');
+    const nodeDirection = direction || detectTextDirection(text);
+    if (nodeDirection) {
+      setTextDirection(node, nodeDirection);
+    }
+  });
   
+  visit(nodes);
+  return nodes;
+}
+
+/**
+ * Check whether a node is a spacing paragraph created by createSpacingParagraph
+ * @param {Object} node - The Ricos node
+ * @returns {boolean} True for spacing paragraphs
+ */
+function isSpacingParagraph(node) {
+  return node.type === 'PARAGRAPH' && 
+         !node.paragraphData && 
+         node.nodes && 
+         node.nodes.length === 1 && 
+         node.nodes[0].type === 'TEXT' && 
+         node.nodes[0].textData && 
+         node.nodes[0].textData.text === ' ';
+}
+
+/**
+ * Normalize spacing paragraphs in a list of sibling nodes: collapse runs of
+ * spacers, make sure headings have a spacer on both sides and trim spacers
+ * from the start and end
+ * @param {Array} nodes - Sibling Ricos nodes
+ * @returns {Array} The normalized nodes
+ */
+function normalizeSpacingParagraphs(nodes) {
   // Improve spacing around headings and sections
   const enhancedNodes = [];
   let previousType = null;
   
   for (let i = 0; i < nodes.length; i++) {
     const node = nodes[i];
-    const isSpacing = node.type === 'PARAGRAPH' && 
-                     node.nodes && 
-                     node.nodes.length === 1 && 
-                     node.nodes[0].type === 'TEXT' && 
-                     node.nodes[0].textData && 
-                     node.nodes[0].textData.text === ' ';
+    const isSpacing = isSpacingParagraph(node);
     
     // Skip consecutive spacing paragraphs
     if (isSpacing && previousType === 'SPACING') {
@@ -980,13 +2296,7 @@ function htmlToRicos(html) {
       
       // Check if next node is not already a spacing
       const nextNode = i + 1 < nodes.length ? nodes[i + 1] : null;
-      if (!nextNode || 
-          !(nextNode.type === 'PARAGRAPH' && 
-           nextNode.nodes && 
-           nextNode.nodes.length === 1 && 
-           nextNode.nodes[0].type === 'TEXT' && 
-           nextNode.nodes[0].textData && 
-           nextNode.nodes[0].textData.text === ' ')) {
+      if (!nextNode || !isSpacingParagraph(nextNode)) {
         enhancedNodes.push(createSpacingParagraph());
       }
       
@@ -1000,44 +2310,554 @@ function htmlToRicos(html) {
     }
   }
   
-  // Clean up nodes - remove leading and trailing spacing paragraphs
-  const cleanedNodes = [];
-  
   // Remove leading spacing paragraphs
   let startIndex = 0;
-  while (startIndex < enhancedNodes.length && 
-         enhancedNodes[startIndex].type === 'PARAGRAPH' && 
-         enhancedNodes[startIndex].nodes && 
-         enhancedNodes[startIndex].nodes.length === 1 && 
-         enhancedNodes[startIndex].nodes[0].type === 'TEXT' && 
-         enhancedNodes[startIndex].nodes[0].textData && 
-         enhancedNodes[startIndex].nodes[0].textData.text === ' ') {
+  while (startIndex < enhancedNodes.length && isSpacingParagraph(enhancedNodes[startIndex])) {
     startIndex++;
   }
   
   // Remove trailing spacing paragraphs
   let endIndex = enhancedNodes.length - 1;
-  while (endIndex >= 0 && 
-         enhancedNodes[endIndex].type === 'PARAGRAPH' && 
-         enhancedNodes[endIndex].nodes && 
-         enhancedNodes[endIndex].nodes.length === 1 && 
-         enhancedNodes[endIndex].nodes[0].type === 'TEXT' && 
-         enhancedNodes[endIndex].nodes[0].textData && 
-         enhancedNodes[endIndex].nodes[0].textData.text === ' ') {
+  while (endIndex >= startIndex && isSpacingParagraph(enhancedNodes[endIndex])) {
     endIndex--;
   }
   
-  // Copy the cleaned nodes
-  for (let i = startIndex; i <= endIndex; i++) {
-    cleanedNodes.push(enhancedNodes[i]);
+  return enhancedNodes.slice(startIndex, endIndex + 1);
+}
+
+/**
+ * Spacing modes supported by htmlToRicos:
+ * - 'paragraphs' (default): empty ' ' paragraphs between blocks, collapsed
+ *   to one per gap, always around headings and never at the start or end
+ * - 'padding': the same gaps, expressed as style.paddingTop on the node
+ *   that follows the gap instead of as separate paragraphs
+ * - 'none': no spacing at all, for themes that space blocks themselves
+ */
+const SPACING_MODES = ['paragraphs', 'padding', 'none'];
+
+/**
+ * Apply the spacing policy to a list of sibling nodes and all their descendants
+ * @param {Array} nodes - Sibling Ricos nodes
+ * @param {Object} options - Conversion options
+ * @param {string} [options.spacing='paragraphs'] - One of SPACING_MODES
+ * @param {string} [options.spacingSize='18px'] - Gap size used by the 'padding' mode
+ * @returns {Array} The nodes with spacing applied
+ */
+function applySpacingPolicy(nodes, options = {}) {
+  const mode = options.spacing || 'paragraphs';
+  
+  // Spacers are not meaningful among inline content
+  if (nodes.every(node => node.type === 'TEXT' || isSpacingParagraph(node))) {
+    return nodes;
+  }
+  
+  const siblings = nodes.map(node => {
+    if (node.nodes && node.nodes.length > 0) {
+      node.nodes = applySpacingPolicy(node.nodes, options);
+    }
+    return node;
+  });
+  
+  if (mode === 'none') {
+    return siblings.filter(node => !isSpacingParagraph(node));
+  }
+  
+  const normalizedNodes = normalizeSpacingParagraphs(siblings);
+  if (mode === 'paragraphs') {
+    return normalizedNodes;
+  }
+  
+  // Move each remaining gap onto the node after it
+  const paddedNodes = [];
+  let pendingGap = false;
+  
+  for (const node of normalizedNodes) {
+    if (isSpacingParagraph(node)) {
+      pendingGap = true;
+      continue;
+    }
+    
+    if (pendingGap) {
+      node.style = {
+        ...node.style,
+        paddingTop: options.spacingSize || '18px'
+      };
+      pendingGap = false;
+    }
+    
+    paddedNodes.push(node);
+  }
+  
+  return paddedNodes;
+}
+
+// Sanitizer options: the tags and attributes the converter understands
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 
+    'strong', 'em', 'b', 'i', 'u', 'a', 'img', 
+    'ul', 'ol', 'li', 'table', 'tr', 'td', 'th', 'tbody', 'thead', 'tfoot',
+    'caption', 'colgroup', 'col', 'figure', 'figcaption',
+    'div', 'span', 'br', 'hr', 'blockquote', 'code', 'pre', 'kbd', 'samp', 'tt', 'input',
+    's', 'del', 'strike', 'ins', 'sup', 'sub', 'mark', 'small', 'abbr', 'bdi', 'bdo',
+    'iframe', 'video', 'audio', 'source'
+  ],
+  allowedAttributes: {
+    'a': ['href', 'target', 'rel', 'title', 'style', 'class'],
+    'img': ['src', 'alt', 'width', 'height', 'align', 'style', 'class'],
+    'table': ['width', 'style', 'class'],
+    'tr': ['height', 'bgcolor', 'align', 'valign', 'style', 'class'],
+    'td': ['colspan', 'rowspan', 'width', 'height', 'bgcolor', 'align', 'valign', 'style', 'class'],
+    'th': ['colspan', 'rowspan', 'width', 'height', 'bgcolor', 'align', 'valign', 'style', 'class'],
+    'colgroup': ['span', 'width', 'style'],
+    'col': ['span', 'width', 'style'],
+    'div': ['class', 'id', 'style'],
+    'span': ['class', 'id', 'style'],
+    'p': ['class', 'style'],
+    'h1': ['class', 'style'],
+    'h2': ['class', 'style'],
+    'h3': ['class', 'style'],
+    'h4': ['class', 'style'],
+    'h5': ['class', 'style'],
+    'h6': ['class', 'style'],
+    'ul': ['class', 'style'],
+    'ol': ['class', 'style', 'start', 'reversed', 'type'],
+    'li': ['class', 'style'],
+    'blockquote': ['class', 'style', 'cite', 'data-instgrm-permalink'],
+    'pre': ['class', 'style', 'data-lang', 'data-language'],
+    'code': ['class', 'style', 'data-lang', 'data-language'],
+    'input': ['type', 'checked', 'disabled'],
+    'iframe': ['src', 'width', 'height', 'title', 'style', 'class'],
+    'video': ['src', 'poster', 'width', 'height', 'title', 'style', 'class'],
+    'audio': ['src', 'title', 'style', 'class'],
+    'source': ['src', 'type'],
+    '*': ['style', 'class', 'id', 'dir', 'lang']
+  },
+  // Inline base64 images are kept so they can be uploaded
+  allowedSchemesByTag: {
+    img: ['http', 'https', 'data']
+  },
+  // Tags whose content is removed with them (the sanitize-html default)
+  nonTextTags: ['script', 'style', 'textarea', 'option', 'xmp']
+};
+
+// Version of the Ricos document format the converter produces
+const RICOS_VERSION = 1;
+
+/**
+ * Create the metadata of a converted document. The id follows the ID
+ * strategy of the nodes. Timestamps are the conversion time with random
+ * 'uuid' IDs only, so 'sequence' and 'hash' output stays the same on every
+ * run unless the caller passes timestamps.
+ * @param {Array} nodes - The document nodes
+ * @param {Object} options - Conversion options
+ * @param {Object} [options.metadata] - Fields that replace the generated ones
+ * @returns {Object} Ricos metadata: version and id, and createdTimestamp
+ *   and updatedTimestamp for 'uuid' IDs
+ */
+function createMetadata(nodes, options) {
+  const metadata = { version: RICOS_VERSION };
+  
+  if ((options.ids || 'uuid') === 'uuid') {
+    const now = new Date().toISOString();
+    metadata.createdTimestamp = now;
+    metadata.updatedTimestamp = now;
+  }
+  
+  metadata.id = createDocumentId(nodes, options);
+  
+  return { ...metadata, ...options.metadata };
+}
+
+// documentStyle keys for the tags whose base style the stylesheet computes
+const DOCUMENT_STYLE_KEYS = {
+  p: 'paragraph',
+  h1: 'headerOne',
+  h2: 'headerTwo',
+  h3: 'headerThree',
+  h4: 'headerFour',
+  h5: 'headerFive',
+  h6: 'headerSix',
+  blockquote: 'blockquote',
+  pre: 'codeBlock'
+};
+
+/**
+ * Create a Ricos documentStyle from the base styles of the source document
+ * @param {Object} baseStyles - Tag names mapped to style attribute values,
+ *   see resolveStylesheets
+ * @returns {Object} documentStyle keys mapped to text node styles, for the
+ *   tags with decorations or a line height
+ */
+function createDocumentStyle(baseStyles) {
+  const documentStyle = {};
+  
+  Object.entries(DOCUMENT_STYLE_KEYS).forEach(([tagName, key]) => {
+    const style = processStyleText(baseStyles[tagName]);
+    if (!style) return;
+    
+    const textNodeStyle = {
+      decorations: applyStyleDecorations([], style)
+    };
+    if (style.lineHeight) {
+      textNodeStyle.lineHeight = style.lineHeight;
+    }
+    
+    if (textNodeStyle.decorations.length > 0 || textNodeStyle.lineHeight) {
+      documentStyle[key] = textNodeStyle;
+    }
+  });
+  
+  return documentStyle;
+}
+
+/**
+ * Remove the text decorations and line heights that repeat the
+ * documentStyle entry of their block. Stylesheet values that body text
+ * inherits are written onto every element, but Ricos applies the document
+ * defaults to any text without a value of its own, so they are only needed
+ * once.
+ * @param {Array} nodes - Ricos nodes, changed in place
+ * @param {Object} documentStyle - The documentStyle of the document
+ * @param {string|null} [paragraphKey='paragraph'] - documentStyle key of the
+ *   paragraphs among the nodes, or null to leave them as they are
+ */
+function removeDocumentDefaults(nodes, documentStyle, paragraphKey = 'paragraph') {
+  for (const node of nodes) {
+    let key = null;
+    let textStyle = null;
+    if (node.type === 'PARAGRAPH') {
+      key = paragraphKey;
+      textStyle = node.paragraphData && node.paragraphData.textStyle;
+    } else if (node.type === 'HEADING') {
+      key = DOCUMENT_STYLE_KEYS[`h${node.headingData.level}`];
+      textStyle = node.headingData.textStyle;
+    } else if (node.type === 'CODE_BLOCK') {
+      key = 'codeBlock';
+    } else if (node.nodes) {
+      // The blockquote entry styles the paragraphs a quote holds directly,
+      // so paragraphs deeper inside a quote are left as they are
+      const childKey = node.type === 'BLOCKQUOTE'
+        ? 'blockquote'
+        : (paragraphKey === 'blockquote' ? null : paragraphKey);
+      removeDocumentDefaults(node.nodes, documentStyle, childKey);
+      continue;
+    }
+    
+    const defaults = key && documentStyle[key];
+    if (!defaults) continue;
+    
+    if (textStyle && defaults.lineHeight && textStyle.lineHeight === defaults.lineHeight) {
+      delete textStyle.lineHeight;
+    }
+    
+    for (const child of node.nodes || []) {
+      const textData = child.type === 'TEXT' && child.textData;
+      if (!textData || !textData.decorations) continue;
+      
+      textData.decorations = textData.decorations.filter(decoration =>
+        !(defaults.decorations || []).some(value => isDeepStrictEqual(value, decoration))
+      );
+      if (textData.decorations.length === 0) {
+        delete textData.decorations;
+      }
+    }
+  }
+}
+
+// Values of the validate option: off, the basic rules or the strict rules
+const VALIDATE_MODES = [false, true, 'strict'];
+
+/**
+ * Check the validate option of a conversion
+ * @param {*} validate - The validate option, undefined when it is not set
+ * @throws {ConversionOptionsError} If it is not one of VALIDATE_MODES
+ */
+function checkValidateOption(validate) {
+  checkOptionValue('validate', validate === undefined ? false : validate, VALIDATE_MODES, 'validate mode');
+}
+
+/**
+ * Convert HTML to Ricos format with the rules of a converter
+ * @param {string} html - The HTML string to convert
+ * @param {Object} options - Conversion options, see htmlToRicos
+ * @param {Object} converter - Rules by context and sanitizer options, see createConverter
+ * @returns {Object} A Ricos document object
+ * @throws {ConversionOptionsError} If an option has a value it cannot take
+ */
+function convertHtml(html, options, converter) {
+  // Check every option before any work is done
+  checkOptions(options);
+  checkOptionValue('spacing', options.spacing || 'paragraphs', SPACING_MODES, 'spacing mode');
+  checkOptionValue('ids', options.ids || 'uuid', ID_STRATEGIES, 'id strategy');
+  checkOptionValue('source', options.source === undefined ? 'auto' : options.source, SOURCES);
+  checkValidateOption(options.validate);
+  checkObjectOption('metadata', options.metadata);
+  if (options.documentStyle !== false) {
+    checkObjectOption('documentStyle', options.documentStyle);
+  }
+  
+  // Recognize Word, Google Docs or LibreOffice markup while it is intact
+  const source = detectSource(html, options.source);
+  
+  // Resolve <style> blocks into inline styles before they are stripped
+  const { html: styledHtml, baseStyles } = resolveStylesheets(html);
+  
+  // Sanitize input HTML with more allowed tags and styles
+  const cleanHtml = sanitizeHtml(styledHtml, converter.sanitizeOptions);
+
+  // Parse the HTML into a lightweight DOM
+  const doc = parseDocument(cleanHtml);
+  
+  // Remove the editor's own markup and default styles
+  cleanupDocument(doc, source);
+  
+  // Sanitizing drops the <html> and <body> tags, so their direction and
+  // language move onto the body of the parsed document
+  const documentDirection = getDocumentDirection(html);
+  const documentLanguage = getDocumentLanguage(html);
+  if (documentDirection) {
+    doc.body.setAttribute('dir', documentDirection);
+  }
+  if (documentLanguage) {
+    doc.body.setAttribute('lang', documentLanguage);
+  }
+  
+  // Record what sanitizing removes and which styles will be ignored
+  const report = options.report ? new ConversionReport() : null;
+  if (report) {
+    report.source = source;
+    reportSanitizedContent(parseDocument(styledHtml), converter.sanitizeOptions, report);
+    reportIgnoredStyles(doc, report);
+  }
+  
+  // Process the document body with spacing. Rules may run another
+  // conversion, so the previous state is restored afterwards.
+  let nodes;
+  const previousReport = activeReport;
+  const previousRules = activeRules;
+  const previousDirectionDetection = activeDirectionDetection;
+  activeReport = report;
+  activeRules = converter.rules;
+  activeDirectionDetection = Boolean(options.detectDirection);
+  try {
+    nodes = convertNodeToRicos(doc.body);
+  } finally {
+    activeReport = previousReport;
+    activeRules = previousRules;
+    activeDirectionDetection = previousDirectionDetection;
+  }
+  
+  // Collapse whitespace and apply the spacing policy at every nesting level
+  nodes = applySpacingPolicy(collapseWhiteSpace(nodes), options);
+  
+  // Base styles of the source become the document defaults, which the text
+  // then no longer repeats
+  const documentStyle = options.documentStyle === false ? {} : {
+    ...createDocumentStyle(cleanupBaseStyles(baseStyles, source)),
+    ...options.documentStyle
+  };
+  removeDocumentDefaults(nodes, documentStyle);
+  
+  // Give the final nodes their IDs
+  const ricosDocument = {
+    nodes: assignIds(nodes, options),
+    metadata: createMetadata(nodes, options)
+  };
+  if (Object.keys(documentStyle).length > 0) {
+    ricosDocument.documentStyle = documentStyle;
+  }
+  
+  if (report) {
+    ricosDocument.report = report.toJSON();
+  }
+  
+  // Optionally check the output before it reaches a Wix API
+  assertValid(ricosDocument, options.validate);
+  
+  return ricosDocument;
+}
+
+/**
+ * Validate a converted document when validation is enabled
+ * @param {Object} ricosDocument - The Ricos document
+ * @param {boolean|string} validate - The validate option of htmlToRicos
+ * @throws {RicosValidationError} If the document is invalid
+ */
+function assertValid(ricosDocument, validate) {
+  if (!validate) return;
+  
+  const validation = validateRicos(ricosDocument, { strict: validate === 'strict' });
+  if (!validation.valid) {
+    throw new RicosValidationError(validation.errors);
+  }
+}
+
+/**
+ * Create a converter that handles some elements with its own rules. Rules
+ * are tried in order before the built-in rules, so they can also replace
+ * the conversion of built-in tags.
+ * @param {Object} [config] - Converter configuration
+ * @param {Array} [config.rules=[]] - Conversion rules, see normalizeRules. The
+ *   convert function of a rule gets the element and helpers:
+ *   - context: 'block' or 'inline'
+ *   - decorations: decorations inherited from ancestor elements
+ *   - convertBlocks(element): the children of an element as block nodes
+ *   - convertInline(element, decorations): the children of an element as
+ *     inline nodes, with the inherited decorations by default
+ *   - addDecoration, createTextNode and generateId
+ * @returns {Object} The conversion functions htmlToRicos, htmlToRicosAsync,
+ *   markdownToRicos and markdownToRicosAsync, using the rules
+ * @throws {Error} If a rule cannot be used
+ */
+function createConverter({ rules = [] } = {}) {
+  const customRules = normalizeRules(rules);
+  const blockRules = customRules.filter(rule => rule.context !== 'inline');
+  
+  const converter = {
+    rules: {
+      block: [...blockRules, ...BLOCK_RULES],
+      inline: [...customRules.filter(rule => rule.context !== 'block'), ...INLINE_RULES],
+      // Elements these rules match are blocks, even if their tag is not
+      blockOnly: customRules.filter(rule => rule.context === 'block')
+    },
+    sanitizeOptions: extendSanitizeOptions(SANITIZE_OPTIONS, customRules)
+  };
+  
+  /**
+   * Main function to convert HTML to Ricos format
+   * @param {string} html - The HTML string to convert
+   * @param {Object} [options] - Conversion options
+   * @param {string} [options.spacing='paragraphs'] - Spacing mode, see SPACING_MODES
+   * @param {string} [options.spacingSize='18px'] - Gap size used by the 'padding' spacing mode
+   * @param {boolean|string} [options.validate=false] - Validate the output against the
+   *   Ricos schema; true for the basic rules, 'strict' for the strict rules
+   * @param {string} [options.ids='uuid'] - ID strategy: 'uuid', 'sequence' or 'hash', see assignIds
+   * @param {string} [options.idSeed] - Prefix of 'sequence' IDs
+   * @param {boolean} [options.report=false] - Add a report of removed tags and
+   *   attributes, flattened elements, ignored styles and images without dimensions
+   * @param {Object} [options.metadata] - Metadata fields (version,
+   *   createdTimestamp, updatedTimestamp, id) that replace the generated ones
+   * @param {boolean|Object} [options.documentStyle=true] - false leaves out the
+   *   documentStyle derived from the source's base styles; an object replaces
+   *   its entries, e.g. { headerOne: { decorations: [...] } }
+   * @param {string} [options.source='auto'] - Cleanup preset for HTML from a
+   *   word processor: 'auto' detects it, 'word', 'google-docs' or
+   *   'libreoffice' forces a preset, 'none' turns cleanup off
+   * @param {boolean} [options.detectDirection=false] - Give text without a dir
+   *   attribute a direction from its lang attribute or its first letter
+   * @returns {Object} A Ricos document object with nodes, metadata and
+   *   documentStyle, and a report when asked for
+   * @throws {ConversionOptionsError} If an option has a value it cannot take
+   * @throws {RicosValidationError} If validation is enabled and the output is invalid
+   */
+  function htmlToRicos(html, options = {}) {
+    return convertHtml(html, options, converter);
+  }
+  
+  /**
+   * Convert HTML to Ricos format, sending every image and video through an
+   * uploader so the document only references re-hosted media
+   * @param {string} html - The HTML string to convert
+   * @param {Object} [options] - Conversion options, as for htmlToRicos
+   * @param {Function} [options.uploader] - Async upload hook, see rehostMedia
+   * @returns {Promise<Object>} A Ricos document object
+   * @throws {ConversionOptionsError} If an option has a value it cannot take
+   * @throws {MediaUploadError} If an upload fails
+   * @throws {RicosValidationError} If validation is enabled and the output is invalid
+   */
+  async function htmlToRicosAsync(html, options = {}) {
+    checkOptions(options);
+    checkValidateOption(options.validate);
+    const { uploader, validate, ...conversionOptions } = options;
+    const ricosDocument = htmlToRicos(html, conversionOptions);
+    
+    if (uploader) {
+      await rehostMedia(ricosDocument, uploader);
+    }
+    
+    // Validate the final document, with the re-hosted sources
+    assertValid(ricosDocument, validate);
+    
+    return ricosDocument;
+  }
+  
+  /**
+   * Convert Markdown to Ricos format
+   * @param {string} markdown - The Markdown string to convert
+   * @param {Object} [options] - Conversion options, as for htmlToRicos
+   * @returns {Object} A Ricos document object
+   */
+  function markdownToRicos(markdown, options = {}) {
+    return htmlToRicos(markdownToHtml(markdown), options);
+  }
+  
+  /**
+   * Convert Markdown to Ricos format with media re-hosting
+   * @param {string} markdown - The Markdown string to convert
+   * @param {Object} [options] - Conversion options, as for htmlToRicosAsync
+   * @returns {Promise<Object>} A Ricos document object
+   */
+  function markdownToRicosAsync(markdown, options = {}) {
+    return htmlToRicosAsync(markdownToHtml(markdown), options);
+  }
+  
+  /**
+   * Convert a Word .docx file to Ricos format. Embedded images become data
+   * URIs.
+   * @param {Buffer} docx - The .docx file
+   * @param {Object} [options] - Conversion options, as for htmlToRicos
+   * @returns {Object} A Ricos document object
+   * @throws {DocxError} If the file is not a readable .docx document
+   */
+  function docxToRicos(docx, options = {}) {
+    return htmlToRicos(docxToHtml(docx), options);
+  }
+  
+  /**
+   * Convert a Word .docx file to Ricos format with media re-hosting, so
+   * embedded images go through the uploader
+   * @param {Buffer} docx - The .docx file
+   * @param {Object} [options] - Conversion options, as for htmlToRicosAsync
+   * @returns {Promise<Object>} A Ricos document object
+   */
+  function docxToRicosAsync(docx, options = {}) {
+    return htmlToRicosAsync(docxToHtml(docx), options);
   }
   
-  // Create the Ricos document with the cleaned structure
   return {
-    nodes: cleanedNodes
+    htmlToRicos,
+    htmlToRicosAsync,
+    markdownToRicos,
+    markdownToRicosAsync,
+    docxToRicos,
+    docxToRicosAsync
   };
 }
 
+// The default converter, with the built-in rules only
+const {
+  htmlToRicos,
+  htmlToRicosAsync,
+  markdownToRicos,
+  markdownToRicosAsync,
+  docxToRicos,
+  docxToRicosAsync
+} = createConverter();
+
 module.exports = {
-  htmlToRicos
+  createConverter,
+  htmlToRicos,
+  htmlToRicosAsync,
+  markdownToRicos,
+  markdownToRicosAsync,
+  docxToRicos,
+  docxToRicosAsync,
+  ricosToHtml,
+  validateRicos,
+  RicosValidationError,
+  ConversionOptionsError,
+  createLocalUploader,
+  MediaUploadError,
+  DocxError
 }; 
\ No newline at end of file
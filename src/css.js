@@ -0,0 +1,435 @@
+/**
+ * CSS helpers
+ * Parses CSS declarations and normalises the values the converter maps to
+ * Ricos: colours to #rrggbb hex and lengths to px
+ */
+
+// Base font size used to resolve relative units (em, rem, %)
+const BASE_FONT_SIZE = 16;
+
+// CSS named colours
+const NAMED_COLORS = {
+  aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4',
+  azure: '#f0ffff', beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000',
+  blanchedalmond: '#ffebcd', blue: '#0000ff', blueviolet: '#8a2be2', brown: '#a52a2a',
+  burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00', chocolate: '#d2691e',
+  coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+  cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b',
+  darkgray: '#a9a9a9', darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b',
+  darkmagenta: '#8b008b', darkolivegreen: '#556b2f', darkorange: '#ff8c00', darkorchid: '#9932cc',
+  darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f', darkslateblue: '#483d8b',
+  darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1', darkviolet: '#9400d3',
+  deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969',
+  dodgerblue: '#1e90ff', firebrick: '#b22222', floralwhite: '#fffaf0', forestgreen: '#228b22',
+  fuchsia: '#ff00ff', gainsboro: '#dcdcdc', ghostwhite: '#f8f8ff', gold: '#ffd700',
+  goldenrod: '#daa520', gray: '#808080', green: '#008000', greenyellow: '#adff2f',
+  grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+  indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa',
+  lavenderblush: '#fff0f5', lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6',
+  lightcoral: '#f08080', lightcyan: '#e0ffff', lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3',
+  lightgreen: '#90ee90', lightgrey: '#d3d3d3', lightpink: '#ffb6c1', lightsalmon: '#ffa07a',
+  lightseagreen: '#20b2aa', lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899',
+  lightsteelblue: '#b0c4de', lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32',
+  linen: '#faf0e6', magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa',
+  mediumblue: '#0000cd', mediumorchid: '#ba55d3', mediumpurple: '#9370db', mediumseagreen: '#3cb371',
+  mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a', mediumturquoise: '#48d1cc', mediumvioletred: '#c71585',
+  midnightblue: '#191970', mintcream: '#f5fffa', mistyrose: '#ffe4e1', moccasin: '#ffe4b5',
+  navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6', olive: '#808000',
+  olivedrab: '#6b8e23', orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6',
+  palegoldenrod: '#eee8aa', palegreen: '#98fb98', paleturquoise: '#afeeee', palevioletred: '#db7093',
+  papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f', pink: '#ffc0cb',
+  plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080', rebeccapurple: '#663399',
+  red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1', saddlebrown: '#8b4513',
+  salmon: '#fa8072', sandybrown: '#f4a460', seagreen: '#2e8b57', seashell: '#fff5ee',
+  sienna: '#a0522d', silver: '#c0c0c0', skyblue: '#87ceeb', slateblue: '#6a5acd',
+  slategray: '#708090', slategrey: '#708090', snow: '#fffafa', springgreen: '#00ff7f',
+  steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080', thistle: '#d8bfd8',
+  tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee', wheat: '#f5deb3',
+  white: '#ffffff', whitesmoke: '#f5f5f5', yellow: '#ffff00', yellowgreen: '#9acd32'
+};
+
+// Absolute font-size keywords in px
+const FONT_SIZE_KEYWORDS = {
+  'xx-small': 9,
+  'x-small': 10,
+  small: 13,
+  medium: 16,
+  large: 18,
+  'x-large': 24,
+  'xx-large': 32,
+  'xxx-large': 48
+};
+
+// Font-weight keywords as numeric weights
+const FONT_WEIGHT_KEYWORDS = {
+  normal: 400,
+  bold: 700,
+  bolder: 700,
+  lighter: 300
+};
+
+/**
+ * Split a string on a separator, ignoring separators inside parentheses or quotes
+ * @param {string} input - The string to split
+ * @param {RegExp} separator - Single-character separator pattern
+ * @returns {Array} The parts, trimmed and without empty entries
+ */
+function splitTopLevel(input, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of input) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (depth === 0 && separator.test(char)) {
+      if (current.trim()) parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Parse a CSS declaration block (a style attribute or the body of a rule)
+ * @param {string} text - The declarations, e.g. "color: red; font-size: 2em"
+ * @returns {Array} Declarations as { property, value, important } in source order
+ */
+function parseDeclarations(text) {
+  if (!text) return [];
+
+  const withoutComments = text.replace(/\/\*[\s\S]*?\*\//g, '');
+
+  return splitTopLevel(withoutComments, /;/).reduce((declarations, declaration) => {
+    const colonIndex = declaration.indexOf(':');
+    if (colonIndex <= 0) return declarations;
+
+    const property = declaration.slice(0, colonIndex).trim().toLowerCase();
+    let value = declaration.slice(colonIndex + 1).trim();
+    const important = /!\s*important\s*$/i.test(value);
+    if (important) {
+      value = value.replace(/!\s*important\s*$/i, '').trim();
+    }
+
+    if (property && value) {
+      declarations.push({ property, value, important });
+    }
+    return declarations;
+  }, []);
+}
+
+/**
+ * Resolve a declaration block into a property map, honouring !important
+ * @param {string} text - The declarations
+ * @returns {Object} Property names mapped to their winning values
+ */
+function parseStyle(text) {
+  const resolved = {};
+  const important = {};
+
+  for (const declaration of parseDeclarations(text)) {
+    if (important[declaration.property] && !declaration.important) continue;
+    resolved[declaration.property] = declaration.value;
+    important[declaration.property] = declaration.important;
+  }
+
+  return resolved;
+}
+
+/**
+ * Find the first of some characters in CSS text, outside strings and
+ * nested blocks
+ * @param {string} text - The CSS
+ * @param {number} start - Index to search from
+ * @param {string} characters - The characters to find, e.g. '{;'
+ * @returns {number} The index, or text.length if none is found
+ */
+function findTopLevel(text, start, characters) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (depth === 0 && characters.includes(char)) {
+      return i;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth = Math.max(0, depth - 1);
+    }
+  }
+
+  return text.length;
+}
+
+/**
+ * Parse a list of CSS rules
+ * @param {string} text - The rules, without comments
+ * @returns {Array} Rules, see parseStylesheet
+ */
+function parseRules(text) {
+  const rules = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const blockStart = findTopLevel(text, index, '{;');
+    const prelude = text.slice(index, blockStart).trim();
+
+    // At-rule statements such as @import and @charset hold no rules
+    if (blockStart >= text.length || text[blockStart] === ';') {
+      index = blockStart + 1;
+      continue;
+    }
+
+    const blockEnd = findTopLevel(text, blockStart + 1, '}');
+    const body = text.slice(blockStart + 1, blockEnd);
+    index = blockEnd + 1;
+
+    if (/^@media\b/i.test(prelude)) {
+      rules.push({ media: prelude.slice(6).trim(), rules: parseRules(body) });
+    } else if (prelude && !prelude.startsWith('@')) {
+      rules.push({ selector: prelude, declarations: parseDeclarations(body) });
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Parse a stylesheet into its style rules and media rules. Other at-rules,
+ * such as @font-face, @page and @supports, are left out.
+ * @param {string} text - The CSS of a <style> block
+ * @returns {Array} Rules as { selector, declarations } for style rules, with
+ *   declarations from parseDeclarations, and { media, rules } for media rules
+ */
+function parseStylesheet(text) {
+  // Stylesheets hidden from old browsers in <!-- -->, as Word writes them,
+  // keep the markers, which are not part of any rule
+  const css = text.replace(/\/\*[\s\S]*?\*\//g, '').replace(/<!--|-->/g, '');
+  return parseRules(css);
+}
+
+/**
+ * Format a colour channel as two hex digits
+ * @param {number} value - Channel value 0-255
+ * @returns {string} The hex digits
+ */
+function toHexChannel(value) {
+  const clamped = Math.max(0, Math.min(255, Math.round(value)));
+  return clamped.toString(16).padStart(2, '0');
+}
+
+/**
+ * Parse a colour function argument (number or percentage)
+ * @param {string} value - The argument
+ * @param {number} scale - The value a 100% percentage maps to
+ * @returns {number} The numeric value
+ */
+function parseChannel(value, scale) {
+  return value.endsWith('%') ? (parseFloat(value) / 100) * scale : parseFloat(value);
+}
+
+/**
+ * Convert HSL to #rrggbb
+ * @param {number} hue - Hue in degrees
+ * @param {number} saturation - Saturation 0-1
+ * @param {number} lightness - Lightness 0-1
+ * @returns {string} The hex colour
+ */
+function hslToHex(hue, saturation, lightness) {
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const h = (((hue % 360) + 360) % 360) / 60;
+  const x = chroma * (1 - Math.abs((h % 2) - 1));
+  const m = lightness - chroma / 2;
+  const [r, g, b] = h < 1 ? [chroma, x, 0]
+    : h < 2 ? [x, chroma, 0]
+    : h < 3 ? [0, chroma, x]
+    : h < 4 ? [0, x, chroma]
+    : h < 5 ? [x, 0, chroma]
+    : [chroma, 0, x];
+
+  return `#${toHexChannel((r + m) * 255)}${toHexChannel((g + m) * 255)}${toHexChannel((b + m) * 255)}`;
+}
+
+/**
+ * Normalise a CSS colour to the #rrggbb form Ricos expects
+ * @param {string} value - Any CSS colour value
+ * @returns {string|null} The hex colour, or null if transparent or not a colour
+ */
+function normalizeColor(value) {
+  if (!value) return null;
+
+  const color = value.trim().toLowerCase();
+
+  if (NAMED_COLORS[color]) {
+    return NAMED_COLORS[color];
+  }
+
+  const hexMatch = color.match(/^#([0-9a-f]{3,8})$/);
+  if (hexMatch) {
+    const hex = hexMatch[1];
+    if (hex.length === 3 || hex.length === 4) {
+      // Ignore the alpha digit of #rgba
+      return `#${hex.slice(0, 3).split('').map(digit => digit + digit).join('')}`;
+    }
+    if (hex.length === 6 || hex.length === 8) {
+      return `#${hex.slice(0, 6)}`;
+    }
+    return null;
+  }
+
+  const functionMatch = color.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+  if (functionMatch) {
+    const args = functionMatch[2].split(/[\s,/]+/).filter(Boolean);
+    if (args.length < 3) return null;
+
+    // Fully transparent colours have no visible colour to carry over
+    if (args[3] !== undefined && parseChannel(args[3], 1) === 0) {
+      return null;
+    }
+
+    if (functionMatch[1].startsWith('rgb')) {
+      return `#${args.slice(0, 3).map(arg => toHexChannel(parseChannel(arg, 255))).join('')}`;
+    }
+
+    return hslToHex(parseFloat(args[0]), parseChannel(args[1], 1), parseChannel(args[2], 1));
+  }
+
+  return null;
+}
+
+/**
+ * Convert a CSS length to px
+ * @param {string} value - The length, e.g. "12pt", "1.5em", "120%"
+ * @param {number} [base=16] - The px size that 1em and 100% resolve to
+ * @returns {number|null} The length in px, or null if not a length
+ */
+function lengthToPx(value, base = BASE_FONT_SIZE) {
+  if (!value) return null;
+
+  const match = value.trim().toLowerCase().match(/^(-?[\d.]+)(px|pt|pc|em|rem|%|in|cm|mm|q|ex|ch)?$/);
+  if (!match) return null;
+
+  const number = parseFloat(match[1]);
+  if (isNaN(number)) return null;
+
+  switch (match[2]) {
+    case 'pt': return number * 4 / 3;
+    case 'pc': return number * 16;
+    case 'em': return number * base;
+    case 'rem': return number * BASE_FONT_SIZE;
+    case '%': return (number / 100) * base;
+    case 'in': return number * 96;
+    case 'cm': return number * 96 / 2.54;
+    case 'mm': return number * 96 / 25.4;
+    case 'q': return number * 96 / 101.6;
+    case 'ex':
+    case 'ch': return number * base / 2;
+    default:
+      // Unitless values are only valid for zero, treat them as px
+      return number;
+  }
+}
+
+/**
+ * Convert a font-size value to px
+ * @param {string} value - The font-size value
+ * @param {number} [base=16] - The inherited font size in px
+ * @returns {number|null} The font size in px
+ */
+function fontSizeToPx(value, base = BASE_FONT_SIZE) {
+  if (!value) return null;
+
+  const keyword = value.trim().toLowerCase();
+  if (FONT_SIZE_KEYWORDS[keyword]) return FONT_SIZE_KEYWORDS[keyword];
+  if (keyword === 'smaller') return base / 1.2;
+  if (keyword === 'larger') return base * 1.2;
+
+  return lengthToPx(value, base);
+}
+
+/**
+ * Convert a font-weight value to a number
+ * @param {string} value - The font-weight value
+ * @returns {number|null} The numeric weight
+ */
+function parseFontWeight(value) {
+  if (!value) return null;
+
+  const keyword = value.trim().toLowerCase();
+  if (FONT_WEIGHT_KEYWORDS[keyword]) return FONT_WEIGHT_KEYWORDS[keyword];
+
+  const weight = parseInt(keyword, 10);
+  return isNaN(weight) ? null : weight;
+}
+
+/**
+ * Pick the colour out of a shorthand value such as background or border
+ * @param {string} value - The shorthand value
+ * @returns {string|null} The hex colour
+ */
+function findColor(value) {
+  for (const token of splitTopLevel(value, /\s/)) {
+    const color = normalizeColor(token);
+    if (color) return color;
+  }
+  return null;
+}
+
+/**
+ * Expand the font shorthand into its longhand properties
+ * @param {string} value - The font shorthand value
+ * @returns {Object} Longhand properties (font-style, font-weight, font-size, line-height)
+ */
+function expandFontShorthand(value) {
+  const longhands = {};
+  const tokens = splitTopLevel(value, /\s/);
+
+  for (const token of tokens) {
+    const lower = token.toLowerCase();
+    const sizeMatch = lower.match(/^([^/]+)(?:\/(.+))?$/);
+
+    if (lower === 'italic' || lower === 'oblique') {
+      longhands['font-style'] = lower;
+    } else if (parseFontWeight(lower) && !/^[\d.]+[a-z%]+/.test(lower)) {
+      longhands['font-weight'] = lower;
+    } else if (sizeMatch && fontSizeToPx(sizeMatch[1]) !== null) {
+      longhands['font-size'] = sizeMatch[1];
+      if (sizeMatch[2]) longhands['line-height'] = sizeMatch[2];
+      // The family follows the size, nothing after it is relevant here
+      break;
+    }
+  }
+
+  return longhands;
+}
+
+module.exports = {
+  BASE_FONT_SIZE,
+  splitTopLevel,
+  parseDeclarations,
+  parseStyle,
+  parseStylesheet,
+  normalizeColor,
+  lengthToPx,
+  fontSizeToPx,
+  parseFontWeight,
+  findColor,
+  expandFontShorthand
+};
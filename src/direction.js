@@ -0,0 +1,153 @@
+/**
+ * Text direction
+ * Works out whether text runs left to right or right to left, from the dir
+ * attribute, the CSS direction property, the language, or the text itself,
+ * and gives the Unicode controls that keep inline runs in their own
+ * direction
+ */
+
+const ELEMENT_NODE = 1;
+
+// Scripts written right to left
+const RTL_CHARACTER = /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}\p{Script=Samaritan}\p{Script=Mandaic}\p{Script=Adlam}]/u;
+
+// Letters decide the direction of text; digits and punctuation do not
+const STRONG_CHARACTER = /\p{L}/u;
+
+// Languages written right to left, by primary language subtag
+const RTL_LANGUAGES = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ku', 'ps', 'sd', 'syr', 'ug', 'ur', 'yi'];
+
+// Unicode bidi controls: isolates for bdi and for inline elements with a
+// dir attribute, overrides for bdo, and the characters that close them
+const ISOLATES = {
+  ltr: '\u2066',
+  rtl: '\u2067',
+  auto: '\u2068'
+};
+const POP_ISOLATE = '\u2069';
+const OVERRIDES = {
+  ltr: '\u202d',
+  rtl: '\u202e'
+};
+const POP_OVERRIDE = '\u202c';
+
+/**
+ * Detect the direction of text from its first letter, as dir="auto" does
+ * @param {string} text - The text
+ * @returns {string|null} 'RTL' or 'LTR', or null if the text has no letters
+ */
+function detectTextDirection(text) {
+  for (const character of text || '') {
+    if (STRONG_CHARACTER.test(character)) {
+      return RTL_CHARACTER.test(character) ? 'RTL' : 'LTR';
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the direction an element sets itself, with its dir attribute or a
+ * CSS direction declaration
+ * @param {Element} element - The element
+ * @returns {string|null} 'RTL' or 'LTR', or null if the element sets none
+ */
+function getOwnDirection(element) {
+  const dir = (element.getAttribute('dir') || '').trim().toLowerCase();
+  if (dir === 'rtl' || dir === 'ltr') {
+    return dir.toUpperCase();
+  }
+  if (dir === 'auto') {
+    return detectTextDirection(element.textContent) || 'LTR';
+  }
+
+  const match = (element.getAttribute('style') || '').match(/(?:^|;)\s*direction\s*:\s*(rtl|ltr)\b/i);
+  return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Find the direction of the text in an element. Direction inherits, so the
+ * nearest element that sets one decides.
+ * @param {Element} element - The element
+ * @returns {string|null} 'RTL' or 'LTR', or null if no element sets one
+ */
+function getDirection(element) {
+  for (let current = element; current && current.nodeType === ELEMENT_NODE; current = current.parentNode) {
+    const direction = getOwnDirection(current);
+    if (direction) return direction;
+  }
+  return null;
+}
+
+/**
+ * Find the direction implied by the language of an element, from the
+ * nearest lang attribute
+ * @param {Element} element - The element
+ * @returns {string|null} 'RTL' or 'LTR', or null if no language is set
+ */
+function getLanguageDirection(element) {
+  for (let current = element; current && current.nodeType === ELEMENT_NODE; current = current.parentNode) {
+    const language = (current.getAttribute('lang') || '').trim().toLowerCase();
+    if (language) {
+      const [primary, ...subtags] = language.split(/[-_]/);
+      // Languages such as Kurdish or Sindhi have both scripts
+      if (subtags.includes('arab') || subtags.includes('hebr')) return 'RTL';
+      if (subtags.includes('latn') || subtags.includes('cyrl')) return 'LTR';
+      return RTL_LANGUAGES.includes(primary) ? 'RTL' : 'LTR';
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the bidi controls that wrap the text of an inline element: <bdo>
+ * overrides the direction of its characters, <bdi> and inline elements
+ * with a dir attribute isolate their text from the text around it
+ * @param {Element} element - The inline element
+ * @returns {Object|null} { start, end } control characters, or null if the
+ *   element does not change the direction
+ */
+function getBidiControls(element) {
+  const tagName = element.tagName.toLowerCase();
+  const dir = (element.getAttribute('dir') || '').trim().toLowerCase();
+
+  if (tagName === 'bdo') {
+    return OVERRIDES[dir] ? { start: OVERRIDES[dir], end: POP_OVERRIDE } : null;
+  }
+
+  // <bdi> isolates even without a dir attribute, in the direction of its
+  // content
+  if (ISOLATES[dir]) {
+    return { start: ISOLATES[dir], end: POP_ISOLATE };
+  }
+  return tagName === 'bdi' ? { start: ISOLATES.auto, end: POP_ISOLATE } : null;
+}
+
+/**
+ * Read the dir attribute of the <html> or <body> tag of a document, which
+ * sanitizing removes along with the tags
+ * @param {string} html - The raw HTML
+ * @returns {string|null} 'rtl', 'ltr' or 'auto', or null if neither tag has one
+ */
+function getDocumentDirection(html) {
+  const match = html.match(/<(?:html|body)\b[^>]*?\sdir\s*=\s*["']?(rtl|ltr|auto)\b/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Read the lang attribute of the <html> or <body> tag of a document
+ * @param {string} html - The raw HTML
+ * @returns {string|null} The language tag, or null if neither tag has one
+ */
+function getDocumentLanguage(html) {
+  const match = html.match(/<(?:html|body)\b[^>]*?\slang\s*=\s*["']?([a-z]{2,8}(?:[-_][a-z0-9]{1,8})*)/i);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  detectTextDirection,
+  getDirection,
+  getLanguageDirection,
+  getBidiControls,
+  getDocumentDirection,
+  getDocumentLanguage
+};
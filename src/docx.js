@@ -0,0 +1,863 @@
+/**
+ * DOCX import
+ * Turns a Word .docx file into HTML for the converter: headings, paragraphs
+ * with their run formatting, lists, tables, images, links and footnotes.
+ * Images are embedded as data URIs.
+ */
+
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { openZip } = require('./zip');
+const { escapeHtml, renderAttributes } = require('./ricosToHtml');
+
+/**
+ * Error thrown when a file cannot be read as a .docx document
+ */
+class DocxError extends Error {
+  /**
+   * @param {string} message - What is wrong with the file
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'DocxError';
+  }
+}
+
+// Relationship type of the main document part, from the package relationships
+const OFFICE_DOCUMENT_TYPE = /\/officeDocument$/;
+
+// Image media types by file extension. Other formats, such as EMF and WMF,
+// cannot be shown on the web and are left out.
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.bmp': 'image/bmp',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml'
+};
+
+// Drawing sizes are in English Metric Units
+const EMU_PER_PX = 9525;
+
+// Colours of the Word highlighter
+const HIGHLIGHT_COLORS = {
+  yellow: '#ffff00',
+  green: '#00ff00',
+  cyan: '#00ffff',
+  magenta: '#ff00ff',
+  blue: '#0000ff',
+  red: '#ff0000',
+  darkBlue: '#000080',
+  darkCyan: '#008080',
+  darkGreen: '#008000',
+  darkMagenta: '#800080',
+  darkRed: '#800000',
+  darkYellow: '#808000',
+  darkGray: '#808080',
+  lightGray: '#c0c0c0',
+  black: '#000000',
+  white: '#ffffff'
+};
+
+// Paragraph alignments as CSS text-align values
+const ALIGNMENTS = {
+  center: 'center',
+  right: 'right',
+  end: 'right',
+  both: 'justify',
+  distribute: 'justify'
+};
+
+// <ol type> values for Word numbering formats; other formats are bullets
+const NUMBERING_TYPES = {
+  decimal: '1',
+  decimalZero: '1',
+  lowerLetter: 'a',
+  upperLetter: 'A',
+  lowerRoman: 'i',
+  upperRoman: 'I'
+};
+
+// Run properties that character and paragraph styles pass on. Colours and
+// sizes of styles are left to the site theme, like fonts.
+const STYLE_RUN_PROPERTIES = ['bold', 'italic', 'underline', 'strike', 'vertAlign'];
+
+// Elements whose content belongs to the surrounding paragraph or body, such
+// as tracked insertions and content controls
+const TRANSPARENT_ELEMENTS = ['ins', 'moveTo', 'smartTag', 'fldSimple', 'customXml', 'sdt', 'sdtContent'];
+
+// Elements that set the direction of their runs, and the HTML tags for them
+const BIDI_ELEMENTS = {
+  dir: 'bdi',
+  bdo: 'bdo'
+};
+
+/**
+ * Get the child elements of an element, optionally with one local name
+ * @param {Element|null} element - The element
+ * @param {string} [localName] - The local name, without namespace prefix
+ * @returns {Array} The child elements
+ */
+function childElements(element, localName) {
+  if (!element) return [];
+  return Array.from(element.children).filter(child => !localName || child.localName === localName);
+}
+
+/**
+ * Get the first child element with a local name
+ * @param {Element|null} element - The element
+ * @param {string} localName - The local name
+ * @returns {Element|null} The child, or null
+ */
+function findChild(element, localName) {
+  return childElements(element, localName)[0] || null;
+}
+
+/**
+ * Get the first descendant element with a local name
+ * @param {Element} element - The element
+ * @param {string} localName - The local name
+ * @returns {Element|null} The descendant, or null
+ */
+function findDescendant(element, localName) {
+  return element.getElementsByTagNameNS('*', localName)[0] || null;
+}
+
+/**
+ * Get an attribute by its local name, whatever its namespace prefix
+ * @param {Element|null} element - The element
+ * @param {string} localName - The attribute local name, e.g. 'val' for w:val
+ * @returns {string|null} The value, or null
+ */
+function getAttribute(element, localName) {
+  if (!element) return null;
+  const attribute = Array.from(element.attributes).find(candidate => candidate.localName === localName);
+  return attribute ? attribute.value : null;
+}
+
+/**
+ * Read the w:val of a child element
+ * @param {Element|null} element - The properties element, e.g. w:pPr
+ * @param {string} localName - The property element
+ * @returns {string|null} The value, or null if the property is not set
+ */
+function getValue(element, localName) {
+  return getAttribute(findChild(element, localName), 'val');
+}
+
+/**
+ * Read a part of the package
+ * @param {Object} zip - The opened package, see openZip
+ * @param {string} name - The part name
+ * @returns {Buffer|null} The part content, or null if the part is missing
+ * @throws {DocxError} If the part cannot be read
+ */
+function readPart(zip, name) {
+  try {
+    return zip.read(name);
+  } catch (error) {
+    throw new DocxError(`Invalid .docx file: ${error.message}`);
+  }
+}
+
+/**
+ * Parse an XML part of the package
+ * @param {Object} zip - The opened package, see openZip
+ * @param {string} name - The part name
+ * @returns {Document|null} The XML document, or null if the part is missing
+ * @throws {DocxError} If the part cannot be read or is not well-formed XML
+ */
+function readXmlPart(zip, name) {
+  const data = readPart(zip, name);
+  if (!data) return null;
+
+  try {
+    return new JSDOM(data.toString('utf8'), { contentType: 'application/xml' }).window.document;
+  } catch (error) {
+    throw new DocxError(`Invalid .docx file: ${name} is not valid XML`);
+  }
+}
+
+/**
+ * Read the relationships of a part
+ * @param {Object} zip - The opened package
+ * @param {string} partName - The part, e.g. 'word/document.xml'
+ * @returns {Map} Relationship IDs mapped to { type, target, external }, with
+ *   internal targets resolved to part names
+ */
+function readRelationships(zip, partName) {
+  const directory = path.posix.dirname(partName);
+  const relsName = path.posix.join(directory === '.' ? '' : directory, '_rels', `${path.posix.basename(partName)}.rels`);
+  const rels = readXmlPart(zip, relsName);
+  const relationships = new Map();
+  if (!rels) return relationships;
+
+  for (const relationship of childElements(rels.documentElement, 'Relationship')) {
+    const target = getAttribute(relationship, 'Target') || '';
+    const external = getAttribute(relationship, 'TargetMode') === 'External';
+
+    // Internal targets are relative to the part, or to the package root
+    // when they start with a slash
+    let resolved = target;
+    if (!external) {
+      resolved = target.startsWith('/') ? target.slice(1) : path.posix.join(directory, target);
+    }
+
+    relationships.set(getAttribute(relationship, 'Id'), {
+      type: getAttribute(relationship, 'Type') || '',
+      target: resolved,
+      external
+    });
+  }
+
+  return relationships;
+}
+
+/**
+ * Find the target of the first relationship of a type
+ * @param {Map} relationships - Relationships from readRelationships
+ * @param {string} type - The last segment of the relationship type, e.g. 'styles'
+ * @returns {string|null} The target part name, or null
+ */
+function findRelatedPart(relationships, type) {
+  for (const relationship of relationships.values()) {
+    if (relationship.type.endsWith(`/${type}`)) return relationship.target;
+  }
+  return null;
+}
+
+/**
+ * Read run properties such as w:rPr
+ * @param {Element|null} rPr - The run properties element
+ * @returns {Object} The properties that are set: bold, italic, underline,
+ *   strike, vertAlign, color, highlight, fontSize (pt) and style
+ */
+function readRunProperties(rPr) {
+  const properties = {};
+
+  for (const property of childElements(rPr)) {
+    const value = getAttribute(property, 'val');
+    // On/off properties are on unless their value turns them off
+    const on = value === null || !['0', 'false', 'off', 'none'].includes(value);
+
+    switch (property.localName) {
+      case 'b':
+        properties.bold = on;
+        break;
+      case 'i':
+        properties.italic = on;
+        break;
+      case 'u':
+        properties.underline = value !== 'none';
+        break;
+      case 'strike':
+      case 'dstrike':
+        properties.strike = on;
+        break;
+      case 'vertAlign':
+        properties.vertAlign = value;
+        break;
+      case 'color':
+        if (value && /^[0-9a-f]{6}$/i.test(value)) {
+          properties.color = `#${value.toLowerCase()}`;
+        }
+        break;
+      case 'highlight':
+        if (HIGHLIGHT_COLORS[value]) {
+          properties.highlight = HIGHLIGHT_COLORS[value];
+        }
+        break;
+      case 'sz':
+        if (parseInt(value, 10) > 0) {
+          properties.fontSize = parseInt(value, 10) / 2;
+        }
+        break;
+      case 'rStyle':
+        properties.style = value;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return properties;
+}
+
+/**
+ * Read the numbering reference of paragraph properties
+ * @param {Element|null} pPr - Paragraph properties
+ * @returns {Object|null} { numId, level }, or null if there is none
+ */
+function readNumbering(pPr) {
+  const numPr = findChild(pPr, 'numPr');
+  if (!numPr) return null;
+
+  return {
+    numId: getValue(numPr, 'numId'),
+    level: parseInt(getValue(numPr, 'ilvl'), 10) || 0
+  };
+}
+
+/**
+ * Read the styles part
+ * @param {Document|null} doc - The styles part
+ * @returns {Map} Style IDs mapped to { name, basedOn, runProperties,
+ *   numbering, outlineLevel }
+ */
+function readStyles(doc) {
+  const styles = new Map();
+  if (!doc) return styles;
+
+  for (const style of childElements(doc.documentElement, 'style')) {
+    const pPr = findChild(style, 'pPr');
+    const outlineLevel = parseInt(getValue(pPr, 'outlineLvl'), 10);
+
+    styles.set(getAttribute(style, 'styleId'), {
+      name: (getValue(style, 'name') || '').toLowerCase(),
+      basedOn: getValue(style, 'basedOn'),
+      runProperties: readRunProperties(findChild(style, 'rPr')),
+      numbering: readNumbering(pPr),
+      outlineLevel: isNaN(outlineLevel) ? null : outlineLevel
+    });
+  }
+
+  return styles;
+}
+
+/**
+ * Resolve a style with the styles it is based on
+ * @param {Map} styles - Styles from readStyles
+ * @param {string|null} styleId - The style ID
+ * @returns {Object} The style, with inherited run properties, numbering and
+ *   outline level, and the names of the style and its bases
+ */
+function resolveStyle(styles, styleId) {
+  const chain = [];
+  for (let id = styleId; id && styles.has(id) && !chain.includes(styles.get(id)); id = styles.get(id).basedOn) {
+    chain.push(styles.get(id));
+  }
+
+  // Base styles first, so derived styles override them
+  return chain.reverse().reduce((resolved, style) => ({
+    names: [...resolved.names, style.name],
+    runProperties: { ...resolved.runProperties, ...style.runProperties },
+    numbering: style.numbering || resolved.numbering,
+    outlineLevel: style.outlineLevel !== null ? style.outlineLevel : resolved.outlineLevel
+  }), { names: [], runProperties: {}, numbering: null, outlineLevel: null });
+}
+
+/**
+ * Keep the style run properties that styles pass on to runs
+ * @param {Object} runProperties - Run properties of a style
+ * @returns {Object} The properties in STYLE_RUN_PROPERTIES
+ */
+function inheritedRunProperties(runProperties) {
+  const inherited = {};
+  STYLE_RUN_PROPERTIES.forEach(property => {
+    if (runProperties[property] !== undefined) {
+      inherited[property] = runProperties[property];
+    }
+  });
+  return inherited;
+}
+
+/**
+ * Read the numbering part
+ * @param {Document|null} doc - The numbering part
+ * @returns {Map} Numbering IDs mapped to levels, each as { format, start }
+ */
+function readNumberingDefinitions(doc) {
+  const definitions = new Map();
+  if (!doc) return definitions;
+
+  const readLevels = (element, levels = new Map()) => {
+    for (const lvl of childElements(element, 'lvl')) {
+      levels.set(parseInt(getAttribute(lvl, 'ilvl'), 10) || 0, {
+        format: getValue(lvl, 'numFmt') || 'decimal',
+        start: parseInt(getValue(lvl, 'start'), 10) || 1
+      });
+    }
+    return levels;
+  };
+
+  const abstractNumbering = new Map();
+  for (const abstractNum of childElements(doc.documentElement, 'abstractNum')) {
+    abstractNumbering.set(getAttribute(abstractNum, 'abstractNumId'), readLevels(abstractNum));
+  }
+
+  for (const num of childElements(doc.documentElement, 'num')) {
+    const levels = new Map(abstractNumbering.get(getValue(num, 'abstractNumId')) || []);
+
+    // Overrides restart or redefine single levels
+    for (const override of childElements(num, 'lvlOverride')) {
+      const level = parseInt(getAttribute(override, 'ilvl'), 10) || 0;
+      const start = parseInt(getValue(override, 'startOverride'), 10);
+      readLevels(override, levels);
+      if (!isNaN(start)) {
+        levels.set(level, { ...(levels.get(level) || { format: 'decimal' }), start });
+      }
+    }
+
+    definitions.set(getAttribute(num, 'numId'), levels);
+  }
+
+  return definitions;
+}
+
+/**
+ * Render a run of text with its formatting
+ * @param {string} text - The text
+ * @param {Object} properties - Run properties from readRunProperties
+ * @returns {string} The HTML
+ */
+function renderText(text, properties) {
+  let html = escapeHtml(text);
+
+  if (properties.vertAlign === 'superscript') html = `<sup>${html}</sup>`;
+  if (properties.vertAlign === 'subscript') html = `<sub>${html}</sub>`;
+  if (properties.strike) html = `<s>${html}</s>`;
+  if (properties.underline) html = `<u>${html}</u>`;
+  if (properties.italic) html = `<em>${html}</em>`;
+  if (properties.bold) html = `<strong>${html}</strong>`;
+
+  const style = [
+    properties.color && `color: ${properties.color}`,
+    properties.highlight && `background-color: ${properties.highlight}`,
+    properties.fontSize && `font-size: ${properties.fontSize}pt`
+  ].filter(Boolean).join('; ');
+
+  return style ? `<span${renderAttributes({ style })}>${html}</span>` : html;
+}
+
+/**
+ * Reads the parts of one .docx package and renders its content as HTML
+ */
+class DocxReader {
+  /**
+   * @param {Object} zip - The opened package, see openZip
+   * @param {string} documentPart - The main document part name
+   */
+  constructor(zip, documentPart) {
+    this.zip = zip;
+    this.relationships = readRelationships(zip, documentPart);
+
+    const relatedPart = type => {
+      const name = findRelatedPart(this.relationships, type);
+      return name ? readXmlPart(zip, name) : null;
+    };
+
+    this.styles = readStyles(relatedPart('styles'));
+    this.numbering = readNumberingDefinitions(relatedPart('numbering'));
+    this.notes = {
+      footnote: this.readNotes('footnotes', 'footnote'),
+      endnote: this.readNotes('endnotes', 'endnote')
+    };
+
+    // Notes in the order they are referenced, numbered from 1
+    this.referencedNotes = [];
+    // Items rendered so far per list and level, so numbering continues
+    // after paragraphs between the items
+    this.listCounters = new Map();
+  }
+
+  /**
+   * Read the footnotes or endnotes part
+   * @param {string} type - Relationship type, 'footnotes' or 'endnotes'
+   * @param {string} localName - Note element name, 'footnote' or 'endnote'
+   * @returns {Map} Note IDs mapped to { element, relationships }
+   */
+  readNotes(type, localName) {
+    const notes = new Map();
+    const partName = findRelatedPart(this.relationships, type);
+    const doc = partName ? readXmlPart(this.zip, partName) : null;
+    if (!doc) return notes;
+
+    const relationships = readRelationships(this.zip, partName);
+    for (const note of childElements(doc.documentElement, localName)) {
+      notes.set(getAttribute(note, 'id'), { element: note, relationships });
+    }
+    return notes;
+  }
+
+  /**
+   * Render a footnote or endnote reference and remember the note
+   * @param {string} kind - 'footnote' or 'endnote'
+   * @param {string} id - The note ID
+   * @returns {string} The reference HTML, e.g. <sup>[1]</sup>
+   */
+  renderNoteReference(kind, id) {
+    const note = this.notes[kind].get(id);
+    if (!note) return '';
+
+    this.referencedNotes.push(note);
+    return `<sup>[${this.referencedNotes.length}]</sup>`;
+  }
+
+  /**
+   * Render an image drawing or VML picture
+   * @param {Element} element - The w:drawing or w:pict element
+   * @param {Map} relationships - Relationships of the current part
+   * @returns {string} An img element, or '' if the image cannot be shown
+   */
+  renderImage(element, relationships) {
+    const blip = findDescendant(element, 'blip');
+    const imageData = findDescendant(element, 'imagedata');
+    const relationshipId = blip
+      ? getAttribute(blip, 'embed') || getAttribute(blip, 'link')
+      : getAttribute(imageData, 'id');
+    const relationship = relationshipId && relationships.get(relationshipId);
+    if (!relationship) return '';
+
+    let src = relationship.target;
+    if (!relationship.external) {
+      const mimeType = IMAGE_TYPES[path.posix.extname(relationship.target).toLowerCase()];
+      const data = mimeType && readPart(this.zip, relationship.target);
+      if (!data) return '';
+      src = `data:${mimeType};base64,${data.toString('base64')}`;
+    }
+
+    const extent = findDescendant(element, 'extent');
+    const toPx = value => (parseInt(value, 10) > 0 ? Math.round(parseInt(value, 10) / EMU_PER_PX) : undefined);
+    const docPr = findDescendant(element, 'docPr');
+
+    return `<img${renderAttributes({
+      src,
+      alt: getAttribute(docPr, 'descr') || getAttribute(docPr, 'title') || '',
+      width: toPx(getAttribute(extent, 'cx')),
+      height: toPx(getAttribute(extent, 'cy'))
+    })}>`;
+  }
+
+  /**
+   * Collect the inline content of a paragraph or hyperlink. Text runs with
+   * the same formatting are merged.
+   * @param {Element} element - The paragraph, or an element inside it
+   * @param {Object} paragraphProperties - Run properties the paragraph
+   *   style passes on
+   * @param {Map} relationships - Relationships of the current part
+   * @param {Array} [items] - Items to append to
+   * @returns {Array} Items as { text, properties } or { html }
+   */
+  collectInline(element, paragraphProperties, relationships, items = []) {
+    const addText = (text, properties) => {
+      const previous = items[items.length - 1];
+      if (previous && previous.text !== undefined && JSON.stringify(previous.properties) === JSON.stringify(properties)) {
+        previous.text += text;
+      } else {
+        items.push({ text, properties });
+      }
+    };
+
+    for (const child of childElements(element)) {
+      if (child.localName === 'r') {
+        const direct = readRunProperties(findChild(child, 'rPr'));
+        const characterStyle = resolveStyle(this.styles, direct.style).runProperties;
+        const { style, ...properties } = {
+          ...paragraphProperties,
+          ...inheritedRunProperties(characterStyle),
+          ...direct
+        };
+
+        for (const content of childElements(child)) {
+          switch (content.localName) {
+            case 't':
+              addText(content.textContent, properties);
+              break;
+            case 'tab':
+              addText(' ', properties);
+              break;
+            case 'noBreakHyphen':
+              addText('-', properties);
+              break;
+            case 'br':
+              // Page and column breaks have no place in a web page
+              if (!getAttribute(content, 'type') || getAttribute(content, 'type') === 'textWrapping') {
+                items.push({ html: '<br>' });
+              }
+              break;
+            case 'cr':
+              items.push({ html: '<br>' });
+              break;
+            case 'drawing':
+            case 'pict':
+              items.push({ html: this.renderImage(content, relationships) });
+              break;
+            case 'footnoteReference':
+            case 'endnoteReference':
+              items.push({
+                html: this.renderNoteReference(content.localName.replace('Reference', ''), getAttribute(content, 'id'))
+              });
+              break;
+            default:
+              break;
+          }
+        }
+      } else if (child.localName === 'hyperlink') {
+        const relationship = relationships.get(getAttribute(child, 'id'));
+        const content = this.renderInline(this.collectInline(child, paragraphProperties, relationships));
+
+        // Links to bookmarks inside the document have no target on the web
+        items.push({
+          html: relationship && relationship.external
+            ? `<a${renderAttributes({ href: relationship.target })}>${content}</a>`
+            : content
+        });
+      } else if (BIDI_ELEMENTS[child.localName]) {
+        const tagName = BIDI_ELEMENTS[child.localName];
+        const content = this.renderInline(this.collectInline(child, paragraphProperties, relationships));
+        items.push({ html: `<${tagName}${renderAttributes({ dir: getAttribute(child, 'val') })}>${content}</${tagName}>` });
+      } else if (TRANSPARENT_ELEMENTS.includes(child.localName)) {
+        this.collectInline(child, paragraphProperties, relationships, items);
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Render collected inline items
+   * @param {Array} items - Items from collectInline
+   * @returns {string} The HTML
+   */
+  renderInline(items) {
+    return items.map(item => (item.html !== undefined ? item.html : renderText(item.text, item.properties))).join('');
+  }
+
+  /**
+   * Render a paragraph
+   * @param {Element} paragraph - The w:p element
+   * @param {Map} relationships - Relationships of the current part
+   * @returns {Object} { html, numbering, direction }: the paragraph HTML,
+   *   or only its content for list items, the list it belongs to, if any,
+   *   and 'rtl' for right-to-left paragraphs
+   */
+  renderParagraph(paragraph, relationships) {
+    const pPr = findChild(paragraph, 'pPr');
+    const style = resolveStyle(this.styles, getValue(pPr, 'pStyle'));
+
+    // The style's own name decides over the names of the styles it is based on
+    const headingName = style.names.map(name => name.match(/^heading ([1-6])$/)).reverse().find(Boolean);
+    const directOutlineLevel = parseInt(getValue(pPr, 'outlineLvl'), 10);
+    const outlineLevel = !isNaN(directOutlineLevel) ? directOutlineLevel : style.outlineLevel;
+    let headingLevel = null;
+    if (headingName) {
+      headingLevel = parseInt(headingName[1], 10);
+    } else if (style.names.includes('title')) {
+      headingLevel = 1;
+    } else if (outlineLevel !== null && outlineLevel < 6) {
+      headingLevel = outlineLevel + 1;
+    }
+
+    // Headings get their look from the site, not from the heading style
+    const paragraphProperties = headingLevel ? {} : inheritedRunProperties(style.runProperties);
+    const content = this.renderInline(this.collectInline(paragraph, paragraphProperties, relationships));
+
+    const bidi = findChild(pPr, 'bidi');
+    const direction = bidi && !['0', 'false', 'off'].includes(getAttribute(bidi, 'val')) ? 'rtl' : null;
+
+    const numbering = readNumbering(pPr) || style.numbering;
+    if (!headingLevel && numbering && numbering.numId && numbering.numId !== '0') {
+      return { html: content, numbering, direction };
+    }
+
+    const tagName = headingLevel ? `h${headingLevel}` : 'p';
+    const alignment = ALIGNMENTS[getValue(pPr, 'jc')];
+    const attributes = renderAttributes({ dir: direction, style: alignment && `text-align: ${alignment}` });
+
+    return { html: `<${tagName}${attributes}>${content}</${tagName}>`, numbering: null, direction };
+  }
+
+  /**
+   * Work out the list element for a list level
+   * @param {Object} numbering - { numId, level } of the first item
+   * @returns {Object} { tagName, attributes }: ol with its start and type
+   *   attributes for numbered levels, ul for the others
+   */
+  createList(numbering) {
+    const levels = this.numbering.get(numbering.numId);
+    const definition = (levels && levels.get(numbering.level)) || { format: 'bullet', start: 1 };
+    const type = NUMBERING_TYPES[definition.format];
+    if (!type) return { tagName: 'ul', attributes: '' };
+
+    // Numbering continues from earlier items of the same list
+    const start = definition.start + (this.listCounters.get(`${numbering.numId}:${numbering.level}`) || 0);
+
+    return {
+      tagName: 'ol',
+      attributes: renderAttributes({
+        start: start !== 1 ? start : undefined,
+        type: type !== '1' ? type : undefined
+      })
+    };
+  }
+
+  /**
+   * Render block content: paragraphs, lists and tables
+   * @param {Element} container - The body, a table cell, a note or a
+   *   content control
+   * @param {Map} relationships - Relationships of the current part
+   * @returns {string} The HTML
+   */
+  renderBlocks(container, relationships) {
+    let html = '';
+    // Open lists, outermost first, as { numId, level, tagName }
+    const lists = [];
+
+    const closeList = () => {
+      html += `</li></${lists.pop().tagName}>`;
+    };
+
+    for (const child of childElements(container)) {
+      if (child.localName === 'p') {
+        const paragraph = this.renderParagraph(child, relationships);
+
+        if (!paragraph.numbering) {
+          while (lists.length > 0) closeList();
+          html += paragraph.html;
+          continue;
+        }
+
+        const { numId, level } = paragraph.numbering;
+        while (lists.length > 0 && lists[lists.length - 1].level > level) closeList();
+        if (lists.length > 0 && lists[lists.length - 1].level === level && lists[lists.length - 1].numId !== numId) {
+          closeList();
+        }
+
+        if (lists.length > 0 && lists[lists.length - 1].level === level) {
+          html += '</li>';
+        } else {
+          const { tagName, attributes } = this.createList(paragraph.numbering);
+          html += `<${tagName}${attributes}>`;
+          lists.push({ numId, level, tagName });
+        }
+        html += `<li${renderAttributes({ dir: paragraph.direction })}>${paragraph.html}`;
+
+        // Count the item and restart the levels below it
+        const key = `${numId}:${level}`;
+        this.listCounters.set(key, (this.listCounters.get(key) || 0) + 1);
+        for (const counterKey of Array.from(this.listCounters.keys())) {
+          const [counterNumId, counterLevel] = counterKey.split(':');
+          if (counterNumId === numId && parseInt(counterLevel, 10) > level) {
+            this.listCounters.delete(counterKey);
+          }
+        }
+        continue;
+      }
+
+      while (lists.length > 0) closeList();
+
+      if (child.localName === 'tbl') {
+        html += this.renderTable(child, relationships);
+      } else if (TRANSPARENT_ELEMENTS.includes(child.localName)) {
+        html += this.renderBlocks(child, relationships);
+      }
+    }
+
+    while (lists.length > 0) closeList();
+    return html;
+  }
+
+  /**
+   * Render a table, turning horizontally and vertically merged cells into
+   * colspan and rowspan
+   * @param {Element} table - The w:tbl element
+   * @param {Map} relationships - Relationships of the current part
+   * @returns {string} The HTML
+   */
+  renderTable(table, relationships) {
+    // Cells still open for vertical merging, by grid column
+    const mergeOrigins = new Map();
+
+    const rows = childElements(table, 'tr').map(row => {
+      const trPr = findChild(row, 'trPr');
+      let column = parseInt(getValue(trPr, 'gridBefore'), 10) || 0;
+      const cells = [];
+
+      for (const cell of childElements(row, 'tc')) {
+        const tcPr = findChild(cell, 'tcPr');
+        const colspan = parseInt(getValue(tcPr, 'gridSpan'), 10) || 1;
+        const vMerge = findChild(tcPr, 'vMerge');
+        const info = { element: cell, colspan, rowspan: 1 };
+
+        if (vMerge && getAttribute(vMerge, 'val') !== 'restart' && mergeOrigins.has(column)) {
+          mergeOrigins.get(column).rowspan += 1;
+        } else {
+          cells.push(info);
+          if (vMerge) {
+            mergeOrigins.set(column, info);
+          } else {
+            mergeOrigins.delete(column);
+          }
+        }
+        column += colspan;
+      }
+
+      return { header: Boolean(findChild(trPr, 'tblHeader')), cells };
+    });
+
+    const renderRow = ({ header, cells }) => {
+      const tagName = header ? 'th' : 'td';
+      return `<tr>${cells.map(cell => `<${tagName}${renderAttributes({
+        colspan: cell.colspan > 1 ? cell.colspan : undefined,
+        rowspan: cell.rowspan > 1 ? cell.rowspan : undefined
+      })}>${this.renderBlocks(cell.element, relationships)}</${tagName}>`).join('')}</tr>`;
+    };
+
+    // Repeated header rows at the top form the table head
+    const headerCount = rows.findIndex(row => !row.header);
+    const headRows = rows.slice(0, headerCount === -1 ? rows.length : headerCount);
+    const bodyRows = rows.slice(headRows.length);
+
+    return `<table>${headRows.length > 0 ? `<thead>${headRows.map(renderRow).join('')}</thead>` : ''}` +
+      `<tbody>${bodyRows.map(renderRow).join('')}</tbody></table>`;
+  }
+
+  /**
+   * Render the referenced footnotes and endnotes as a numbered list
+   * @returns {string} The HTML, or '' if no notes are referenced
+   */
+  renderNotes() {
+    if (this.referencedNotes.length === 0) return '';
+
+    const items = this.referencedNotes
+      .map(({ element, relationships }) => `<li>${this.renderBlocks(element, relationships)}</li>`);
+    return `<hr><ol>${items.join('')}</ol>`;
+  }
+}
+
+/**
+ * Convert a .docx file to HTML
+ * @param {Buffer} buffer - The .docx file
+ * @returns {string} The HTML of the document body, followed by its notes
+ * @throws {DocxError} If the file is not a readable .docx document
+ */
+function docxToHtml(buffer) {
+  let zip;
+  try {
+    zip = openZip(buffer);
+  } catch (error) {
+    throw new DocxError(`Invalid .docx file: ${error.message}`);
+  }
+
+  const packageRelationships = readRelationships(zip, '');
+  const documentRelationship = Array.from(packageRelationships.values())
+    .find(relationship => OFFICE_DOCUMENT_TYPE.test(relationship.type));
+  const documentPart = documentRelationship ? documentRelationship.target : 'word/document.xml';
+
+  const doc = readXmlPart(zip, documentPart);
+  const body = doc && findChild(doc.documentElement, 'body');
+  if (!body) {
+    throw new DocxError('Invalid .docx file: the document body is missing');
+  }
+
+  const reader = new DocxReader(zip, documentPart);
+  const html = reader.renderBlocks(body, reader.relationships);
+  return `${html}${reader.renderNotes()}`;
+}
+
+module.exports = {
+  docxToHtml,
+  DocxError
+};
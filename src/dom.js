@@ -0,0 +1,719 @@
+/**
+ * Lightweight DOM
+ * Builds a small DOM from the parse5 tree, implementing only the part of the
+ * DOM API the converter uses. parse5 is the HTML parser JSDOM uses, so the
+ * tree is the same, without the cost of a full browser environment per call.
+ */
+
+const { parse } = require('parse5');
+const { splitTopLevel } = require('./css');
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+const DOCUMENT_NODE = 9;
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+// Parsed selectors, keyed by selector text
+const selectorCache = new Map();
+
+// Elements that have no end tag
+const VOID_ELEMENTS = [
+  'area', 'base', 'basefont', 'bgsound', 'br', 'col', 'embed', 'frame', 'hr', 'img',
+  'input', 'keygen', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+];
+
+// Elements whose text is serialized without escaping
+const RAW_TEXT_ELEMENTS = ['style', 'script', 'xmp', 'iframe', 'noembed', 'noframes', 'plaintext', 'noscript'];
+
+// Pseudo-classes that match on the position of an element among its siblings
+const STRUCTURAL_PSEUDO_CLASSES = {
+  'first-child': { of: 'child', nth: { a: 0, b: 1 } },
+  'last-child': { of: 'child', nth: { a: 0, b: 1 }, fromEnd: true },
+  'first-of-type': { of: 'type', nth: { a: 0, b: 1 } },
+  'last-of-type': { of: 'type', nth: { a: 0, b: 1 }, fromEnd: true },
+  'nth-child': { of: 'child' },
+  'nth-last-child': { of: 'child', fromEnd: true },
+  'nth-of-type': { of: 'type' },
+  'nth-last-of-type': { of: 'type', fromEnd: true }
+};
+
+/**
+ * Parse the argument of an :nth-child() style pseudo-class
+ * @param {string} text - The argument, e.g. 'odd' or '2n+1'
+ * @returns {Object} { a, b } for positions a*n+b
+ * @throws {Error} For arguments that are not an+b
+ */
+function parseNth(text) {
+  const value = text.replace(/\s+/g, '').toLowerCase();
+  if (value === 'odd') return { a: 2, b: 1 };
+  if (value === 'even') return { a: 2, b: 0 };
+
+  const match = value.match(/^(?:([+-]?\d*)n)?([+-]?\d+)?$/);
+  if (!value || !match) {
+    throw new Error(`Unsupported :nth argument "${text}"`);
+  }
+
+  const a = match[1] === undefined ? 0 : ['', '+'].includes(match[1]) ? 1 : match[1] === '-' ? -1 : parseInt(match[1], 10);
+  return { a, b: match[2] ? parseInt(match[2], 10) : 0 };
+}
+
+/**
+ * Check whether a position is one of the positions a*n+b
+ * @param {number} position - The 1-based position
+ * @param {Object} nth - { a, b } from parseNth
+ * @returns {boolean} True if it is
+ */
+function matchesNth(position, { a, b }) {
+  if (a === 0) return position === b;
+  const n = (position - b) / a;
+  return Number.isInteger(n) && n >= 0;
+}
+
+/**
+ * Parse a compound selector: a type or universal selector followed by any
+ * number of class, id, attribute and pseudo-class selectors
+ * @param {string} text - The compound selector, e.g. 'a.link[href]:first-child'
+ * @param {string} selector - The whole selector, for error messages
+ * @returns {Object} { tagName, ids, classes, attributes, pseudoClasses }
+ * @throws {Error} For unsupported selectors
+ */
+function parseCompound(text, selector) {
+  const unsupported = () => new Error(`Unsupported selector "${selector}"`);
+  const typeMatch = text.match(/^([a-zA-Z][\w-]*|\*)?/);
+  const compound = {
+    tagName: typeMatch[1] && typeMatch[1] !== '*' ? typeMatch[1].toLowerCase() : null,
+    ids: [],
+    classes: [],
+    attributes: [],
+    pseudoClasses: []
+  };
+
+  let rest = text.slice(typeMatch[0].length);
+  while (rest) {
+    let match;
+    if ((match = rest.match(/^([.#])([\w-]+)/))) {
+      (match[1] === '#' ? compound.ids : compound.classes).push(match[2]);
+    } else if ((match = rest.match(/^\[([^\]]+)\]/))) {
+      const attribute = match[1].match(/^\s*([\w-]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+))\s*(i)?)?\s*$/);
+      if (!attribute) throw unsupported();
+      const value = attribute[3] !== undefined ? attribute[3] : attribute[4] !== undefined ? attribute[4] : attribute[5];
+      compound.attributes.push({
+        name: attribute[1].toLowerCase(),
+        operator: attribute[2],
+        value: value !== undefined && attribute[6] ? value.toLowerCase() : value,
+        ignoreCase: Boolean(attribute[6])
+      });
+    } else if ((match = rest.match(/^:([\w-]+)/))) {
+      const name = match[1].toLowerCase();
+      let argument;
+      if (rest[match[0].length] === '(') {
+        // Read up to the matching parenthesis
+        let depth = 0;
+        let end = match[0].length;
+        for (; end < rest.length; end++) {
+          if (rest[end] === '(') depth++;
+          if (rest[end] === ')' && --depth === 0) break;
+        }
+        if (end >= rest.length) throw unsupported();
+        argument = rest.slice(match[0].length + 1, end);
+        match = [rest.slice(0, end + 1)];
+      }
+      compound.pseudoClasses.push(parsePseudoClass(name, argument, unsupported));
+    } else {
+      throw unsupported();
+    }
+    rest = rest.slice(match[0].length);
+  }
+
+  return compound;
+}
+
+/**
+ * Parse a pseudo-class. Only pseudo-classes that depend on the document
+ * alone are supported, not ones such as :hover that depend on the user.
+ * @param {string} name - The pseudo-class name, lower case
+ * @param {string} [argument] - The text between its parentheses
+ * @param {Function} unsupported - Creates the error for unsupported selectors
+ * @returns {Object} { name, nth, of, fromEnd, selectors }
+ * @throws {Error} For unsupported pseudo-classes
+ */
+function parsePseudoClass(name, argument, unsupported) {
+  const structural = STRUCTURAL_PSEUDO_CLASSES[name];
+  if (structural) {
+    if (!structural.nth && argument === undefined) throw unsupported();
+    return { name, ...structural, nth: structural.nth || parseNth(argument) };
+  }
+
+  if (['not', 'is', 'where', 'matches'].includes(name) && argument !== undefined) {
+    return { name, selectors: parseSelector(argument) };
+  }
+
+  if (['only-child', 'only-of-type', 'root', 'empty', 'link', 'any-link'].includes(name) && argument === undefined) {
+    return { name };
+  }
+
+  throw unsupported();
+}
+
+/**
+ * Parse a complex selector: compound selectors joined by combinators
+ * @param {string} text - The complex selector, e.g. 'div.post > p + p'
+ * @param {string} selector - The whole selector, for error messages
+ * @returns {Array} Parts as { compound, combinator }, where combinator
+ *   joins the part to the one before it: ' ', '>', '+' or '~'
+ * @throws {Error} For unsupported selectors
+ */
+function parseComplex(text, selector) {
+  const parts = [];
+  let current = '';
+  let combinator = null;
+  let depth = 0;
+  let quote = null;
+
+  const flush = () => {
+    if (current) {
+      parts.push({ compound: parseCompound(current, selector), combinator });
+      current = '';
+      combinator = ' ';
+    }
+  };
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '[' || char === '(') {
+      depth++;
+    } else if (char === ']' || char === ')') {
+      depth--;
+    } else if (depth === 0 && /\s/.test(char)) {
+      flush();
+      continue;
+    } else if (depth === 0 && '>+~'.includes(char)) {
+      flush();
+      if (parts.length === 0) throw new Error(`Unsupported selector "${selector}"`);
+      combinator = char;
+      continue;
+    }
+    current += char;
+  }
+
+  if (!current) {
+    throw new Error(`Unsupported selector "${selector}"`);
+  }
+  flush();
+  return parts;
+}
+
+/**
+ * Parse a selector list into complex selectors. Type, class, id and
+ * attribute selectors, the structural and logical pseudo-classes, and the
+ * descendant, child and sibling combinators are supported.
+ * @param {string} selector - The selector list, e.g. 'a[href], ul > li'
+ * @returns {Array} Complex selectors, see parseComplex
+ * @throws {Error} For unsupported selectors
+ */
+function parseSelector(selector) {
+  if (selectorCache.has(selector)) {
+    return selectorCache.get(selector);
+  }
+
+  const parts = splitTopLevel(selector, /,/);
+  if (parts.length === 0 || /,\s*$/.test(selector)) {
+    throw new Error(`Unsupported selector "${selector}"`);
+  }
+
+  const complexSelectors = parts.map(part => parseComplex(part, selector));
+  selectorCache.set(selector, complexSelectors);
+  return complexSelectors;
+}
+
+/**
+ * Check whether an element matches an attribute selector
+ * @param {Element} element - The element
+ * @param {Object} attribute - An attribute selector from parseCompound
+ * @returns {boolean} True if the element matches
+ */
+function matchesAttribute(element, { name, operator, value, ignoreCase }) {
+  if (!element.hasAttribute(name)) return false;
+  if (value === undefined) return true;
+
+  const actual = ignoreCase ? element.getAttribute(name).toLowerCase() : element.getAttribute(name);
+  switch (operator) {
+    case '~=': return actual.split(/\s+/).includes(value);
+    case '|=': return actual === value || actual.startsWith(`${value}-`);
+    case '^=': return value !== '' && actual.startsWith(value);
+    case '$=': return value !== '' && actual.endsWith(value);
+    case '*=': return value !== '' && actual.includes(value);
+    default: return actual === value;
+  }
+}
+
+/**
+ * Check whether an element matches a pseudo-class
+ * @param {Element} element - The element
+ * @param {Object} pseudoClass - A pseudo-class from parsePseudoClass
+ * @returns {boolean} True if the element matches
+ */
+function matchesPseudoClass(element, pseudoClass) {
+  const { name } = pseudoClass;
+  const siblings = element.parentNode ? element.parentNode.children : [element];
+
+  if (pseudoClass.nth) {
+    const candidates = pseudoClass.of === 'type'
+      ? siblings.filter(sibling => sibling.localName === element.localName)
+      : siblings;
+    const index = candidates.indexOf(element);
+    const position = pseudoClass.fromEnd ? candidates.length - index : index + 1;
+    return matchesNth(position, pseudoClass.nth);
+  }
+
+  switch (name) {
+    case 'not':
+      return !pseudoClass.selectors.some(complex => matchesComplex(element, complex));
+    case 'is':
+    case 'where':
+    case 'matches':
+      return pseudoClass.selectors.some(complex => matchesComplex(element, complex));
+    case 'only-child':
+      return siblings.length === 1;
+    case 'only-of-type':
+      return siblings.filter(sibling => sibling.localName === element.localName).length === 1;
+    case 'root':
+      return Boolean(element.parentNode) && element.parentNode.nodeType === DOCUMENT_NODE;
+    case 'empty':
+      return element.childNodes.every(child => child.nodeType === COMMENT_NODE);
+    default:
+      // :link and :any-link, for links that are not visited
+      return ['a', 'area'].includes(element.localName) && element.hasAttribute('href');
+  }
+}
+
+/**
+ * Check whether an element matches a compound selector
+ * @param {Element} element - The element
+ * @param {Object} compound - A compound selector from parseCompound
+ * @returns {boolean} True if the element matches
+ */
+function matchesCompound(element, compound) {
+  if (compound.tagName && element.localName !== compound.tagName) return false;
+  if (compound.ids.some(id => element.getAttribute('id') !== id)) return false;
+
+  if (compound.classes.length > 0) {
+    const classes = (element.getAttribute('class') || '').split(/\s+/);
+    if (compound.classes.some(className => !classes.includes(className))) return false;
+  }
+
+  return compound.attributes.every(attribute => matchesAttribute(element, attribute)) &&
+    compound.pseudoClasses.every(pseudoClass => matchesPseudoClass(element, pseudoClass));
+}
+
+/**
+ * Check whether an element matches a complex selector, from its last part
+ * back to its first
+ * @param {Element} element - The element
+ * @param {Array} parts - A complex selector from parseComplex
+ * @param {number} [index] - The part the element must match
+ * @returns {boolean} True if the element matches
+ */
+function matchesComplex(element, parts, index = parts.length - 1) {
+  if (!matchesCompound(element, parts[index].compound)) return false;
+  if (index === 0) return true;
+
+  const combinator = parts[index].combinator;
+  if (combinator === '>' || combinator === ' ') {
+    for (let ancestor = element.parentElement; ancestor; ancestor = ancestor.parentElement) {
+      if (matchesComplex(ancestor, parts, index - 1)) return true;
+      if (combinator === '>') return false;
+    }
+    return false;
+  }
+
+  const siblings = element.parentNode ? element.parentNode.children : [];
+  for (let i = siblings.indexOf(element) - 1; i >= 0; i--) {
+    if (matchesComplex(siblings[i], parts, index - 1)) return true;
+    if (combinator === '+') return false;
+  }
+  return false;
+}
+
+/**
+ * Escape text for HTML serialization
+ * @param {string} text - The text
+ * @param {boolean} inAttribute - Whether the text is an attribute value
+ * @returns {string} The escaped text
+ */
+function escapeText(text, inAttribute) {
+  const escaped = text.replace(/&/g, '&amp;').replace(/\u00a0/g, '&nbsp;');
+  return inAttribute
+    ? escaped.replace(/"/g, '&quot;')
+    : escaped.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Serialize a node as HTML, following the HTML fragment serialization
+ * algorithm
+ * @param {Node} node - The node
+ * @returns {string} The HTML
+ */
+function serializeNode(node) {
+  if (node.nodeType === TEXT_NODE) {
+    const parent = node.parentNode;
+    return parent && parent.nodeType === ELEMENT_NODE && RAW_TEXT_ELEMENTS.includes(parent.localName)
+      ? node.data
+      : escapeText(node.data, false);
+  }
+
+  if (node.nodeType === COMMENT_NODE) {
+    return `<!--${node.data}-->`;
+  }
+
+  const attributes = Array.from(node.attributes)
+    .map(([name, value]) => ` ${name}="${escapeText(value, true)}"`)
+    .join('');
+  const startTag = `<${node.localName}${attributes}>`;
+
+  if (VOID_ELEMENTS.includes(node.localName)) {
+    return startTag;
+  }
+  return `${startTag}${node.childNodes.map(serializeNode).join('')}</${node.localName}>`;
+}
+
+/**
+ * Base class of all nodes
+ */
+class Node {
+  /**
+   * @param {number} nodeType - The DOM node type
+   */
+  constructor(nodeType) {
+    this.nodeType = nodeType;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get parentElement() {
+    return this.parentNode && this.parentNode.nodeType === ELEMENT_NODE ? this.parentNode : null;
+  }
+
+  get children() {
+    return this.childNodes.filter(child => child.nodeType === ELEMENT_NODE);
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get lastChild() {
+    return this.childNodes[this.childNodes.length - 1] || null;
+  }
+
+  get textContent() {
+    let text = '';
+    const visit = node => {
+      for (const child of node.childNodes) {
+        if (child.nodeType === TEXT_NODE) {
+          text += child.data;
+        } else if (child.nodeType === ELEMENT_NODE) {
+          visit(child);
+        }
+      }
+    };
+    visit(this);
+    return text;
+  }
+
+  /**
+   * Check whether a node is this node or one of its descendants
+   * @param {Node} other - The node
+   * @returns {boolean} True if this node contains the other
+   */
+  contains(other) {
+    for (let node = other; node; node = node.parentNode) {
+      if (node === this) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Insert a node before a child of this node, moving it from its current
+   * parent
+   * @param {Node} node - The node to insert
+   * @param {Node|null} reference - The child to insert before, or null to
+   *   append
+   * @returns {Node} The inserted node
+   */
+  insertBefore(node, reference) {
+    if (node.parentNode) {
+      node.parentNode.removeChild(node);
+    }
+
+    const index = reference ? this.childNodes.indexOf(reference) : -1;
+    if (index === -1) {
+      this.childNodes.push(node);
+    } else {
+      this.childNodes.splice(index, 0, node);
+    }
+    node.parentNode = this;
+    return node;
+  }
+
+  /**
+   * Append a node as the last child, moving it from its current parent
+   * @param {Node} node - The node to append
+   * @returns {Node} The appended node
+   */
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  /**
+   * Remove a child node
+   * @param {Node} node - The child to remove
+   * @returns {Node} The removed node
+   */
+  removeChild(node) {
+    this.childNodes.splice(this.childNodes.indexOf(node), 1);
+    node.parentNode = null;
+    return node;
+  }
+
+  /**
+   * Remove this node from its parent
+   */
+  remove() {
+    if (this.parentNode) {
+      this.parentNode.removeChild(this);
+    }
+  }
+
+  /**
+   * Find all descendant elements matching a selector, in document order
+   * @param {string} selector - A selector, see parseSelector
+   * @returns {Array} The matching elements
+   */
+  querySelectorAll(selector) {
+    const complexSelectors = parseSelector(selector);
+    const matches = [];
+    const visit = node => {
+      for (const child of node.childNodes) {
+        if (child.nodeType !== ELEMENT_NODE) continue;
+        if (complexSelectors.some(complex => matchesComplex(child, complex))) {
+          matches.push(child);
+        }
+        visit(child);
+      }
+    };
+    visit(this);
+    return matches;
+  }
+
+  /**
+   * Find the first descendant element matching a selector
+   * @param {string} selector - A selector, see parseSelector
+   * @returns {Element|null} The element, or null
+   */
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+/**
+ * A text node
+ */
+class Text extends Node {
+  /**
+   * @param {string} data - The text
+   */
+  constructor(data) {
+    super(TEXT_NODE);
+    this.data = data;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+}
+
+/**
+ * A comment node
+ */
+class Comment extends Node {
+  /**
+   * @param {string} data - The comment text
+   */
+  constructor(data) {
+    super(COMMENT_NODE);
+    this.data = data;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+}
+
+/**
+ * An element
+ */
+class Element extends Node {
+  /**
+   * @param {string} localName - The tag name as written in the source
+   * @param {string} namespaceURI - The element namespace
+   * @param {Array} attrs - parse5 attributes as { name, value }
+   */
+  constructor(localName, namespaceURI, attrs) {
+    super(ELEMENT_NODE);
+    this.localName = localName;
+    this.namespaceURI = namespaceURI;
+    this.attributes = new Map(attrs.map(attribute => [attribute.name, attribute.value]));
+  }
+
+  // HTML elements report upper-case tag names, like the browser DOM
+  get tagName() {
+    return this.namespaceURI === HTML_NAMESPACE ? this.localName.toUpperCase() : this.localName;
+  }
+
+  getAttribute(name) {
+    const value = this.attributes.get(name.toLowerCase());
+    return value === undefined ? null : value;
+  }
+
+  getAttributeNames() {
+    return Array.from(this.attributes.keys());
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name.toLowerCase());
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name.toLowerCase(), String(value));
+  }
+
+  removeAttribute(name) {
+    this.attributes.delete(name.toLowerCase());
+  }
+
+  get outerHTML() {
+    return serializeNode(this);
+  }
+
+  // Table rows in the order of HTMLTableElement.rows: head rows, then body
+  // rows, then foot rows, leaving out rows of nested tables
+  get rows() {
+    if (this.localName !== 'table') return undefined;
+
+    const sections = { thead: [], tbody: [], tfoot: [] };
+    for (const child of this.children) {
+      if (child.localName === 'tr') {
+        sections.tbody.push(child);
+      } else if (['thead', 'tbody', 'tfoot'].includes(child.localName)) {
+        sections[child.localName].push(...child.children.filter(row => row.localName === 'tr'));
+      }
+    }
+
+    return [...sections.thead, ...sections.tbody, ...sections.tfoot];
+  }
+
+  get cells() {
+    if (this.localName !== 'tr') return undefined;
+    return this.children.filter(cell => cell.localName === 'td' || cell.localName === 'th');
+  }
+
+  get caption() {
+    if (this.localName !== 'table') return undefined;
+    return this.children.find(child => child.localName === 'caption') || null;
+  }
+
+  /**
+   * Check whether this element matches a selector
+   * @param {string} selector - A selector, see parseSelector
+   * @returns {boolean} True if the element matches
+   */
+  matches(selector) {
+    return parseSelector(selector).some(complex => matchesComplex(this, complex));
+  }
+
+  /**
+   * Find the closest ancestor-or-self element matching a selector
+   * @param {string} selector - A selector, see parseSelector
+   * @returns {Element|null} The element, or null
+   */
+  closest(selector) {
+    for (let node = this; node && node.nodeType === ELEMENT_NODE; node = node.parentNode) {
+      if (node.matches(selector)) return node;
+    }
+    return null;
+  }
+}
+
+/**
+ * A document
+ */
+class Document extends Node {
+  constructor() {
+    super(DOCUMENT_NODE);
+  }
+
+  get documentElement() {
+    return this.children[0] || null;
+  }
+
+  get body() {
+    const root = this.documentElement;
+    return root ? root.children.find(child => child.localName === 'body') || null : null;
+  }
+
+  /**
+   * Create an HTML element
+   * @param {string} tagName - The tag name
+   * @returns {Element} The element, not yet in the document
+   */
+  createElement(tagName) {
+    return new Element(tagName.toLowerCase(), HTML_NAMESPACE, []);
+  }
+}
+
+/**
+ * Copy a parse5 node and its descendants into the lightweight DOM
+ * @param {Object} source - The parse5 node
+ * @param {Node} target - The node receiving the copied children
+ */
+function buildChildren(source, target) {
+  for (const child of source.childNodes || []) {
+    let node;
+
+    if (child.nodeName === '#text') {
+      node = new Text(child.value);
+    } else if (child.nodeName === '#comment') {
+      node = new Comment(child.data);
+    } else if (child.tagName) {
+      node = new Element(child.tagName, child.namespaceURI, child.attrs);
+      buildChildren(child, node);
+    } else {
+      // Doctypes carry no content
+      continue;
+    }
+
+    node.parentNode = target;
+    target.childNodes.push(node);
+  }
+}
+
+/**
+ * Parse an HTML document
+ * @param {string} html - The HTML
+ * @returns {Document} The document
+ */
+function parseDocument(html) {
+  const document = new Document();
+  buildChildren(parse(html), document);
+  return document;
+}
+
+module.exports = {
+  parseDocument
+};
@@ -0,0 +1,107 @@
+/**
+ * Embed providers
+ * Recognises embedded players and posts from their URLs so they can be
+ * converted to the matching Ricos node and rendered back as players
+ */
+
+// Known providers. `type` is the Ricos node type, `canonical` turns a match
+// into the public page URL and `player` turns that URL back into an iframe src.
+const PROVIDERS = [
+  {
+    name: 'YouTube',
+    type: 'VIDEO',
+    pattern: /^https?:\/\/(?:www\.|m\.)?(?:youtube(?:-nocookie)?\.com\/(?:embed\/|shorts\/|watch\?(?:.*&)?v=)|youtu\.be\/)([\w-]{11})/i,
+    canonical: match => `https://www.youtube.com/watch?v=${match[1]}`,
+    player: match => `https://www.youtube.com/embed/${match[1]}`
+  },
+  {
+    name: 'Vimeo',
+    type: 'VIDEO',
+    pattern: /^https?:\/\/(?:www\.|player\.)?vimeo\.com\/(?:video\/)?(\d+)/i,
+    canonical: match => `https://vimeo.com/${match[1]}`,
+    player: match => `https://player.vimeo.com/video/${match[1]}`
+  },
+  {
+    name: 'Spotify',
+    type: 'AUDIO',
+    pattern: /^https?:\/\/open\.spotify\.com\/(?:embed\/)?(track|album|playlist|episode|show|artist)\/(\w+)/i,
+    canonical: match => `https://open.spotify.com/${match[1]}/${match[2]}`,
+    player: match => `https://open.spotify.com/embed/${match[1]}/${match[2]}`
+  },
+  {
+    // The SoundCloud player carries the track URL in its query string
+    name: 'SoundCloud',
+    type: 'AUDIO',
+    pattern: /^https?:\/\/w\.soundcloud\.com\/player\/?\?(?:.*&)?url=([^&]+)/i,
+    canonical: match => decodeURIComponent(match[1]),
+    player: match => `https://w.soundcloud.com/player/?url=${match[1]}`
+  },
+  {
+    name: 'SoundCloud',
+    type: 'AUDIO',
+    pattern: /^https?:\/\/(?:www\.|m\.|api\.)?soundcloud\.com\/[\w-]+\/[\w-]+/i,
+    canonical: match => match[0],
+    player: match => `https://w.soundcloud.com/player/?url=${encodeURIComponent(match[0])}`
+  },
+  {
+    name: 'Twitter',
+    type: 'EMBED',
+    pattern: /^https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/(\w+)\/status(?:es)?\/(\d+)/i,
+    canonical: match => `https://twitter.com/${match[1]}/status/${match[2]}`,
+    player: null
+  },
+  {
+    name: 'Twitter',
+    type: 'EMBED',
+    pattern: /^https?:\/\/platform\.twitter\.com\/embed\/Tweet\.html\?(?:.*&)?id=(\d+)/i,
+    canonical: match => `https://twitter.com/i/status/${match[1]}`,
+    player: null
+  },
+  {
+    name: 'Instagram',
+    type: 'EMBED',
+    pattern: /^https?:\/\/(?:www\.)?instagram\.com\/(p|reel|tv)\/([\w-]+)/i,
+    canonical: match => `https://www.instagram.com/${match[1]}/${match[2]}/`,
+    player: null
+  }
+];
+
+/**
+ * Make a protocol-relative URL absolute
+ * @param {string} url - The URL
+ * @returns {string} The URL with a protocol
+ */
+function absoluteUrl(url) {
+  const trimmed = (url || '').trim();
+  return trimmed.startsWith('//') ? `https:${trimmed}` : trimmed;
+}
+
+/**
+ * Find the provider of an embed URL
+ * @param {string} url - An iframe src, player URL or page URL
+ * @returns {Object|null} { provider, type, url, playerUrl } where url is the
+ *   canonical page URL and playerUrl the iframe src (null for post embeds),
+ *   or null for unknown providers
+ */
+function recognizeEmbed(url) {
+  const absolute = absoluteUrl(url);
+
+  for (const provider of PROVIDERS) {
+    const match = absolute.match(provider.pattern);
+    if (match) {
+      return {
+        provider: provider.name,
+        type: provider.type,
+        url: provider.canonical(match),
+        playerUrl: provider.player ? provider.player(match) : null
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  absoluteUrl,
+  recognizeEmbed
+};
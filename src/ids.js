@@ -0,0 +1,134 @@
+/**
+ * Node IDs
+ * Assigns the final IDs of a converted document, using one of several
+ * strategies so output can be random, reproducible or tied to the content
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { checkOptionValue } = require('./options');
+
+// Supported values of the ids option
+const ID_STRATEGIES = ['uuid', 'sequence', 'hash'];
+
+/**
+ * Hash a string into a short hexadecimal ID
+ * @param {string} value - The string to hash
+ * @returns {string} The first 12 hex characters of its SHA-1
+ */
+function shortHash(value) {
+  return crypto.createHash('sha1').update(value).digest('hex').slice(0, 12);
+}
+
+/**
+ * Compute the content hash of every node, children first. The hash covers the
+ * node type, data and children, but no IDs.
+ * @param {Object} node - A Ricos node
+ * @param {Map} hashes - Nodes mapped to their hashes, filled in
+ * @returns {string} The hash of the node
+ */
+function hashNode(node, hashes) {
+  const { id, nodes, ...data } = node;
+  const childHashes = (nodes || []).map(child => hashNode(child, hashes));
+  const hash = shortHash(JSON.stringify({ data, nodes: childHashes }));
+  hashes.set(node, hash);
+  return hash;
+}
+
+/**
+ * Visit every node that carries an ID, in document order. TEXT nodes keep
+ * their empty ID.
+ * @param {Array} nodes - Ricos nodes
+ * @param {Function} callback - Called with each node
+ */
+function forEachIdentifiedNode(nodes, callback) {
+  for (const node of nodes || []) {
+    if (node.type !== 'TEXT') {
+      callback(node);
+    }
+    forEachIdentifiedNode(node.nodes, callback);
+  }
+}
+
+/**
+ * Assign the IDs of a converted document
+ * @param {Array} nodes - The document nodes, changed in place
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.ids='uuid'] - ID strategy:
+ *   'uuid' for random UUIDs, 'sequence' for numbered IDs that are the same on
+ *   every run ('node-1', 'node-2', ...), 'hash' for IDs derived from the node
+ *   content, which stay the same when the same HTML is converted again
+ * @param {string} [options.idSeed='node'] - Prefix of 'sequence' IDs, so
+ *   documents converted with different seeds never share IDs
+ * @returns {Array} The nodes
+ * @throws {ConversionOptionsError} If the strategy is unknown
+ */
+function assignIds(nodes, options = {}) {
+  const strategy = options.ids || 'uuid';
+  checkOptionValue('ids', strategy, ID_STRATEGIES, 'id strategy');
+
+  if (strategy === 'uuid') {
+    forEachIdentifiedNode(nodes, node => {
+      node.id = uuidv4();
+    });
+    return nodes;
+  }
+
+  if (strategy === 'sequence') {
+    const seed = options.idSeed !== undefined ? String(options.idSeed) : 'node';
+    let counter = 0;
+    forEachIdentifiedNode(nodes, node => {
+      counter += 1;
+      node.id = `${seed}-${counter}`;
+    });
+    return nodes;
+  }
+
+  // Identical nodes, such as spacing paragraphs, share a hash, so repeats are
+  // numbered in document order to keep IDs unique
+  const hashes = new Map();
+  nodes.forEach(node => hashNode(node, hashes));
+
+  const occurrences = new Map();
+  forEachIdentifiedNode(nodes, node => {
+    const hash = hashes.get(node);
+    const occurrence = occurrences.get(hash) || 0;
+    occurrences.set(hash, occurrence + 1);
+    node.id = occurrence === 0 ? hash : `${hash}-${occurrence}`;
+  });
+
+  return nodes;
+}
+
+/**
+ * Create the ID of a converted document with the same strategy as its
+ * nodes, so documents converted with 'sequence' or 'hash' IDs are the same
+ * on every run
+ * @param {Array} nodes - The document nodes
+ * @param {Object} [options] - Conversion options, see assignIds
+ * @returns {string} A random UUID, '<idSeed>-document' for 'sequence' IDs,
+ *   or a hash of the content for 'hash' IDs
+ * @throws {ConversionOptionsError} If the strategy is unknown
+ */
+function createDocumentId(nodes, options = {}) {
+  const strategy = options.ids || 'uuid';
+  checkOptionValue('ids', strategy, ID_STRATEGIES, 'id strategy');
+
+  if (strategy === 'uuid') {
+    return uuidv4();
+  }
+
+  if (strategy === 'sequence') {
+    const seed = options.idSeed !== undefined ? String(options.idSeed) : 'node';
+    return `${seed}-document`;
+  }
+
+  const hashes = new Map();
+  return shortHash(nodes.map(node => hashNode(node, hashes)).join(','));
+}
+
+module.exports = {
+  ID_STRATEGIES,
+  assignIds,
+  createDocumentId
+};
@@ -1,6 +1,19 @@
+const { once } = require('events');
 const express = require('express');
 const cors = require('cors');
-const { htmlToRicos } = require('./converter');
+const {
+  htmlToRicos,
+  markdownToRicos,
+  docxToRicosAsync,
+  ricosToHtml,
+  validateRicos,
+  RicosValidationError,
+  ConversionOptionsError,
+  createLocalUploader,
+  DocxError
+} = require('./converter');
+const { convertBatch, parseNdjson } = require('./batch');
+const { parseMultipart } = require('./multipart');
 
 // Initialize Express app
 const app = express();
@@ -11,6 +24,12 @@ app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Images of uploaded documents are stored in MEDIA_DIRECTORY when it is set,
+// and served from MEDIA_BASE_URL; otherwise they stay data URIs
+const mediaUploader = process.env.MEDIA_DIRECTORY
+  ? createLocalUploader({ directory: process.env.MEDIA_DIRECTORY, baseUrl: process.env.MEDIA_BASE_URL })
+  : undefined;
+
 // Routes
 app.get('/', (req, res) => {
   res.send({
@@ -19,9 +38,60 @@ app.get('/', (req, res) => {
       {
         path: '/convert',
         method: 'POST',
-        description: 'Convert HTML to Ricos format',
+        description: 'Convert HTML or Markdown to Ricos format',
+        query: {
+          report: 'true to add a report of dropped and degraded content'
+        },
+        body: {
+          html: 'Your HTML content here',
+          markdown: 'Or your Markdown content here',
+          options: {
+            spacing: 'paragraphs | padding | none',
+            validate: 'true | strict',
+            ids: 'uuid | sequence | hash',
+            metadata: '{ id, createdTimestamp, updatedTimestamp }',
+            documentStyle: 'false | { paragraph, headerOne, ... }',
+            source: 'auto | none | word | google-docs | libreoffice',
+            detectDirection: 'true to detect the direction of text without a dir'
+          }
+        }
+      },
+      {
+        path: '/convert/docx',
+        method: 'POST',
+        description: 'Convert an uploaded Word .docx file to Ricos format',
+        query: {
+          report: 'true to add a report of dropped and degraded content'
+        },
+        body: {
+          file: 'The .docx file, as multipart/form-data',
+          options: 'Conversion options as a JSON string, as for /convert'
+        }
+      },
+      {
+        path: '/convert/batch',
+        method: 'POST',
+        description: 'Convert many documents at once, as JSON or NDJSON (application/x-ndjson)',
+        body: {
+          items: [{ id: 'post-1', html: 'Your HTML content here', options: {} }],
+          concurrency: 4
+        }
+      },
+      {
+        path: '/convert/ricos-to-html',
+        method: 'POST',
+        description: 'Convert Ricos format back to HTML',
+        body: {
+          ricos: { nodes: [] }
+        }
+      },
+      {
+        path: '/validate',
+        method: 'POST',
+        description: 'Validate a Ricos document against the Ricos schema',
         body: {
-          html: 'Your HTML content here'
+          ricos: { nodes: [] },
+          strict: false
         }
       }
     ]
@@ -31,22 +101,44 @@ app.get('/', (req, res) => {
 // Convert HTML to Ricos endpoint
 app.post('/convert', (req, res) => {
   try {
-    // Get HTML from request body
-    const { html } = req.body;
+    // Get HTML or Markdown from request body
+    const { html, markdown, format, options } = req.body;
+    const isMarkdown = markdown !== undefined || format === 'markdown';
+    const content = markdown !== undefined ? markdown : html;
     
-    if (!html) {
+    if (!content) {
       return res.status(400).json({
         error: 'HTML content is required',
-        message: 'Please provide HTML content in the request body as { "html": "your html here" }'
+        message: 'Please provide HTML content in the request body as { "html": "your html here" } or Markdown as { "markdown": "your markdown here" }'
       });
     }
     
-    // Convert HTML to Ricos
-    const ricosContent = htmlToRicos(html);
+    // ?report=true adds a report of dropped and degraded content
+    const conversionOptions = req.query.report === 'true' ? { ...options, report: true } : options;
+    
+    // Convert HTML or Markdown to Ricos
+    const ricosContent = isMarkdown
+      ? markdownToRicos(content, conversionOptions)
+      : htmlToRicos(content, conversionOptions);
     
     // Return Ricos JSON
     return res.json(ricosContent);
   } catch (error) {
+    if (error instanceof ConversionOptionsError) {
+      return res.status(400).json({
+        error: 'Invalid options',
+        message: error.message
+      });
+    }
+    
+    if (error instanceof RicosValidationError) {
+      return res.status(422).json({
+        error: 'Converted Ricos failed validation',
+        message: error.message,
+        errors: error.errors
+      });
+    }
+    
     console.error('Error converting HTML to Ricos:', error);
     return res.status(500).json({
       error: 'Error converting HTML to Ricos',
@@ -55,7 +147,211 @@ app.post('/convert', (req, res) => {
   }
 });
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`HTML to Ricos API running on port ${PORT}`);
-}); 
\ No newline at end of file
+// Convert an uploaded .docx file to Ricos endpoint
+app.post('/convert/docx', express.raw({ type: 'multipart/form-data', limit: '25mb' }), async (req, res) => {
+  const form = parseMultipart(req.body, req.headers['content-type']);
+  const file = form && (form.files.find(part => part.name === 'file') || form.files[0]);
+  
+  if (!file) {
+    return res.status(400).json({
+      error: 'A .docx file is required',
+      message: 'Please upload the document as multipart/form-data in a "file" field, e.g. curl -F "file=@post.docx"'
+    });
+  }
+  
+  let options;
+  try {
+    options = form.fields.options ? JSON.parse(form.fields.options) : {};
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid options',
+      message: `The options field must be a JSON object: ${error.message}`
+    });
+  }
+  
+  try {
+    // ?report=true adds a report of dropped and degraded content
+    const conversionOptions = req.query.report === 'true' ? { ...options, report: true } : options;
+    
+    const ricosContent = await docxToRicosAsync(file.data, { ...conversionOptions, uploader: mediaUploader });
+    
+    return res.json(ricosContent);
+  } catch (error) {
+    if (error instanceof DocxError) {
+      return res.status(400).json({
+        error: 'Invalid .docx file',
+        message: error.message
+      });
+    }
+    
+    if (error instanceof ConversionOptionsError) {
+      return res.status(400).json({
+        error: 'Invalid options',
+        message: error.message
+      });
+    }
+    
+    if (error instanceof RicosValidationError) {
+      return res.status(422).json({
+        error: 'Converted Ricos failed validation',
+        message: error.message,
+        errors: error.errors
+      });
+    }
+    
+    console.error('Error converting DOCX to Ricos:', error);
+    return res.status(500).json({
+      error: 'Error converting DOCX to Ricos',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Check whether a content type is NDJSON
+ * @param {string} contentType - A Content-Type or Accept header value
+ * @returns {boolean} True for NDJSON
+ */
+function isNdjson(contentType) {
+  return /application\/(x-)?ndjson|application\/jsonl/i.test(contentType || '');
+}
+
+// Batch conversion endpoint
+app.post('/convert/batch', async (req, res) => {
+  const ndjsonInput = isNdjson(req.headers['content-type']);
+  const ndjsonOutput = ndjsonInput || isNdjson(req.headers.accept);
+  const concurrency = req.query.concurrency || (req.body && req.body.concurrency);
+  
+  // JSON input is { items: [...] } or the array itself
+  let items;
+  if (ndjsonInput) {
+    items = parseNdjson(req);
+  } else {
+    items = Array.isArray(req.body) ? req.body : req.body && req.body.items;
+    
+    if (!Array.isArray(items)) {
+      return res.status(400).json({
+        error: 'Batch items are required',
+        message: 'Please provide the documents as { "items": [{ "id": "post-1", "html": "..." }] } or as NDJSON with Content-Type application/x-ndjson'
+      });
+    }
+    
+    const ids = items.filter(item => item && item.id !== undefined).map(item => String(item.id));
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (!ndjsonOutput && duplicate !== undefined) {
+      return res.status(400).json({
+        error: 'Duplicate batch item id',
+        message: `The id "${duplicate}" is used by more than one item; results are keyed by id`
+      });
+    }
+  }
+  
+  try {
+    // NDJSON output streams each result as soon as it is ready
+    if (ndjsonOutput) {
+      res.status(200).type('application/x-ndjson');
+      
+      // The response closes when the client goes away, and no more items
+      // are started then. The request is not watched: its 'close' only
+      // means the body was read.
+      const closed = new AbortController();
+      res.once('close', () => closed.abort());
+      
+      const summary = await convertBatch(items, { concurrency, signal: closed.signal }, async result => {
+        if (closed.signal.aborted) return;
+        
+        // Wait for a slow client to catch up instead of buffering results
+        if (!res.write(`${JSON.stringify(result)}\n`)) {
+          await once(res, 'drain', { signal: closed.signal }).catch(() => {});
+        }
+      });
+      
+      if (!closed.signal.aborted) {
+        res.write(`${JSON.stringify({ done: true, ...summary })}\n`);
+      }
+      return res.end();
+    }
+    
+    const results = {};
+    const summary = await convertBatch(items, { concurrency }, result => {
+      results[result.id] = result.success
+        ? { success: true, ricos: result.ricos }
+        : { success: false, error: result.error };
+    });
+    
+    return res.json({ results, summary });
+  } catch (error) {
+    console.error('Error converting batch:', error);
+    
+    // Once streaming has started the status can no longer change
+    if (res.headersSent) {
+      res.write(`${JSON.stringify({ done: false, error: error.message })}\n`);
+      return res.end();
+    }
+    
+    return res.status(500).json({
+      error: 'Error converting batch',
+      message: error.message
+    });
+  }
+});
+
+// Convert Ricos to HTML endpoint
+app.post('/convert/ricos-to-html', (req, res) => {
+  try {
+    // Accept either { ricos: { nodes } } or the Ricos document itself
+    const ricos = req.body.ricos || (req.body.nodes ? req.body : null);
+    
+    if (!ricos || !Array.isArray(ricos.nodes || ricos)) {
+      return res.status(400).json({
+        error: 'Ricos content is required',
+        message: 'Please provide Ricos content in the request body as { "ricos": { "nodes": [...] } }'
+      });
+    }
+    
+    // Convert Ricos to HTML
+    const html = ricosToHtml(ricos);
+    
+    // Return HTML wrapped in JSON
+    return res.json({ html });
+  } catch (error) {
+    console.error('Error converting Ricos to HTML:', error);
+    return res.status(500).json({
+      error: 'Error converting Ricos to HTML',
+      message: error.message
+    });
+  }
+});
+
+// Validate Ricos endpoint
+app.post('/validate', (req, res) => {
+  try {
+    // Accept either { ricos: { nodes } } or the Ricos document itself
+    const ricos = req.body.ricos || (req.body.nodes ? req.body : null);
+    
+    if (!ricos) {
+      return res.status(400).json({
+        error: 'Ricos content is required',
+        message: 'Please provide Ricos content in the request body as { "ricos": { "nodes": [...] }, "strict": false }'
+      });
+    }
+    
+    // Return the validation result with JSON paths for each error
+    return res.json(validateRicos(ricos, { strict: req.body.strict === true }));
+  } catch (error) {
+    console.error('Error validating Ricos:', error);
+    return res.status(500).json({
+      error: 'Error validating Ricos',
+      message: error.message
+    });
+  }
+});
+
+// Start the server when run directly, not when required by the tests
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`HTML to Ricos API running on port ${PORT}`);
+  });
+}
+
+module.exports = app; 
\ No newline at end of file
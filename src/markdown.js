@@ -0,0 +1,77 @@
+/**
+ * Markdown to HTML
+ * Renders CommonMark plus GFM tables, strikethrough, task lists and fenced
+ * code so Markdown can go through the same conversion as HTML input
+ */
+
+const MarkdownIt = require('markdown-it');
+
+// Matches the GFM task list marker at the start of a list item
+const TASK_MARKER = /^\[([ xX])\]\s+/;
+
+/**
+ * Core rule that turns GFM task list items into checkbox list items
+ * @param {Object} state - The markdown-it core state
+ */
+function taskListRule(state) {
+  const tokens = state.tokens;
+
+  for (let i = 2; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    // A task item is an inline token directly inside a list item's paragraph
+    if (token.type !== 'inline' ||
+        tokens[i - 1].type !== 'paragraph_open' ||
+        tokens[i - 2].type !== 'list_item_open') {
+      continue;
+    }
+
+    const match = token.content.match(TASK_MARKER);
+    const firstChild = token.children && token.children[0];
+    if (!match || !firstChild || firstChild.type !== 'text') {
+      continue;
+    }
+
+    const checked = match[1].toLowerCase() === 'x';
+
+    token.content = token.content.slice(match[0].length);
+    firstChild.content = firstChild.content.replace(TASK_MARKER, '');
+
+    const checkbox = new state.Token('html_inline', '', 0);
+    checkbox.content = `<input type="checkbox" disabled${checked ? ' checked' : ''}> `;
+    token.children.unshift(checkbox);
+
+    tokens[i - 2].attrJoin('class', 'task-list-item');
+
+    // Mark the enclosing list so it can be told apart from a plain list
+    for (let j = i - 3; j >= 0; j--) {
+      if (tokens[j].level === tokens[i - 2].level - 1 &&
+          (tokens[j].type === 'bullet_list_open' || tokens[j].type === 'ordered_list_open')) {
+        if (!(tokens[j].attrGet('class') || '').includes('contains-task-list')) {
+          tokens[j].attrJoin('class', 'contains-task-list');
+        }
+        break;
+      }
+    }
+  }
+}
+
+const markdownIt = new MarkdownIt('default', {
+  html: true,
+  linkify: true
+});
+
+markdownIt.core.ruler.after('inline', 'task_lists', taskListRule);
+
+/**
+ * Convert Markdown to HTML
+ * @param {string} markdown - The Markdown source
+ * @returns {string} The rendered HTML
+ */
+function markdownToHtml(markdown) {
+  return markdownIt.render(markdown || '');
+}
+
+module.exports = {
+  markdownToHtml
+};
@@ -0,0 +1,427 @@
+/**
+ * Media re-hosting
+ * Sends the image and video URLs of a converted Ricos document through an
+ * uploader hook, so external and inline media end up hosted by Wix
+ */
+
+const fs = require('fs');
+const os = require('os');
+const dns = require('dns');
+const net = require('net');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const { recognizeEmbed } = require('./embeds');
+
+// Matches a data URI, capturing the media type, the base64 flag and the data
+const DATA_URI = /^data:([\w.+-]+\/[\w.+-]+)?((?:;[\w-]+=[^;,]*)*)(;base64)?,(.*)$/is;
+
+// File extensions for the media types the local uploader stores; it
+// refuses media of any other type
+const EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/svg+xml': '.svg',
+  'video/mp4': '.mp4',
+  'video/webm': '.webm'
+};
+
+// Redirects followed when downloading media
+const MAX_REDIRECTS = 5;
+
+// Time allowed for a download, redirects included, in milliseconds
+const DOWNLOAD_TIMEOUT = 10000;
+
+// Largest media file downloaded, the same as the largest .docx upload
+const MAX_DOWNLOAD_SIZE = 25 * 1024 * 1024;
+
+// Addresses media is never downloaded from: loopback, private networks,
+// link-local addresses such as cloud metadata services, and other ranges
+// that are not on the public internet
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Error thrown when a media file cannot be uploaded
+ */
+class MediaUploadError extends Error {
+  /**
+   * @param {string} url - The media URL that failed, shortened for data URIs
+   * @param {Error} cause - The error raised by the uploader
+   */
+  constructor(url, cause) {
+    super(`Failed to upload media ${url}: ${cause.message}`);
+    this.name = 'MediaUploadError';
+    this.url = url;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Decode a data URI
+ * @param {string} uri - The data URI
+ * @returns {Object|null} { mimeType, data } with data as a Buffer, or null if
+ *   the string is not a data URI
+ */
+function parseDataUri(uri) {
+  const match = typeof uri === 'string' && uri.match(DATA_URI);
+  if (!match) return null;
+
+  const [, mimeType = 'text/plain', , base64, payload] = match;
+  const data = base64
+    ? Buffer.from(payload.replace(/\s/g, ''), 'base64')
+    : Buffer.from(decodeURIComponent(payload), 'utf8');
+
+  return { mimeType: mimeType.toLowerCase(), data };
+}
+
+/**
+ * Read the pixel size of a PNG, GIF, JPEG or WebP image from its header
+ * @param {Buffer} data - The image file
+ * @returns {Object|null} { width, height }, or null for other formats
+ */
+function getImageSize(data) {
+  if (!data || data.length < 24) return null;
+
+  // PNG: IHDR is the first chunk
+  if (data.readUInt32BE(0) === 0x89504e47) {
+    return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+  }
+
+  // GIF: logical screen size follows the signature
+  if (data.toString('ascii', 0, 3) === 'GIF') {
+    return { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+  }
+
+  // WebP: lossy, lossless and extended formats keep the size in different places
+  if (data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+    const format = data.toString('ascii', 12, 16);
+    if (format === 'VP8 ' && data.length >= 30) {
+      return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+    }
+    if (format === 'VP8L' && data.length >= 25) {
+      const bits = data.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (format === 'VP8X' && data.length >= 30) {
+      return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+
+  // JPEG: the size is in the first start-of-frame segment
+  if (data[0] === 0xff && data[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < data.length) {
+      if (data[offset] !== 0xff) return null;
+      const marker = data[offset + 1];
+      const length = data.readUInt16BE(offset + 2);
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isStartOfFrame) {
+        return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + length;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether an IP address is on the public internet. IPv4 addresses
+ * mapped to IPv6 are checked as IPv4.
+ * @param {string} address - An IPv4 or IPv6 address
+ * @returns {boolean} True unless the address is loopback, private or reserved
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve a host name like dns.lookup, failing when it resolves to an
+ * address that is not public. Used as the lookup of download requests, so
+ * the address checked is the address connected to.
+ * @param {string} hostname - The host name
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      callback(new Error(`${hostname} resolves to the private address ${blocked.address}`));
+      return;
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Download a file over HTTP or HTTPS, following redirects. Files on
+ * loopback or private addresses are refused unless allowed, so documents
+ * cannot make the server fetch from its own network.
+ * @param {string} url - The file URL
+ * @param {Object} [options] - Download options
+ * @param {number} [options.timeout] - Milliseconds allowed for the download,
+ *   redirects included
+ * @param {number} [options.maxSize] - Largest file size in bytes
+ * @param {boolean} [options.allowPrivateHosts=false] - Allow loopback and
+ *   private addresses, e.g. for tests
+ * @returns {Promise<Object>} { mimeType, data } with data as a Buffer
+ */
+function downloadMedia(url, options = {}) {
+  const {
+    timeout = DOWNLOAD_TIMEOUT,
+    maxSize = MAX_DOWNLOAD_SIZE,
+    allowPrivateHosts = false
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    let request = null;
+    const timer = setTimeout(() => {
+      reject(new Error(`Download of ${url} timed out after ${timeout} ms`));
+      if (request) request.destroy();
+    }, timeout);
+    const finish = settle => value => {
+      clearTimeout(timer);
+      settle(value);
+    };
+    const done = finish(resolve);
+    const fail = finish(reject);
+
+    /**
+     * Request one URL of the download, following its redirect if it has one
+     * @param {string} location - The URL
+     * @param {number} redirects - Redirects followed so far
+     */
+    const get = (location, redirects) => {
+      let target;
+      try {
+        target = new URL(location);
+      } catch (error) {
+        fail(new Error(`Invalid media URL ${location}`));
+        return;
+      }
+
+      if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+        fail(new Error(`Cannot download ${location}: only HTTP and HTTPS URLs are supported`));
+        return;
+      }
+
+      // Hosts written as IP addresses are not looked up
+      const host = target.hostname.replace(/^\[|\]$/g, '');
+      if (!allowPrivateHosts && net.isIP(host) && !isPublicAddress(host)) {
+        fail(new Error(`Cannot download ${location}: ${host} is a private address`));
+        return;
+      }
+
+      const client = target.protocol === 'https:' ? https : http;
+      const requestOptions = allowPrivateHosts ? {} : { lookup: lookupPublicAddress };
+
+      request = client.get(target, requestOptions, response => {
+        const { statusCode, headers } = response;
+
+        if (statusCode >= 300 && statusCode < 400 && headers.location) {
+          response.resume();
+          if (redirects >= MAX_REDIRECTS) {
+            fail(new Error(`Too many redirects for ${url}`));
+            return;
+          }
+          get(new URL(headers.location, location).toString(), redirects + 1);
+          return;
+        }
+
+        if (statusCode !== 200) {
+          response.resume();
+          fail(new Error(`Download of ${location} failed with status ${statusCode}`));
+          return;
+        }
+
+        const abortTooLarge = () => {
+          fail(new Error(`${location} is larger than ${maxSize} bytes`));
+          request.destroy();
+        };
+        if (Number(headers['content-length']) > maxSize) {
+          abortTooLarge();
+          return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        response.on('data', chunk => {
+          size += chunk.length;
+          if (size > maxSize) {
+            abortTooLarge();
+            return;
+          }
+          chunks.push(chunk);
+        });
+        response.on('end', () => done({
+          mimeType: (headers['content-type'] || '').split(';')[0].trim().toLowerCase(),
+          data: Buffer.concat(chunks)
+        }));
+        response.on('error', fail);
+      });
+
+      request.on('error', fail);
+    };
+
+    get(url, 0);
+  });
+}
+
+/**
+ * Create an uploader that stores media in a local directory. Meant for tests
+ * and local development; files are named after a hash of their content,
+ * with the extension of their media type. Only the image and video types in
+ * EXTENSIONS are stored, whatever the URL says.
+ * @param {Object} [options] - Uploader options
+ * @param {string} [options.directory] - Where to store files, defaults to
+ *   a ricos-media folder in the system temp directory
+ * @param {string} [options.baseUrl] - Public URL of the directory; file://
+ *   URLs are returned when it is not set
+ * @param {number} [options.timeout] - Milliseconds allowed for a download
+ * @param {number} [options.maxSize] - Largest file downloaded, in bytes
+ * @param {boolean} [options.allowPrivateHosts=false] - Download from
+ *   loopback and private addresses too
+ * @returns {Function} An uploader hook for rehostMedia
+ */
+function createLocalUploader(options = {}) {
+  const directory = options.directory || path.join(os.tmpdir(), 'ricos-media');
+  const { timeout, maxSize, allowPrivateHosts } = options;
+
+  return async ({ url, data, mimeType }) => {
+    const media = data ? { data, mimeType } : await downloadMedia(url, { timeout, maxSize, allowPrivateHosts });
+    const extension = EXTENSIONS[media.mimeType];
+    if (!extension) {
+      throw new Error(`Cannot store ${media.mimeType ? `media of type ${media.mimeType}` : 'media without a content type'}: only ${Object.keys(EXTENSIONS).join(', ')} are stored`);
+    }
+    const fileName = `${crypto.createHash('sha1').update(media.data).digest('hex')}${extension}`;
+    const filePath = path.join(directory, fileName);
+
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.writeFile(filePath, media.data);
+
+    return {
+      url: options.baseUrl
+        ? `${options.baseUrl.replace(/\/$/, '')}/${fileName}`
+        : pathToFileURL(filePath).toString(),
+      ...getImageSize(media.data)
+    };
+  };
+}
+
+/**
+ * Collect the media sources of a Ricos document that should be re-hosted.
+ * Videos from providers like YouTube are embeds and stay as they are.
+ * @param {Array} nodes - Ricos nodes
+ * @param {Array} [targets] - List to append to
+ * @returns {Array} Targets as { kind, src, sized } where src is the Ricos src
+ *   object to rewrite and sized the object that takes width and height
+ */
+function collectMediaTargets(nodes, targets = []) {
+  for (const node of nodes || []) {
+    if (node.type === 'IMAGE' && node.imageData && node.imageData.image) {
+      targets.push({ kind: 'image', src: node.imageData.image.src, sized: node.imageData.image });
+    }
+
+    if (node.type === 'GALLERY' && node.galleryData) {
+      for (const item of node.galleryData.items || []) {
+        if (item.image && item.image.media) {
+          targets.push({ kind: 'image', src: item.image.media.src, sized: item.image.media });
+        }
+      }
+    }
+
+    if (node.type === 'VIDEO' && node.videoData) {
+      const { video, thumbnail } = node.videoData;
+      if (video && video.src && !recognizeEmbed(video.src.url)) {
+        targets.push({ kind: 'video', src: video.src, sized: null });
+      }
+      if (thumbnail && thumbnail.src) {
+        targets.push({ kind: 'image', src: thumbnail.src, sized: thumbnail });
+      }
+    }
+
+    collectMediaTargets(node.nodes, targets);
+  }
+
+  return targets.filter(target => target.src && target.src.url);
+}
+
+/**
+ * Send the images and videos of a Ricos document through an uploader and
+ * write the returned media IDs or URLs and sizes into the nodes. Each URL is
+ * uploaded once, even when it appears several times.
+ * @param {Object} ricosDocument - The Ricos document, changed in place
+ * @param {Function} uploader - Async hook called with { url, kind, data?,
+ *   mimeType? } (data and mimeType are set for data URIs) that returns
+ *   { id?, url?, width?, height? }; an id is stored as a Wix media ID
+ * @returns {Promise<Object>} The Ricos document
+ * @throws {MediaUploadError} If the uploader fails for any file
+ */
+async function rehostMedia(ricosDocument, uploader) {
+  const targets = collectMediaTargets(ricosDocument.nodes);
+  const uploads = new Map();
+
+  const upload = target => {
+    const { url } = target.src;
+    if (!uploads.has(url)) {
+      const request = { url, kind: target.kind, ...parseDataUri(url) };
+      const label = url.startsWith('data:') ? `${url.slice(0, 32)}...` : url;
+
+      uploads.set(url, Promise.resolve()
+        .then(() => uploader(request))
+        .catch(error => {
+          throw new MediaUploadError(label, error);
+        }));
+    }
+    return uploads.get(url);
+  };
+
+  await Promise.all(targets.map(async target => {
+    const result = await upload(target);
+    if (!result) return;
+
+    if (result.id) {
+      delete target.src.url;
+      target.src.id = result.id;
+    } else if (result.url) {
+      target.src.url = result.url;
+    }
+
+    if (target.sized && result.width && result.height) {
+      target.sized.width = result.width;
+      target.sized.height = result.height;
+    }
+  }));
+
+  return ricosDocument;
+}
+
+module.exports = {
+  rehostMedia,
+  createLocalUploader,
+  parseDataUri,
+  getImageSize,
+  MediaUploadError
+};
@@ -0,0 +1,111 @@
+/**
+ * Multipart form data
+ * Parses multipart/form-data request bodies, as sent by file upload forms
+ * and `curl -F`, into fields and files
+ */
+
+// Separates the headers of a part from its content
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+/**
+ * Get the boundary of a multipart content type
+ * @param {string} contentType - The Content-Type header value
+ * @returns {string|null} The boundary, or null if the type is not multipart
+ */
+function getBoundary(contentType) {
+  if (!/^multipart\/form-data/i.test(contentType || '')) return null;
+
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;\s]+))/i);
+  return match ? match[1] || match[2] : null;
+}
+
+/**
+ * Read a parameter of a Content-Disposition header
+ * @param {string} disposition - The header value
+ * @param {string} name - The parameter, e.g. 'filename'
+ * @returns {string|null} The value, or null if it is not set
+ */
+function getDispositionParameter(disposition, name) {
+  const match = disposition.match(new RegExp(`(?:^|;)\\s*${name}=(?:"((?:[^"\\\\]|\\\\.)*)"|([^;]*))`, 'i'));
+  if (!match) return null;
+  return match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2].trim();
+}
+
+/**
+ * Parse one part: its headers and content
+ * @param {Buffer} part - The part, without the delimiters around it
+ * @returns {Object|null} { name, filename, contentType, data }, or null if
+ *   the part has no form field name
+ */
+function parsePart(part) {
+  const headerEnd = part.indexOf(HEADER_END);
+  if (headerEnd === -1) return null;
+
+  const headers = {};
+  for (const line of part.toString('utf8', 0, headerEnd).split('\r\n')) {
+    const colonIndex = line.indexOf(':');
+    if (colonIndex > 0) {
+      headers[line.slice(0, colonIndex).trim().toLowerCase()] = line.slice(colonIndex + 1).trim();
+    }
+  }
+
+  const disposition = headers['content-disposition'] || '';
+  const name = getDispositionParameter(disposition, 'name');
+  if (name === null) return null;
+
+  return {
+    name,
+    filename: getDispositionParameter(disposition, 'filename'),
+    contentType: headers['content-type'] || null,
+    data: part.subarray(headerEnd + HEADER_END.length)
+  };
+}
+
+/**
+ * Parse a multipart/form-data body
+ * @param {Buffer} body - The raw request body
+ * @param {string} contentType - The Content-Type header, with the boundary
+ * @returns {Object|null} { fields, files }: text fields by name, and file
+ *   parts as { name, filename, contentType, data }; null if the content type
+ *   is not multipart/form-data
+ */
+function parseMultipart(body, contentType) {
+  const boundary = getBoundary(contentType);
+  if (!boundary || !Buffer.isBuffer(body)) return null;
+
+  const fields = {};
+  const files = [];
+
+  // The first delimiter may start the body; the others follow a line break
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  let position = body.indexOf(`--${boundary}`);
+  if (position !== -1) {
+    position += delimiter.length - 2;
+  }
+
+  while (position !== -1) {
+    // The closing delimiter ends with two dashes
+    if (body.toString('utf8', position, position + 2) === '--') break;
+
+    const start = body.indexOf('\r\n', position);
+    if (start === -1) break;
+
+    const end = body.indexOf(delimiter, start);
+    if (end === -1) break;
+
+    const part = parsePart(body.subarray(start + 2, end));
+    if (part && part.filename !== null) {
+      files.push(part);
+    } else if (part) {
+      fields[part.name] = part.data.toString('utf8');
+    }
+
+    position = end + delimiter.length;
+  }
+
+  return { fields, files };
+}
+
+module.exports = {
+  parseMultipart
+};
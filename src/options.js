@@ -0,0 +1,74 @@
+/**
+ * Conversion options
+ * Checks the options of a conversion, so a bad value is reported as the
+ * caller's mistake instead of failing somewhere inside the conversion
+ */
+
+/**
+ * Error thrown when a conversion option has a value it cannot take
+ */
+class ConversionOptionsError extends Error {
+  /**
+   * @param {string} option - The name of the option, or 'options' when the
+   *   options themselves are not an object
+   * @param {string} message - What is wrong with the value
+   */
+  constructor(option, message) {
+    super(message);
+    this.name = 'ConversionOptionsError';
+    this.option = option;
+  }
+}
+
+/**
+ * Check whether a value is a plain object, as options parsed from JSON are
+ * @param {*} value - The value
+ * @returns {boolean} True for objects that are not arrays
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check that conversion options are an object
+ * @param {*} options - The options
+ * @throws {ConversionOptionsError} If they are not
+ */
+function checkOptions(options) {
+  if (!isPlainObject(options)) {
+    throw new ConversionOptionsError('options', 'Conversion options must be an object');
+  }
+}
+
+/**
+ * Check that an option is one of the values it can take
+ * @param {string} option - The name of the option
+ * @param {*} value - The value given
+ * @param {Array} allowed - The values it can take
+ * @param {string} [label] - How messages name the option, defaults to its name
+ * @throws {ConversionOptionsError} If the value is not allowed
+ */
+function checkOptionValue(option, value, allowed, label = option) {
+  if (!allowed.includes(value)) {
+    throw new ConversionOptionsError(option, `Unknown ${label} ${JSON.stringify(value)}, expected one of: ${allowed.join(', ')}`);
+  }
+}
+
+/**
+ * Check that an option holding fields, such as metadata, is an object
+ * @param {string} option - The name of the option
+ * @param {*} value - The value given; undefined means it is not set
+ * @throws {ConversionOptionsError} If a value is set and is not an object
+ */
+function checkObjectOption(option, value) {
+  if (value !== undefined && !isPlainObject(value)) {
+    throw new ConversionOptionsError(option, `The ${option} option must be an object`);
+  }
+}
+
+module.exports = {
+  ConversionOptionsError,
+  checkOptions,
+  checkOptionValue,
+  checkObjectOption
+};
@@ -0,0 +1,239 @@
+/**
+ * Conversion report
+ * Records what a conversion dropped or degraded: tags and attributes removed
+ * by the sanitizer, elements flattened or dropped by the converter, CSS
+ * properties it ignores and images without dimensions, each with a source
+ * snippet
+ */
+
+const sanitizeHtml = require('sanitize-html');
+const { parseDeclarations } = require('./css');
+const { SUPPORTED_PROPERTIES } = require('./stylesheet');
+
+// Elements the HTML parser adds around every document
+const DOCUMENT_TAGS = ['html', 'head', 'body'];
+
+// Tags removed on purpose: <style> rules are resolved before sanitizing
+const RESOLVED_TAGS = ['style'];
+
+// Longest snippet kept in the report
+const SNIPPET_LENGTH = 120;
+
+/**
+ * Build a short source snippet of an element: its opening tag and the start
+ * of its text
+ * @param {Element} element - The element
+ * @returns {string} The snippet
+ */
+function createSnippet(element) {
+  const attributes = element.getAttributeNames()
+    .map(name => {
+      const value = element.getAttribute(name);
+      const shortValue = value.length > 40 ? `${value.slice(0, 40)}…` : value;
+      return ` ${name}="${shortValue.replace(/"/g, '&quot;')}"`;
+    })
+    .join('');
+
+  const snippet = `<${element.localName}${attributes}>${element.textContent.replace(/\s+/g, ' ').trim()}`;
+  return snippet.length > SNIPPET_LENGTH ? `${snippet.slice(0, SNIPPET_LENGTH)}…` : snippet;
+}
+
+/**
+ * Collects the findings of one conversion
+ */
+class ConversionReport {
+  constructor() {
+    // Cleanup preset applied to the input, see detectSource
+    this.source = null;
+    this.removedTags = new Map();
+    this.removedAttributes = new Map();
+    this.flattenedElements = new Map();
+    this.droppedElements = new Map();
+    this.ignoredStyles = new Map();
+    this.imagesWithoutDimensions = [];
+  }
+
+  /**
+   * Count a finding, keeping the snippet of its first occurrence
+   * @param {Map} findings - The findings of one kind
+   * @param {string} key - What makes findings the same
+   * @param {Object} fields - Fields describing the finding
+   * @param {Element} element - The element it was found on
+   */
+  count(findings, key, fields, element) {
+    const finding = findings.get(key);
+    if (finding) {
+      finding.count += 1;
+    } else {
+      findings.set(key, { ...fields, count: 1, snippet: createSnippet(element) });
+    }
+  }
+
+  /**
+   * Record a tag the sanitizer removed together with its content
+   * @param {Element} element - The removed element
+   */
+  addRemovedTag(element) {
+    const tag = element.localName;
+    this.count(this.removedTags, tag, { tag }, element);
+  }
+
+  /**
+   * Record an attribute removed by the sanitizer
+   * @param {Element} element - The element that had the attribute
+   * @param {string} attribute - The attribute name
+   * @param {string} reason - Why it was removed
+   */
+  addRemovedAttribute(element, attribute, reason) {
+    const tag = element.localName;
+    this.count(this.removedAttributes, `${tag} ${attribute} ${reason}`, { tag, attribute, reason }, element);
+  }
+
+  /**
+   * Record an element converted to simpler content than it had
+   * @param {Element} element - The element
+   * @param {string} result - What it became, e.g. 'paragraph'
+   */
+  addFlattenedElement(element, result) {
+    const tag = element.localName;
+    this.count(this.flattenedElements, `${tag} ${result}`, { tag, result }, element);
+  }
+
+  /**
+   * Record an element the converter left out of the output
+   * @param {Element} element - The element
+   * @param {string} reason - Why it was left out
+   */
+  addDroppedElement(element, reason) {
+    const tag = element.localName;
+    this.count(this.droppedElements, `${tag} ${reason}`, { tag, reason }, element);
+  }
+
+  /**
+   * Record a CSS property the converter does not use
+   * @param {Element} element - The element with the style
+   * @param {string} property - The property name
+   */
+  addIgnoredStyle(element, property) {
+    this.count(this.ignoredStyles, property, { property }, element);
+  }
+
+  /**
+   * Record an image whose size is not known
+   * @param {Element} element - The img element
+   */
+  addImageWithoutDimensions(element) {
+    this.imagesWithoutDimensions.push({
+      src: element.getAttribute('src') || '',
+      snippet: createSnippet(element)
+    });
+  }
+
+  /**
+   * @returns {Object} The report as plain data
+   */
+  toJSON() {
+    return {
+      source: this.source,
+      removedTags: Array.from(this.removedTags.values()),
+      removedAttributes: Array.from(this.removedAttributes.values()),
+      flattenedElements: Array.from(this.flattenedElements.values()),
+      droppedElements: Array.from(this.droppedElements.values()),
+      ignoredStyles: Array.from(this.ignoredStyles.values()),
+      imagesWithoutDimensions: this.imagesWithoutDimensions
+    };
+  }
+}
+
+/**
+ * Get the URL scheme of an attribute value, if it has one
+ * @param {string} value - The attribute value
+ * @returns {string|null} The lower-case scheme, or null for relative URLs
+ */
+function getScheme(value) {
+  const match = value.trim().match(/^([a-z][a-z0-9+.-]*):/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Record what the sanitizer will remove from a parsed document. The check
+ * mirrors the sanitizer options: tags outside allowedTags, attributes outside
+ * allowedAttributes and URLs with schemes that are not allowed. Tags outside
+ * allowedTags whose content is kept, such as <section> or <font>, are
+ * reported as flattened to their content.
+ * @param {Document} document - The document before sanitizing
+ * @param {Object} options - The sanitize-html options used for conversion
+ * @param {ConversionReport} report - The report to fill in
+ */
+function reportSanitizedContent(document, options, report) {
+  const allowedAttributes = options.allowedAttributes || {};
+  const schemesByTag = options.allowedSchemesByTag || {};
+  const defaultSchemes = options.allowedSchemes || sanitizeHtml.defaults.allowedSchemes;
+  const urlAttributes = sanitizeHtml.defaults.allowedSchemesAppliedToAttributes;
+
+  const visit = (parent, insideRemovedContent) => {
+    for (const element of parent.children) {
+      const tag = element.localName;
+
+      if (DOCUMENT_TAGS.includes(tag)) {
+        visit(element, insideRemovedContent);
+        continue;
+      }
+
+      // Content of removed script-like tags is gone, so it is not reported again
+      if (insideRemovedContent) {
+        continue;
+      }
+
+      if (!options.allowedTags.includes(tag)) {
+        const contentRemoved = options.nonTextTags.includes(tag);
+        if (!contentRemoved) {
+          report.addFlattenedElement(element, 'content');
+        } else if (!RESOLVED_TAGS.includes(tag)) {
+          report.addRemovedTag(element);
+        }
+        visit(element, contentRemoved);
+        continue;
+      }
+
+      const allowed = [...(allowedAttributes[tag] || []), ...(allowedAttributes['*'] || [])];
+      const schemes = schemesByTag[tag] || defaultSchemes;
+
+      for (const attribute of element.getAttributeNames()) {
+        if (!allowed.includes(attribute)) {
+          report.addRemovedAttribute(element, attribute, 'not allowed');
+        } else if (urlAttributes.includes(attribute)) {
+          const scheme = getScheme(element.getAttribute(attribute));
+          if (scheme && !schemes.includes(scheme)) {
+            report.addRemovedAttribute(element, attribute, `${scheme}: URLs are not allowed`);
+          }
+        }
+      }
+
+      visit(element, false);
+    }
+  };
+
+  visit(document, false);
+}
+
+/**
+ * Record the CSS properties in style attributes that the converter ignores
+ * @param {Document} document - The sanitized document
+ * @param {ConversionReport} report - The report to fill in
+ */
+function reportIgnoredStyles(document, report) {
+  for (const element of document.querySelectorAll('[style]')) {
+    for (const { property } of parseDeclarations(element.getAttribute('style'))) {
+      if (property !== 'font' && !SUPPORTED_PROPERTIES.includes(property)) {
+        report.addIgnoredStyle(element, property);
+      }
+    }
+  }
+}
+
+module.exports = {
+  ConversionReport,
+  reportSanitizedContent,
+  reportIgnoredStyles
+};
@@ -0,0 +1,691 @@
+/**
+ * Ricos to HTML Converter
+ * Converts Wix Ricos documents back into HTML so content pulled out of Wix
+ * can be re-rendered or re-edited elsewhere
+ */
+
+const { recognizeEmbed } = require('./embeds');
+
+// URL schemes links may use; other schemes, such as javascript:, are dropped
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto'];
+
+// documentStyle keys mapped to the selectors of their elements. Paragraph
+// defaults apply to all text, such as list items and cells, so they go on
+// body, which is where the forward converter reads them from.
+const DOCUMENT_STYLE_SELECTORS = {
+  paragraph: 'body',
+  headerOne: 'h1',
+  headerTwo: 'h2',
+  headerThree: 'h3',
+  headerFour: 'h4',
+  headerFive: 'h5',
+  headerSix: 'h6',
+  blockquote: 'blockquote',
+  codeBlock: 'pre'
+};
+
+/**
+ * Escape text for use inside HTML element content
+ * @param {string} text - The raw text
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape a value for use inside a double-quoted HTML attribute
+ * @param {string} value - The raw attribute value
+ * @returns {string} The escaped value
+ */
+function escapeAttribute(value) {
+  return escapeHtml(value).replace(/"/g, '&quot;');
+}
+
+/**
+ * Build an attribute string from a map, skipping empty values
+ * @param {Object} attributes - Attribute names mapped to values
+ * @returns {string} The attribute string, with a leading space when not empty
+ */
+function renderAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+    .join('');
+}
+
+/**
+ * Keep a URL only when following it cannot run script: relative URLs and
+ * the schemes in SAFE_URL_SCHEMES. Browsers ignore whitespace and control
+ * characters in a scheme, so they are ignored when reading it.
+ * @param {string} url - The URL
+ * @returns {string} The URL, or an empty string if it is not safe
+ */
+function safeUrl(url) {
+  if (typeof url !== 'string') return '';
+
+  const scheme = url.replace(/[\u0000-\u0020]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase()) ? url : '';
+}
+
+/**
+ * Keep the entries of a node list that are nodes. Documents from outside
+ * may hold nulls or values that are not nodes, which are skipped.
+ * @param {Array} nodes - Ricos nodes
+ * @returns {Array} The nodes that are objects with a type
+ */
+function validNodes(nodes) {
+  return Array.isArray(nodes)
+    ? nodes.filter(node => node && typeof node === 'object' && typeof node.type === 'string')
+    : [];
+}
+
+/**
+ * Get the dir attribute value for the direction in a textStyle object
+ * @param {Object} textStyle - A Ricos textStyle (paragraphData/headingData)
+ * @returns {string|undefined} 'rtl' or 'ltr', or undefined if none is set
+ */
+function textDirection(textStyle) {
+  return typeof textStyle?.textDirection === 'string' ? textStyle.textDirection.toLowerCase() : undefined;
+}
+
+/**
+ * Build a style attribute value from a textStyle object
+ * @param {Object} textStyle - A Ricos textStyle (paragraphData/headingData)
+ * @returns {string} CSS declarations, or an empty string
+ */
+function textStyleToCss(textStyle) {
+  if (!textStyle || typeof textStyle !== 'object') return '';
+
+  const declarations = [];
+
+  // Documents from outside may hold values of any type
+  const alignment = typeof textStyle.textAlignment === 'string' ? textStyle.textAlignment : '';
+  if (alignment && alignment !== 'AUTO') {
+    declarations.push(`text-align: ${alignment.toLowerCase()}`);
+  }
+
+  // Line heights are multipliers of the font size, as unitless CSS values are
+  if (textStyle.lineHeight && (typeof textStyle.lineHeight === 'string' || typeof textStyle.lineHeight === 'number')) {
+    declarations.push(`line-height: ${textStyle.lineHeight}`);
+  }
+
+  return declarations.join('; ');
+}
+
+/**
+ * Keep a CSS value only when it cannot end its declaration or the <style>
+ * element it is written into
+ * @param {*} value - The value from the document
+ * @returns {string} The value, or an empty string if it is not safe
+ */
+function cssValue(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return '';
+
+  const text = String(value).trim();
+  return /^[\w#.,%() -]+$/.test(text) ? text : '';
+}
+
+/**
+ * Build the color and font size declarations of a list of decorations,
+ * the ones HTML has no element for
+ * @param {Array} decorations - Ricos text decorations
+ * @returns {Array} CSS declarations
+ */
+function colorAndSizeCss(decorations) {
+  const find = type => decorations.find(decoration => decoration && decoration.type === type);
+  const declarations = [];
+
+  const color = find('COLOR');
+  if (color && color.colorData) {
+    const foreground = cssValue(color.colorData.color || color.colorData.foreground);
+    if (foreground) {
+      declarations.push(`color: ${foreground}`);
+    }
+    const background = cssValue(color.colorData.background);
+    if (background) {
+      declarations.push(`background-color: ${background}`);
+    }
+  }
+
+  const fontSize = find('FONT_SIZE');
+  const size = fontSize && fontSize.fontSizeData && cssValue(fontSize.fontSizeData.value);
+  if (size) {
+    declarations.push(`font-size: ${size}${(cssValue(fontSize.fontSizeData.unit) || 'PX').toLowerCase()}`);
+  }
+
+  return declarations;
+}
+
+/**
+ * Build a <style> element for a Ricos documentStyle, so text without
+ * decorations of its own keeps the document defaults
+ * @param {Object} documentStyle - documentStyle keys mapped to text node styles
+ * @returns {string} The <style> element, or an empty string if there is no style
+ */
+function renderDocumentStyle(documentStyle) {
+  if (!documentStyle || typeof documentStyle !== 'object') return '';
+
+  const rules = Object.entries(DOCUMENT_STYLE_SELECTORS).map(([key, selector]) => {
+    const textNodeStyle = documentStyle[key] || {};
+    const decorations = validNodes(textNodeStyle.decorations);
+    const has = type => decorations.some(decoration => decoration.type === type);
+    const declarations = colorAndSizeCss(decorations);
+
+    const bold = decorations.find(decoration => decoration.type === 'BOLD');
+    if (bold) {
+      declarations.push(`font-weight: ${cssValue(bold.fontWeightValue) || 'bold'}`);
+    }
+    if (decorations.some(decoration => decoration.type === 'ITALIC' && decoration.italicData !== false)) {
+      declarations.push('font-style: italic');
+    }
+    const lines = [has('UNDERLINE') && 'underline', has('STRIKETHROUGH') && 'line-through'].filter(Boolean);
+    if (lines.length > 0) {
+      declarations.push(`text-decoration: ${lines.join(' ')}`);
+    }
+    if (has('SUPERSCRIPT') || has('SUBSCRIPT')) {
+      declarations.push(`vertical-align: ${has('SUPERSCRIPT') ? 'super' : 'sub'}`);
+    }
+    const lineHeight = cssValue(textNodeStyle.lineHeight);
+    if (lineHeight) {
+      declarations.push(`line-height: ${lineHeight}`);
+    }
+
+    return declarations.length > 0 ? `${selector} { ${declarations.join('; ')} }` : '';
+  }).filter(Boolean);
+
+  return rules.length > 0 ? `<style>${rules.join(' ')}</style>` : '';
+}
+
+/**
+ * Render a TEXT node with its decorations
+ * @param {Object} node - A Ricos TEXT node
+ * @returns {string} HTML markup
+ */
+function renderText(node) {
+  const textData = node.textData || {};
+  const decorations = textData.decorations || [];
+
+  // Line breaks are emitted as separate TEXT nodes by the forward converter
+  let html = escapeHtml(textData.text || '').replace(/\n/g, '<br>');
+
+  const find = type => decorations.find(decoration => decoration.type === type);
+
+  // Wrap from the innermost decoration outwards so links end up outermost
+  const code = decorations.find(decoration =>
+    decoration.type === 'EXTERNAL' && decoration.externalData && decoration.externalData.type === 'CODE'
+  );
+  if (code) {
+    html = `<code>${html}</code>`;
+  }
+
+  if (find('SUPERSCRIPT')) {
+    html = `<sup>${html}</sup>`;
+  } else if (find('SUBSCRIPT')) {
+    html = `<sub>${html}</sub>`;
+  }
+
+  if (find('STRIKETHROUGH')) {
+    html = `<s>${html}</s>`;
+  }
+
+  const underline = find('UNDERLINE');
+  if (underline) {
+    html = `<u>${html}</u>`;
+  }
+
+  const italic = find('ITALIC');
+  if (italic && italic.italicData !== false) {
+    html = `<em>${html}</em>`;
+  }
+
+  const bold = find('BOLD');
+  if (bold && (bold.fontWeightValue === undefined || bold.fontWeightValue >= 600)) {
+    html = `<strong>${html}</strong>`;
+  }
+
+  const declarations = colorAndSizeCss(decorations);
+  if (declarations.length > 0) {
+    html = `<span${renderAttributes({ style: declarations.join('; ') })}>${html}</span>`;
+  }
+
+  const link = find('LINK');
+  if (link && link.linkData) {
+    html = wrapLink(html, link.linkData.link);
+  }
+
+  return html;
+}
+
+/**
+ * Check whether a node is a spacing paragraph (a single ' ' TEXT node)
+ * @param {Object} node - The Ricos node
+ * @returns {boolean} True for spacing paragraphs
+ */
+function isSpacingParagraph(node) {
+  return node.type === 'PARAGRAPH' &&
+         Array.isArray(node.nodes) &&
+         node.nodes.length === 1 &&
+         Boolean(node.nodes[0]) &&
+         node.nodes[0].type === 'TEXT' &&
+         node.nodes[0].textData &&
+         node.nodes[0].textData.text === ' ';
+}
+
+/**
+ * Render the inline content of a node (TEXT and inline images)
+ * @param {Array} nodes - Ricos child nodes
+ * @returns {string} HTML markup
+ */
+function renderInline(nodes) {
+  return validNodes(nodes).map(renderNode).join('');
+}
+
+/**
+ * Render the content of a container node (list item, quote, table cell).
+ * A container holding a single paragraph is unwrapped so the result reads
+ * like hand-written HTML and converts back to the same structure.
+ * @param {Array} nodes - Ricos child nodes
+ * @returns {string} HTML markup
+ */
+function renderContainerContent(nodes) {
+  const children = validNodes(nodes);
+  const paragraphs = children.filter(child => child.type === 'PARAGRAPH');
+
+  if (paragraphs.length === 1 && !textStyleToCss(paragraphs[0].paragraphData?.textStyle)) {
+    return children
+      .map(child => (child === paragraphs[0] ? renderInline(child.nodes) : renderNode(child)))
+      .join('');
+  }
+
+  return children.map(renderNode).join('');
+}
+
+/**
+ * Render an ORDERED_LIST node with its numbering attributes
+ * @param {Object} node - A Ricos ORDERED_LIST node
+ * @returns {string} HTML markup
+ */
+function renderOrderedList(node) {
+  const orderedListData = node.orderedListData || {};
+  const types = {
+    'decimal': '1',
+    'lower-alpha': 'a',
+    'upper-alpha': 'A',
+    'lower-roman': 'i',
+    'upper-roman': 'I'
+  };
+
+  const attributes = renderAttributes({
+    start: orderedListData.start,
+    type: types[orderedListData.listStyleType]
+  });
+  const reversed = orderedListData.reversed ? ' reversed' : '';
+
+  return `<ol${attributes}${reversed}>${validNodes(node.nodes).map(renderNode).join('')}</ol>`;
+}
+
+/**
+ * Render a TABLE_CELL node as a td or th element
+ * @param {Object} cell - A Ricos TABLE_CELL node
+ * @param {boolean} isHeader - Whether to render a th element
+ * @returns {string} HTML markup
+ */
+function renderTableCell(cell, isHeader) {
+  const tag = isHeader ? 'th' : 'td';
+  const cellData = cell.cellData || {};
+  const cellStyle = cellData.cellStyle || {};
+  const children = validNodes(cell.nodes);
+  // A paragraph with a line height stays a <p>, which carries it back to Ricos
+  const isSingleParagraph = children.length === 1 && children[0].type === 'PARAGRAPH' &&
+    !children[0].paragraphData?.textStyle?.lineHeight;
+  const declarations = [];
+
+  // Header cells are centered unless they say otherwise
+  const textStyle = isSingleParagraph ? children[0].paragraphData?.textStyle : null;
+  const alignment = textStyle && textStyle.textAlignment;
+  if (alignment && alignment !== 'AUTO' && !(isHeader && alignment === 'CENTER')) {
+    declarations.push(textStyleToCss(textStyle));
+  }
+  if (cellStyle.backgroundColor) {
+    declarations.push(`background-color: ${cellStyle.backgroundColor}`);
+  }
+  if (typeof cellStyle.verticalAlignment === 'string' && cellStyle.verticalAlignment) {
+    declarations.push(`vertical-align: ${cellStyle.verticalAlignment.toLowerCase()}`);
+  }
+
+  // Cells with several blocks keep their paragraphs so they convert back as blocks
+  const content = isSingleParagraph
+    ? renderInline(children[0].nodes)
+    : children.map(renderNode).join('');
+
+  return `<${tag}${renderAttributes({
+    colspan: cellData.colspan > 1 ? cellData.colspan : undefined,
+    rowspan: cellData.rowspan > 1 ? cellData.rowspan : undefined,
+    style: declarations.filter(Boolean).join('; ')
+  })}>${content}</${tag}>`;
+}
+
+/**
+ * Render a TABLE node
+ * @param {Object} node - A Ricos TABLE node
+ * @returns {string} HTML markup
+ */
+function renderTable(node) {
+  const tableData = node.tableData || {};
+  const dimensions = tableData.dimensions || {};
+  const rowsHeight = dimensions.rowsHeight || [];
+
+  const rows = validNodes(node.nodes).map((row, rowIndex) => {
+    const isHeaderRow = rowIndex === 0 && Boolean(tableData.rowHeader);
+    const cells = validNodes(row.nodes).map((cell, cellIndex) =>
+      renderTableCell(cell, isHeaderRow || (cellIndex === 0 && Boolean(tableData.columnHeader)))
+    );
+    const height = rowsHeight[rowIndex];
+
+    return `<tr${renderAttributes({ style: height && height !== 50 ? `height: ${height}px` : '' })}>${cells.join('')}</tr>`;
+  });
+
+  const columns = (dimensions.colsWidthRatio || [])
+    .map(width => `<col${renderAttributes({ style: `width: ${width}px` })}>`)
+    .join('');
+  const colgroup = columns ? `<colgroup>${columns}</colgroup>` : '';
+
+  if (tableData.rowHeader && rows.length > 0) {
+    return `<table>${colgroup}<thead>${rows[0]}</thead><tbody>${rows.slice(1).join('')}</tbody></table>`;
+  }
+
+  return `<table>${colgroup}<tbody>${rows.join('')}</tbody></table>`;
+}
+
+/**
+ * Build the URL of a Ricos media source
+ * @param {Object} src - A Ricos src ({ url } or { id })
+ * @returns {string} The URL
+ */
+function mediaUrl(src) {
+  if (!src) return '';
+  return src.url || (src.id ? `https://static.wixstatic.com/media/${src.id}` : '');
+}
+
+/**
+ * Wrap markup in an <a> element for a Ricos link
+ * @param {string} html - The markup to wrap
+ * @param {Object} link - A Ricos link ({ url, target, rel })
+ * @returns {string} HTML markup
+ */
+function wrapLink(html, link) {
+  const href = link ? safeUrl(link.url) : '';
+  if (!href) return html;
+
+  const relValues = link.rel ? Object.keys(link.rel).filter(key => link.rel[key]) : [];
+  return `<a${renderAttributes({
+    href,
+    target: link.target === 'BLANK' ? '_blank' : undefined,
+    rel: relValues.join(' ')
+  })}>${html}</a>`;
+}
+
+/**
+ * Render an IMAGE node, as a figure when it has a caption
+ * @param {Object} node - A Ricos IMAGE node
+ * @returns {string} HTML markup
+ */
+function renderImage(node) {
+  const imageData = node.imageData || {};
+  const image = imageData.image || {};
+  const containerData = imageData.containerData || {};
+  const alignment = containerData.alignment;
+  const float = alignment === 'LEFT' || alignment === 'RIGHT' ? `float: ${alignment.toLowerCase()}` : '';
+  const fullWidth = containerData.width && containerData.width.size === 'FULL_WIDTH' ? 'width: 100%' : '';
+
+  const img = wrapLink(`<img${renderAttributes({
+    src: mediaUrl(image.src),
+    alt: imageData.altText,
+    width: image.width,
+    height: image.height,
+    style: [float, fullWidth].filter(Boolean).join('; ')
+  })}>`, imageData.link);
+
+  if (!imageData.caption) {
+    return img;
+  }
+
+  return `<figure>${img}<figcaption>${escapeHtml(imageData.caption)}</figcaption></figure>`;
+}
+
+/**
+ * Render a GALLERY node as a gallery container of images
+ * @param {Object} node - A Ricos GALLERY node
+ * @returns {string} HTML markup
+ */
+function renderGallery(node) {
+  const items = (node.galleryData && node.galleryData.items) || [];
+
+  const images = items
+    .filter(item => item && item.image && item.image.media)
+    .map(item => {
+      const media = item.image.media;
+      const img = wrapLink(`<img${renderAttributes({
+        src: mediaUrl(media.src),
+        alt: item.altText,
+        width: media.width,
+        height: media.height
+      })}>`, item.image.link);
+
+      return item.title
+        ? `<figure>${img}<figcaption>${escapeHtml(item.title)}</figcaption></figure>`
+        : img;
+    });
+
+  return `<div class="gallery">${images.join('')}</div>`;
+}
+
+/**
+ * Build the style of a media container from its Ricos container data
+ * @param {Object} containerData - Ricos container data
+ * @returns {string} CSS declarations, or an empty string
+ */
+function containerStyle(containerData) {
+  if (!containerData) return '';
+
+  const declarations = [];
+  const width = containerData.width || {};
+  if (width.size === 'FULL_WIDTH') {
+    declarations.push('width: 100%');
+  } else if (width.custom) {
+    declarations.push(`width: ${width.custom}px`);
+  }
+  if (containerData.height && containerData.height.custom) {
+    declarations.push(`height: ${containerData.height.custom}px`);
+  }
+
+  return declarations.join('; ');
+}
+
+/**
+ * Render a VIDEO or AUDIO node as a provider player or a native element
+ * @param {Object} node - A Ricos VIDEO or AUDIO node
+ * @returns {string} HTML markup
+ */
+function renderMedia(node) {
+  const isVideo = node.type === 'VIDEO';
+  const data = (isVideo ? node.videoData : node.audioData) || {};
+  const media = (isVideo ? data.video : data.audio) || {};
+  const url = mediaUrl(media.src);
+  const style = containerStyle(data.containerData);
+
+  const embed = recognizeEmbed(url);
+  if (embed && embed.playerUrl) {
+    return `<iframe${renderAttributes({
+      src: embed.playerUrl,
+      title: data.title,
+      style
+    })}></iframe>`;
+  }
+
+  const tag = isVideo ? 'video' : 'audio';
+  return `<${tag} controls${renderAttributes({
+    src: url,
+    poster: isVideo && data.thumbnail ? mediaUrl(data.thumbnail.src) : undefined,
+    title: data.title,
+    style
+  })}></${tag}>`;
+}
+
+/**
+ * Render an EMBED node with the embed markup of its provider
+ * @param {Object} node - A Ricos EMBED node
+ * @returns {string} HTML markup
+ */
+function renderEmbed(node) {
+  const embedData = node.embedData || {};
+  const oembed = embedData.oembed || {};
+  const url = oembed.url || embedData.src || '';
+  const embed = recognizeEmbed(url);
+
+  if (embed && embed.provider === 'Twitter') {
+    return `<blockquote class="twitter-tweet"><a${renderAttributes({ href: url })}>${escapeHtml(url)}</a></blockquote>`;
+  }
+
+  if (embed && embed.provider === 'Instagram') {
+    return `<blockquote class="instagram-media"${renderAttributes({ 'data-instgrm-permalink': url })}><a${renderAttributes({ href: url })}>${escapeHtml(url)}</a></blockquote>`;
+  }
+
+  // oEmbed markup is provider HTML, so it stays inside a sandbox
+  if (oembed.html) {
+    return `<iframe sandbox="allow-scripts allow-popups"${renderAttributes({ srcdoc: oembed.html })}></iframe>`;
+  }
+
+  return `<p><a${renderAttributes({ href: safeUrl(url) })}>${escapeHtml(url)}</a></p>`;
+}
+
+/**
+ * Render an HTML node as a sandboxed iframe
+ * @param {Object} node - A Ricos HTML node
+ * @returns {string} HTML markup
+ */
+function renderHtmlEmbed(node) {
+  const htmlData = node.htmlData || {};
+
+  return `<iframe sandbox="allow-scripts allow-popups"${renderAttributes({
+    src: safeUrl(htmlData.url),
+    srcdoc: htmlData.url ? undefined : htmlData.html,
+    style: containerStyle(htmlData.containerData)
+  })}></iframe>`;
+}
+
+/**
+ * Render a single Ricos node to HTML
+ * @param {Object} node - The Ricos node
+ * @returns {string} HTML markup
+ */
+function renderNode(node) {
+  if (!node || !node.type) return '';
+
+  switch (node.type) {
+    case 'TEXT':
+      return renderText(node);
+
+    case 'PARAGRAPH': {
+      // A spacer is the gap between blocks, which HTML margins already
+      // give; converting back to Ricos adds the spacers again
+      if (isSpacingParagraph(node)) {
+        return '';
+      }
+
+      const style = textStyleToCss(node.paragraphData?.textStyle);
+      const indentation = node.paragraphData?.indentation;
+      const declarations = [style, indentation ? `margin-left: ${indentation * 40}px` : '']
+        .filter(Boolean)
+        .join('; ');
+      return `<p${renderAttributes({
+        dir: textDirection(node.paragraphData?.textStyle),
+        style: declarations
+      })}>${renderInline(node.nodes)}</p>`;
+    }
+
+    case 'HEADING': {
+      const level = Math.min(Math.max(node.headingData?.level || 1, 1), 6);
+      const style = textStyleToCss(node.headingData?.textStyle);
+      return `<h${level}${renderAttributes({
+        dir: textDirection(node.headingData?.textStyle),
+        style
+      })}>${renderInline(node.nodes)}</h${level}>`;
+    }
+
+    case 'BULLETED_LIST':
+      return `<ul>${validNodes(node.nodes).map(renderNode).join('')}</ul>`;
+
+    case 'ORDERED_LIST':
+      return renderOrderedList(node);
+
+    case 'LIST_ITEM':
+      return `<li>${renderContainerContent(node.nodes)}</li>`;
+
+    case 'BLOCKQUOTE':
+      return `<blockquote>${renderContainerContent(node.nodes)}</blockquote>`;
+
+    case 'CODE_BLOCK': {
+      const text = validNodes(node.nodes)
+        .map(child => (child.textData ? child.textData.text : ''))
+        .join('');
+      const language = node.codeBlockData && node.codeBlockData.language;
+      return `<pre><code${renderAttributes({ class: language ? `language-${language}` : '' })}>${escapeHtml(text)}</code></pre>`;
+    }
+
+    case 'TABLE':
+      return renderTable(node);
+
+    case 'TABLE_ROW':
+    case 'TABLE_CELL':
+      // Rows and cells are only meaningful inside a table
+      return renderContainerContent(node.nodes);
+
+    case 'IMAGE':
+      return renderImage(node);
+
+    case 'GALLERY':
+      return renderGallery(node);
+
+    case 'VIDEO':
+    case 'AUDIO':
+      return renderMedia(node);
+
+    case 'EMBED':
+      return renderEmbed(node);
+
+    case 'HTML':
+      return renderHtmlEmbed(node);
+
+    case 'DIVIDER':
+      return '<hr>';
+
+    default:
+      // Unknown node types keep their content so nothing is silently lost
+      return renderContainerContent(node.nodes);
+  }
+}
+
+/**
+ * Main function to convert Ricos to HTML
+ * @param {Object|Array} ricos - A Ricos document ({ nodes, documentStyle })
+ *   or an array of nodes
+ * @returns {string} The HTML markup, one top-level block per line, after a
+ *   <style> element for the documentStyle when the document has one
+ */
+function ricosToHtml(ricos) {
+  const nodes = validNodes(Array.isArray(ricos) ? ricos : ricos && ricos.nodes);
+  const style = Array.isArray(ricos) ? '' : renderDocumentStyle(ricos && ricos.documentStyle);
+
+  return [style, ...nodes.map(renderNode)].filter(Boolean).join('\n');
+}
+
+module.exports = {
+  ricosToHtml,
+  escapeHtml,
+  renderAttributes
+};
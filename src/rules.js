@@ -0,0 +1,120 @@
+/**
+ * Conversion rules
+ * A rule maps matching elements to Ricos nodes. Converters try their own
+ * rules before the built-in ones, so in-house markup can get its own nodes
+ * and built-in tags can be converted differently.
+ */
+
+// Where a rule applies: 'block' where block nodes are expected, 'inline'
+// inside text. Rules without a context apply in both.
+const RULE_CONTEXTS = ['block', 'inline'];
+
+/**
+ * Check and normalize the rules given to createConverter
+ * @param {Array} rules - Conversion rules, each with:
+ *   - tag: a tag name or list of tag names the rule applies to
+ *   - selector: a selector the element must match
+ *   - match: a predicate called with the element
+ *   - context: 'block' or 'inline', see RULE_CONTEXTS. Elements matched by a
+ *     'block' rule are converted as blocks, even inside text.
+ *   - attributes: attributes to keep through sanitizing on the rule's tags,
+ *     or on every tag when the rule has no tag
+ *   - convert(element, helpers): returns a Ricos node, an array of nodes, or
+ *     null to leave the element to the next matching rule
+ * @returns {Array} The rules, with tag names as a lower-case list
+ * @throws {Error} If a rule cannot be used
+ */
+function normalizeRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Conversion rules must be an array');
+  }
+
+  return rules.map((rule, index) => {
+    if (!rule || typeof rule.convert !== 'function') {
+      throw new Error(`Conversion rule ${index} needs a convert function`);
+    }
+    if (!rule.tag && !rule.selector && !rule.match) {
+      throw new Error(`Conversion rule ${index} needs a tag, selector or match predicate`);
+    }
+    if (rule.context && !RULE_CONTEXTS.includes(rule.context)) {
+      throw new Error(`Unknown rule context "${rule.context}", expected one of: ${RULE_CONTEXTS.join(', ')}`);
+    }
+
+    return {
+      ...rule,
+      tag: rule.tag ? [].concat(rule.tag).map(tag => tag.toLowerCase()) : null
+    };
+  });
+}
+
+/**
+ * Check whether a rule applies to an element
+ * @param {Object} rule - A normalized rule
+ * @param {HTMLElement} element - The element
+ * @returns {boolean} True if the rule matches
+ */
+function ruleMatches(rule, element) {
+  if (rule.tag && !rule.tag.includes(element.tagName.toLowerCase())) return false;
+  if (rule.selector && !element.matches(rule.selector)) return false;
+  return !rule.match || Boolean(rule.match(element));
+}
+
+/**
+ * Convert an element with the first matching rule that handles it
+ * @param {Array} rules - Normalized rules, in order of precedence
+ * @param {HTMLElement} element - The element to convert
+ * @param {Object} helpers - Helpers passed to the rule's convert function
+ * @returns {Array|null} Ricos nodes, or null if no rule handled the element
+ */
+function applyRules(rules, element, helpers) {
+  for (const rule of rules) {
+    if (!ruleMatches(rule, element)) continue;
+
+    const result = rule.convert(element, helpers);
+    if (result !== null && result !== undefined) {
+      return Array.isArray(result) ? result : [result];
+    }
+  }
+  return null;
+}
+
+/**
+ * Extend sanitizer options so the tags and attributes rules depend on
+ * survive sanitizing
+ * @param {Object} sanitizeOptions - The base sanitize-html options
+ * @param {Array} rules - Normalized rules
+ * @returns {Object} The extended options
+ */
+function extendSanitizeOptions(sanitizeOptions, rules) {
+  const allowedTags = [...sanitizeOptions.allowedTags];
+  const allowedAttributes = { ...sanitizeOptions.allowedAttributes };
+
+  const allowAttributes = (tag, attributes) => {
+    allowedAttributes[tag] = [...new Set([...(allowedAttributes[tag] || []), ...attributes])];
+  };
+
+  for (const rule of rules) {
+    const attributes = rule.attributes || [];
+
+    if (!rule.tag) {
+      allowAttributes('*', attributes);
+      continue;
+    }
+
+    for (const tag of rule.tag) {
+      if (!allowedTags.includes(tag)) {
+        allowedTags.push(tag);
+      }
+      allowAttributes(tag, attributes);
+    }
+  }
+
+  return { ...sanitizeOptions, allowedTags, allowedAttributes };
+}
+
+module.exports = {
+  normalizeRules,
+  ruleMatches,
+  applyRules,
+  extendSanitizeOptions
+};
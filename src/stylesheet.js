@@ -0,0 +1,340 @@
+/**
+ * Stylesheet resolution
+ * Resolves <style> blocks of the source document into computed styles and
+ * writes them onto each element's style attribute, so class-based styling
+ * reaches the converter the same way inline styles do. Also computes the
+ * base styles the document gives to plain text, headings, quotes and code.
+ */
+
+const { parseDocument } = require('./dom');
+const {
+  splitTopLevel, parseDeclarations, parseStylesheet, fontSizeToPx, lengthToPx, expandFontShorthand, BASE_FONT_SIZE
+} = require('./css');
+
+// Properties the converter reads from style attributes
+const SUPPORTED_PROPERTIES = [
+  'color', 'background-color', 'background', 'font-weight', 'font-style',
+  'font-size', 'line-height', 'text-align', 'text-indent', 'text-decoration',
+  'text-decoration-line', 'margin', 'margin-top', 'margin-right', 'margin-bottom',
+  'margin-left', 'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+  'vertical-align', 'width', 'height', 'float', 'white-space', 'direction'
+];
+
+// Supported properties that inherit from the parent element in CSS.
+// direction inherits as well, but is resolved together with dir attributes
+// when converting, see direction.js
+const INHERITED_PROPERTIES = [
+  'color', 'font-weight', 'font-style', 'font-size', 'line-height', 'text-align', 'text-indent',
+  'white-space'
+];
+
+// User agent styles that take precedence over inherited values.
+// A null value means the element does not inherit that property.
+const USER_AGENT_STYLES = {
+  a: { color: null },
+  b: { 'font-weight': 'bold' },
+  strong: { 'font-weight': 'bold' },
+  th: { 'font-weight': 'bold' },
+  em: { 'font-style': 'italic' },
+  i: { 'font-style': 'italic' },
+  cite: { 'font-style': 'italic' },
+  dfn: { 'font-style': 'italic' },
+  var: { 'font-style': 'italic' }
+};
+
+// Tags whose base style becomes part of the Ricos documentStyle
+const BASE_STYLE_TAGS = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre'];
+
+// Media types whose rules apply to the converted content
+const SCREEN_MEDIA = /^(\s*(all|screen)\b|\s*$|\s*\()/i;
+
+/**
+ * Compute the specificity of a single (non-list) selector
+ * @param {string} selector - The selector
+ * @returns {Array} Specificity as [ids, classes, types]
+ */
+function computeSpecificity(selector) {
+  // :where() contributes nothing, :not() and :is() count their arguments
+  let remaining = selector
+    .replace(/:where\([^)]*\)/g, '')
+    .replace(/:(not|is|matches)\(/g, ' ')
+    .replace(/\)/g, ' ');
+
+  const count = pattern => {
+    const matches = remaining.match(pattern) || [];
+    remaining = remaining.replace(pattern, ' ');
+    return matches.length;
+  };
+
+  const attributes = count(/\[[^\]]*\]/g);
+  const ids = count(/#[\w-]+/g);
+  const classes = count(/\.[\w-]+/g);
+  const pseudoClasses = count(/:[\w-]+/g);
+  const types = count(/(^|[\s>+~])[a-zA-Z][\w-]*/g);
+
+  return [ids, classes + attributes + pseudoClasses, types];
+}
+
+/**
+ * Compare two specificities
+ * @param {Array} a - First specificity
+ * @param {Array} b - Second specificity
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+function compareSpecificity(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * Collect the style rules of the <style> blocks of a document, flattening
+ * screen media rules
+ * @param {Document} doc - The parsed document
+ * @returns {Array} Rules as { selector, specificity, order, declarations }
+ */
+function collectRules(doc) {
+  const rules = [];
+
+  const visit = stylesheetRules => {
+    for (const rule of stylesheetRules) {
+      if (rule.media !== undefined) {
+        if (SCREEN_MEDIA.test(rule.media)) {
+          visit(rule.rules);
+        }
+        continue;
+      }
+
+      for (const selector of splitTopLevel(rule.selector, /,/)) {
+        // Pseudo-elements style generated content, not the element itself
+        if (/::|:(before|after|first-line|first-letter)\b/.test(selector)) continue;
+
+        rules.push({
+          selector,
+          specificity: computeSpecificity(selector),
+          order: rules.length,
+          declarations: rule.declarations
+        });
+      }
+    }
+  };
+
+  for (const style of doc.querySelectorAll('style')) {
+    visit(parseStylesheet(style.textContent));
+  }
+
+  return rules;
+}
+
+/**
+ * Check whether an element matches a selector, treating invalid selectors as no match
+ * @param {Element} element - The element
+ * @param {string} selector - The selector
+ * @returns {boolean} True if the element matches
+ */
+function matchesSelector(element, selector) {
+  try {
+    return element.matches(selector);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Cascade the declarations that apply to an element
+ * @param {Element} element - The element
+ * @param {Array} rules - Stylesheet rules from collectRules
+ * @returns {Object} Supported properties mapped to their cascaded values
+ */
+function cascade(element, rules) {
+  const inlineDeclarations = parseDeclarations(element.getAttribute('style'))
+    .map(declaration => ({ ...declaration, specificity: [Infinity, 0, 0], order: Infinity }));
+
+  const matching = rules
+    .filter(rule => matchesSelector(element, rule.selector))
+    .flatMap(rule => rule.declarations.map(declaration => ({
+      ...declaration,
+      specificity: rule.specificity,
+      order: rule.order
+    })));
+
+  // Later entries win: importance first, then specificity, then source order
+  const ordered = [...matching, ...inlineDeclarations].sort((a, b) =>
+    (a.important - b.important) ||
+    compareSpecificity(a.specificity, b.specificity) ||
+    (a.order - b.order)
+  );
+
+  const cascaded = {};
+  for (const declaration of ordered) {
+    if (declaration.property === 'font') {
+      Object.assign(cascaded, expandFontShorthand(declaration.value));
+    } else if (SUPPORTED_PROPERTIES.includes(declaration.property)) {
+      cascaded[declaration.property] = declaration.value;
+    }
+  }
+
+  return cascaded;
+}
+
+/**
+ * Compute the style of an element from its cascaded values and its parent
+ * @param {Element} element - The element
+ * @param {Object} cascaded - Cascaded values from cascade()
+ * @param {Object} parentStyle - The computed style of the parent
+ * @returns {Object} The computed style
+ */
+function computeStyle(element, cascaded, parentStyle) {
+  const style = {};
+
+  INHERITED_PROPERTIES.forEach(property => {
+    if (parentStyle[property] !== undefined) {
+      style[property] = parentStyle[property];
+    }
+  });
+
+  Object.entries(USER_AGENT_STYLES[element.tagName.toLowerCase()] || {}).forEach(([property, value]) => {
+    if (value === null) {
+      delete style[property];
+    } else {
+      style[property] = value;
+    }
+  });
+
+  Object.entries(cascaded).forEach(([property, value]) => {
+    const keyword = value.trim().toLowerCase();
+    if (keyword === 'inherit') {
+      if (parentStyle[property] !== undefined) style[property] = parentStyle[property];
+    } else if (keyword === 'initial' || keyword === 'unset') {
+      delete style[property];
+    } else {
+      style[property] = value;
+    }
+  });
+
+  // Relative font sizes and line heights resolve against the parent
+  const parentFontSize = fontSizeToPx(parentStyle['font-size']) || BASE_FONT_SIZE;
+  if (cascaded['font-size'] && style['font-size'] === cascaded['font-size']) {
+    const fontSize = fontSizeToPx(cascaded['font-size'], parentFontSize);
+    if (fontSize) style['font-size'] = `${Math.round(fontSize * 100) / 100}px`;
+  }
+
+  if (cascaded['line-height'] && !/^[\d.]+$/.test(cascaded['line-height'].trim())) {
+    const fontSize = fontSizeToPx(style['font-size']) || BASE_FONT_SIZE;
+    const lineHeight = lengthToPx(cascaded['line-height'], fontSize);
+    if (lineHeight) style['line-height'] = `${Math.round(lineHeight * 100) / 100}px`;
+  }
+
+  return style;
+}
+
+/**
+ * Write a computed style onto an element, keeping inline declarations the
+ * converter does not resolve here
+ * @param {Element} element - The element
+ * @param {Object} style - The computed style
+ */
+function writeStyle(element, style) {
+  const unresolved = parseDeclarations(element.getAttribute('style'))
+    .filter(declaration => declaration.property !== 'font' && !SUPPORTED_PROPERTIES.includes(declaration.property))
+    .map(declaration => `${declaration.property}: ${declaration.value}${declaration.important ? ' !important' : ''}`);
+
+  const resolved = Object.entries(style).map(([property, value]) => `${property}: ${value}`);
+  const declarations = [...resolved, ...unresolved];
+
+  if (declarations.length > 0) {
+    element.setAttribute('style', declarations.join('; '));
+  }
+}
+
+/**
+ * Serialize a computed style as a style attribute value
+ * @param {Object} style - The computed style
+ * @returns {string} The declarations
+ */
+function serializeStyle(style) {
+  return Object.entries(style).map(([property, value]) => `${property}: ${value}`).join('; ');
+}
+
+/**
+ * Compute the base style of each tag in BASE_STYLE_TAGS: the style a bare
+ * element of that tag gets as a child of <body>. Ricos paragraphs also come
+ * from text outside <p>, such as divs, list items and cells, so the base
+ * style of p is only what it inherits from <body>; p rules are written onto
+ * the <p> elements instead.
+ * @param {Document} doc - The parsed document
+ * @param {Array} rules - Stylesheet rules from collectRules
+ * @param {Object} bodyStyle - The computed style of <body>
+ * @returns {Object} Tag names mapped to style attribute values, for tags
+ *   with a base style
+ */
+function computeBaseStyles(doc, rules, bodyStyle) {
+  const baseStyles = {};
+
+  for (const tagName of BASE_STYLE_TAGS) {
+    const probe = doc.createElement(tagName);
+    doc.body.appendChild(probe);
+    const cascaded = tagName === 'p' ? {} : cascade(probe, rules);
+    const computed = computeStyle(probe, cascaded, bodyStyle);
+    probe.remove();
+
+    // Headings are sized by the browser and by the Wix theme, so they only
+    // get a font size their own rules set
+    if (/^h[1-6]$/.test(tagName) && !cascaded['font-size']) {
+      delete computed['font-size'];
+    }
+
+    const style = serializeStyle(computed);
+
+    if (style) {
+      baseStyles[tagName] = style;
+    }
+  }
+
+  return baseStyles;
+}
+
+/**
+ * Resolve the <style> blocks of an HTML document into inline styles, and
+ * compute the base styles of body text, headings, quotes and code blocks
+ * @param {string} html - The HTML document
+ * @returns {Object} { html, baseStyles }: the HTML with computed styles
+ *   inlined, or the input unchanged if it has no stylesheet rules, and the
+ *   base styles from computeBaseStyles
+ */
+function resolveStylesheets(html) {
+  if (!/<style[\s>]/i.test(html) && !/<body[^>]*\sstyle\s*=/i.test(html)) {
+    return { html, baseStyles: {} };
+  }
+
+  const doc = parseDocument(html);
+  const rules = collectRules(doc);
+  let bodyStyle = {};
+
+  const visit = (element, parentStyle) => {
+    const style = computeStyle(element, cascade(element, rules), parentStyle);
+
+    if (element === doc.body) {
+      bodyStyle = style;
+    } else if (rules.length > 0 && doc.body.contains(element)) {
+      writeStyle(element, style);
+    }
+
+    for (const child of element.children) {
+      visit(child, style);
+    }
+  };
+
+  visit(doc.documentElement, {});
+
+  // Without stylesheet rules there is nothing to inline
+  const styledHtml = rules.length > 0 ? doc.documentElement.outerHTML : html;
+
+  return { html: styledHtml, baseStyles: computeBaseStyles(doc, rules, bodyStyle) };
+}
+
+module.exports = {
+  resolveStylesheets,
+  SUPPORTED_PROPERTIES
+};
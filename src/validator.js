@@ -0,0 +1,289 @@
+/**
+ * Ricos Validator
+ * Checks a Ricos document against the node and parent/child rules of the
+ * Wix Ricos schema before it is sent to a Wix API
+ */
+
+// Node types that may appear directly in a document or in another block container
+const BLOCK_TYPES = [
+  'PARAGRAPH', 'HEADING', 'BULLETED_LIST', 'ORDERED_LIST', 'BLOCKQUOTE',
+  'CODE_BLOCK', 'TABLE', 'IMAGE', 'DIVIDER', 'VIDEO', 'AUDIO', 'GALLERY',
+  'GIF', 'FILE', 'HTML', 'EMBED', 'LINK_PREVIEW', 'MAP', 'POLL', 'BUTTON',
+  'APP_EMBED', 'COLLAPSIBLE_LIST', 'LAYOUT', 'EXTERNAL'
+];
+
+// Node types that may appear inside text blocks
+const INLINE_TYPES = ['TEXT'];
+
+// Allowed child types for each node type; types missing here must not have children
+const CHILD_RULES = {
+  ROOT: BLOCK_TYPES,
+  PARAGRAPH: INLINE_TYPES,
+  HEADING: INLINE_TYPES,
+  CODE_BLOCK: INLINE_TYPES,
+  BULLETED_LIST: ['LIST_ITEM'],
+  ORDERED_LIST: ['LIST_ITEM'],
+  LIST_ITEM: ['PARAGRAPH', 'BULLETED_LIST', 'ORDERED_LIST'],
+  BLOCKQUOTE: ['PARAGRAPH'],
+  TABLE: ['TABLE_ROW'],
+  TABLE_ROW: ['TABLE_CELL'],
+  TABLE_CELL: BLOCK_TYPES.filter(type => type !== 'TABLE'),
+  COLLAPSIBLE_LIST: ['COLLAPSIBLE_ITEM'],
+  COLLAPSIBLE_ITEM: ['COLLAPSIBLE_ITEM_TITLE', 'COLLAPSIBLE_ITEM_BODY'],
+  COLLAPSIBLE_ITEM_TITLE: ['PARAGRAPH'],
+  COLLAPSIBLE_ITEM_BODY: BLOCK_TYPES,
+  LAYOUT: ['LAYOUT_CELL'],
+  LAYOUT_CELL: BLOCK_TYPES
+};
+
+// Every node type known to the schema
+const NODE_TYPES = [
+  ...BLOCK_TYPES, ...INLINE_TYPES, 'LIST_ITEM', 'TABLE_ROW', 'TABLE_CELL',
+  'COLLAPSIBLE_ITEM', 'COLLAPSIBLE_ITEM_TITLE', 'COLLAPSIBLE_ITEM_BODY',
+  'LAYOUT_CELL', 'CAPTION'
+];
+
+// Container types that must hold at least one child (strict mode)
+const NON_EMPTY_TYPES = ['BULLETED_LIST', 'ORDERED_LIST', 'LIST_ITEM', 'TABLE', 'TABLE_ROW', 'TABLE_CELL'];
+
+// Decoration types known to the schema
+const DECORATION_TYPES = [
+  'BOLD', 'ITALIC', 'UNDERLINE', 'SPOILER', 'ANCHOR', 'MENTION', 'LINK',
+  'COLOR', 'FONT_SIZE', 'EXTERNAL', 'STRIKETHROUGH', 'SUPERSCRIPT', 'SUBSCRIPT'
+];
+
+// Keys of documentStyle, one per kind of text block
+const DOCUMENT_STYLE_KEYS = [
+  'headerOne', 'headerTwo', 'headerThree', 'headerFour', 'headerFive', 'headerSix',
+  'paragraph', 'blockquote', 'codeBlock'
+];
+
+/**
+ * Error thrown when a converted document fails validation
+ */
+class RicosValidationError extends Error {
+  /**
+   * @param {Array} errors - The validation errors, each { path, message }
+   */
+  constructor(errors) {
+    super(`Ricos document failed validation with ${errors.length} error(s): ${errors[0].path} ${errors[0].message}`);
+    this.name = 'RicosValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validate the decorations of a TEXT node
+ * @param {Array} decorations - The decorations to check
+ * @param {string} path - JSON path of the decorations array
+ * @param {Array} errors - Error list to append to
+ */
+function validateDecorations(decorations, path, errors) {
+  if (!Array.isArray(decorations)) {
+    errors.push({ path, message: 'decorations must be an array' });
+    return;
+  }
+
+  decorations.forEach((decoration, index) => {
+    const decorationPath = `${path}[${index}]`;
+
+    if (!decoration || !DECORATION_TYPES.includes(decoration.type)) {
+      errors.push({ path: decorationPath, message: `unknown decoration type "${decoration && decoration.type}"` });
+      return;
+    }
+
+    if (decoration.type === 'LINK' && !(decoration.linkData && decoration.linkData.link)) {
+      errors.push({ path: decorationPath, message: 'LINK decoration requires linkData.link' });
+    }
+
+    if (decoration.type === 'COLOR') {
+      const colorData = decoration.colorData || {};
+      if (!colorData.foreground && !colorData.background) {
+        errors.push({ path: decorationPath, message: 'COLOR decoration requires colorData.foreground or colorData.background' });
+      }
+    }
+  });
+}
+
+/**
+ * Validate the metadata of a document
+ * @param {Object} metadata - The metadata to check
+ * @param {Array} errors - Error list to append to
+ */
+function validateMetadata(metadata, errors) {
+  if (!metadata || typeof metadata !== 'object') {
+    errors.push({ path: '$.metadata', message: 'metadata must be an object' });
+    return;
+  }
+
+  if (metadata.version !== undefined && !Number.isInteger(metadata.version)) {
+    errors.push({ path: '$.metadata.version', message: 'version must be an integer' });
+  }
+
+  ['createdTimestamp', 'updatedTimestamp'].forEach(field => {
+    const value = metadata[field];
+    if (value !== undefined && (typeof value !== 'string' || Number.isNaN(Date.parse(value)))) {
+      errors.push({ path: `$.metadata.${field}`, message: `${field} must be an ISO date string` });
+    }
+  });
+
+  if (metadata.id !== undefined && typeof metadata.id !== 'string') {
+    errors.push({ path: '$.metadata.id', message: 'id must be a string' });
+  }
+}
+
+/**
+ * Validate the documentStyle of a document
+ * @param {Object} documentStyle - The documentStyle to check
+ * @param {Object} context - Validation state ({ strict, errors, ids })
+ */
+function validateDocumentStyle(documentStyle, context) {
+  const { strict, errors } = context;
+
+  if (!documentStyle || typeof documentStyle !== 'object') {
+    errors.push({ path: '$.documentStyle', message: 'documentStyle must be an object' });
+    return;
+  }
+
+  Object.entries(documentStyle).forEach(([key, textNodeStyle]) => {
+    const path = `$.documentStyle.${key}`;
+
+    if (!DOCUMENT_STYLE_KEYS.includes(key)) {
+      errors.push({ path, message: `unknown documentStyle key "${key}"` });
+    } else if (!textNodeStyle || typeof textNodeStyle !== 'object') {
+      errors.push({ path, message: `${key} must be an object` });
+    } else if (strict && textNodeStyle.decorations !== undefined) {
+      validateDecorations(textNodeStyle.decorations, `${path}.decorations`, errors);
+    }
+  });
+}
+
+/**
+ * Validate a node and its descendants
+ * @param {Object} node - The node to check
+ * @param {string} parentType - Type of the parent node, or ROOT
+ * @param {string} path - JSON path of the node
+ * @param {Object} context - Validation state ({ strict, errors, ids })
+ */
+function validateNode(node, parentType, path, context) {
+  const { strict, errors } = context;
+
+  if (!node || typeof node !== 'object' || typeof node.type !== 'string') {
+    errors.push({ path, message: 'node must be an object with a type' });
+    return;
+  }
+
+  if (!NODE_TYPES.includes(node.type)) {
+    errors.push({ path, message: `unknown node type "${node.type}"` });
+    return;
+  }
+
+  const allowedTypes = CHILD_RULES[parentType] || [];
+  if (!allowedTypes.includes(node.type)) {
+    const parentName = parentType === 'ROOT' ? 'the document root' : parentType;
+    errors.push({ path, message: `${node.type} is not allowed inside ${parentName}` });
+  }
+
+  if (strict) {
+    if (node.type !== 'TEXT' && (typeof node.id !== 'string' || node.id === '')) {
+      errors.push({ path: `${path}.id`, message: `${node.type} requires a non-empty id` });
+    } else if (node.id) {
+      if (context.ids.has(node.id)) {
+        errors.push({ path: `${path}.id`, message: `duplicate id "${node.id}"` });
+      }
+      context.ids.add(node.id);
+    }
+  }
+
+  // Type-specific data
+  if (node.type === 'TEXT') {
+    if (!node.textData || typeof node.textData.text !== 'string') {
+      errors.push({ path: `${path}.textData.text`, message: 'TEXT requires textData.text' });
+    } else if (strict && node.textData.decorations !== undefined) {
+      validateDecorations(node.textData.decorations, `${path}.textData.decorations`, errors);
+    }
+  }
+
+  if (node.type === 'HEADING') {
+    const level = node.headingData && node.headingData.level;
+    if (!Number.isInteger(level) || level < 1 || level > 6) {
+      errors.push({ path: `${path}.headingData.level`, message: 'HEADING requires a level between 1 and 6' });
+    }
+  }
+
+  if (node.type === 'IMAGE') {
+    const src = node.imageData && node.imageData.image && node.imageData.image.src;
+    if (!src || !(src.url || src.id)) {
+      errors.push({ path: `${path}.imageData.image.src`, message: 'IMAGE requires image.src.url or image.src.id' });
+    }
+  }
+
+  // Children
+  const children = node.nodes;
+  if (children === undefined) {
+    if (strict && NON_EMPTY_TYPES.includes(node.type)) {
+      errors.push({ path: `${path}.nodes`, message: `${node.type} must have child nodes` });
+    }
+    return;
+  }
+
+  if (!Array.isArray(children)) {
+    errors.push({ path: `${path}.nodes`, message: 'nodes must be an array' });
+    return;
+  }
+
+  if (strict && children.length === 0 && NON_EMPTY_TYPES.includes(node.type)) {
+    errors.push({ path: `${path}.nodes`, message: `${node.type} must have child nodes` });
+  }
+
+  if (strict && node.type === 'LIST_ITEM' && children.length > 0 && children[0].type !== 'PARAGRAPH') {
+    errors.push({ path: `${path}.nodes[0]`, message: 'LIST_ITEM must start with a PARAGRAPH' });
+  }
+
+  children.forEach((child, index) => {
+    validateNode(child, node.type, `${path}.nodes[${index}]`, context);
+  });
+}
+
+/**
+ * Validate a Ricos document
+ * @param {Object} document - The Ricos document ({ nodes, metadata?, documentStyle? })
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.strict=false] - Also check ids, decorations and
+ *   the required content of containers
+ * @returns {Object} { valid, errors } where each error is { path, message }
+ */
+function validateRicos(document, options = {}) {
+  const context = {
+    strict: Boolean(options.strict),
+    errors: [],
+    ids: new Set()
+  };
+
+  if (!document || !Array.isArray(document.nodes)) {
+    context.errors.push({ path: '$.nodes', message: 'document requires a nodes array' });
+  } else {
+    document.nodes.forEach((node, index) => {
+      validateNode(node, 'ROOT', `$.nodes[${index}]`, context);
+    });
+  }
+
+  if (document && document.metadata !== undefined) {
+    validateMetadata(document.metadata, context.errors);
+  }
+
+  if (document && document.documentStyle !== undefined) {
+    validateDocumentStyle(document.documentStyle, context);
+  }
+
+  return {
+    valid: context.errors.length === 0,
+    errors: context.errors
+  };
+}
+
+module.exports = {
+  validateRicos,
+  RicosValidationError,
+  CHILD_RULES
+};
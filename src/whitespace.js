@@ -0,0 +1,173 @@
+/**
+ * White space
+ * Applies the CSS white-space rules to converted text: runs of spaces, tabs
+ * and newlines collapse to one space, spaces at the start and end of a line
+ * are removed, and text styled to keep its whitespace is left as written.
+ * Line breaks are '\n' in Ricos text and display as soft breaks.
+ */
+
+const ELEMENT_NODE = 1;
+
+// Whitespace that collapses: spaces, tabs and line feeds, but not the
+// no-break space
+const COLLAPSIBLE = /[ \t\n\r\f]+/g;
+
+// Tags that keep their whitespace without a white-space style
+const PREFORMATTED_TAGS = ['pre', 'textarea', 'listing', 'plaintext', 'xmp'];
+
+// white-space values that keep spaces and newlines as written
+const PRESERVING_MODES = ['pre', 'pre-wrap', 'break-spaces'];
+
+// Ricos text nodes whose whitespace is kept as written
+const preservedText = new WeakSet();
+
+/**
+ * Find the white-space mode of the text inside an element. The property
+ * inherits, so the nearest element that sets it decides.
+ * @param {Node} node - The element, or the parent of a text node
+ * @returns {string} The white-space value, 'normal' by default
+ */
+function getWhiteSpace(node) {
+  for (let element = node; element && element.nodeType === ELEMENT_NODE; element = element.parentNode) {
+    const match = (element.getAttribute('style') || '').match(/(?:^|;)\s*white-space\s*:\s*([a-z-]+)/i);
+    if (match && !['inherit', 'unset'].includes(match[1].toLowerCase())) {
+      return match[1].toLowerCase() === 'initial' ? 'normal' : match[1].toLowerCase();
+    }
+    if (PREFORMATTED_TAGS.includes(element.tagName.toLowerCase())) {
+      return 'pre';
+    }
+  }
+  return 'normal';
+}
+
+/**
+ * Collapse each run of whitespace to a single space
+ * @param {string} text - The text
+ * @returns {string} The collapsed text
+ */
+function collapseSpaces(text) {
+  return text.replace(COLLAPSIBLE, ' ');
+}
+
+/**
+ * Read a DOM text node as Ricos text under its white-space mode
+ * @param {Node} textNode - The DOM text node
+ * @returns {Object} { text, preserved }: the text, and whether its
+ *   whitespace must be kept as written
+ */
+function readText(textNode) {
+  const whiteSpace = getWhiteSpace(textNode.parentNode);
+  const text = textNode.textContent.replace(/\r\n?/g, '\n');
+
+  if (PRESERVING_MODES.includes(whiteSpace)) {
+    return { text, preserved: true };
+  }
+
+  // pre-line keeps newlines as line breaks and collapses the rest
+  if (whiteSpace === 'pre-line') {
+    return { text: text.split('\n').map(collapseSpaces).join('\n'), preserved: false };
+  }
+
+  return { text: collapseSpaces(text), preserved: false };
+}
+
+/**
+ * Mark a Ricos text node as keeping its whitespace as written
+ * @param {Object} textNode - The Ricos TEXT node
+ * @returns {Object} The text node
+ */
+function markPreserved(textNode) {
+  preservedText.add(textNode);
+  return textNode;
+}
+
+/**
+ * Remove the collapsible spaces at line starts, line ends and after another
+ * space across the text of one paragraph, and the line break that ends it.
+ * Text nodes left empty are dropped.
+ * @param {Array} nodes - The inline nodes of a paragraph
+ * @returns {Array} The nodes
+ */
+function collapseInlineNodes(nodes) {
+  let lineStart = true;
+  let afterSpace = false;
+  // The last collapsible text with content, while nothing else followed it
+  let previous = null;
+
+  for (const node of nodes) {
+    if (node.type !== 'TEXT') {
+      lineStart = false;
+      afterSpace = false;
+      previous = null;
+      continue;
+    }
+
+    if (preservedText.has(node)) {
+      lineStart = node.textData.text.endsWith('\n');
+      afterSpace = false;
+      previous = null;
+      continue;
+    }
+
+    let text = node.textData.text.replace(/ ?\n ?/g, '\n');
+    if (lineStart || afterSpace) {
+      text = text.replace(/^ /, '');
+    }
+
+    // A space before a line break ends the line and is removed
+    if (text.startsWith('\n') && previous && previous.textData.text.endsWith(' ')) {
+      previous.textData.text = previous.textData.text.slice(0, -1);
+    }
+
+    node.textData.text = text;
+    if (text) {
+      lineStart = text.endsWith('\n');
+      afterSpace = text.endsWith(' ');
+      previous = node;
+    }
+  }
+
+  const collapsed = nodes.filter(node => node.type !== 'TEXT' || node.textData.text !== '');
+
+  // The end of the paragraph ends the last line, and a line break there
+  // adds no empty line
+  const last = collapsed[collapsed.length - 1];
+  if (last && last.type === 'TEXT') {
+    if (!preservedText.has(last)) {
+      last.textData.text = last.textData.text.replace(/ $/, '');
+    }
+    last.textData.text = last.textData.text.replace(/\n$/, '');
+    if (last.textData.text === '') {
+      collapsed.pop();
+    }
+  }
+
+  return collapsed;
+}
+
+/**
+ * Apply the white-space rules to the text of every paragraph and heading in
+ * a list of Ricos nodes, at any nesting level. Code blocks keep their text.
+ * @param {Array} nodes - Ricos nodes
+ * @returns {Array} The nodes, changed in place
+ */
+function collapseWhiteSpace(nodes) {
+  for (const node of nodes) {
+    if (!node.nodes || node.type === 'CODE_BLOCK') continue;
+
+    if (node.type === 'PARAGRAPH' || node.type === 'HEADING') {
+      node.nodes = collapseInlineNodes(node.nodes);
+    } else {
+      collapseWhiteSpace(node.nodes);
+    }
+  }
+  return nodes;
+}
+
+module.exports = {
+  getWhiteSpace,
+  collapseSpaces,
+  readText,
+  markPreserved,
+  collapseWhiteSpace
+};
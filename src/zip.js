@@ -0,0 +1,150 @@
+/**
+ * ZIP reader
+ * Reads the entries of a ZIP archive, such as a .docx file, with the deflate
+ * support built into Node. Stored and deflated entries are supported;
+ * encrypted entries and ZIP64 archives are not.
+ */
+
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Size of the end of central directory record without its comment
+const END_RECORD_SIZE = 22;
+
+// Longest comment the end record can have
+const MAX_COMMENT_SIZE = 0xffff;
+
+// Compression methods
+const STORED = 0;
+const DEFLATED = 8;
+
+// Most bytes all the entries read from one archive may decompress to. The
+// sizes in the archive are not trusted, since a crafted archive can declare
+// any size up to 4 GB.
+const MAX_TOTAL_SIZE = 100 * 1024 * 1024;
+
+/**
+ * Find the end of central directory record, searching back from the end
+ * past a possible archive comment
+ * @param {Buffer} buffer - The archive
+ * @returns {number} The record offset, or -1 if there is none
+ */
+function findEndRecord(buffer) {
+  const stop = Math.max(0, buffer.length - END_RECORD_SIZE - MAX_COMMENT_SIZE);
+  for (let offset = buffer.length - END_RECORD_SIZE; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  return -1;
+}
+
+/**
+ * Read the central directory of a ZIP archive
+ * @param {Buffer} buffer - The archive
+ * @returns {Map} Entry names mapped to { method, flags, compressedSize, size, offset }
+ * @throws {Error} If the buffer is not a supported ZIP archive
+ */
+function readEntries(buffer) {
+  const endOffset = Buffer.isBuffer(buffer) && buffer.length >= END_RECORD_SIZE ? findEndRecord(buffer) : -1;
+  if (endOffset === -1) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, {
+      flags: buffer.readUInt16LE(offset + 8),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      offset: buffer.readUInt32LE(offset + 42)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Open a ZIP archive held in memory. Entries are decompressed when read.
+ * @param {Buffer} buffer - The archive
+ * @param {Object} [options] - Reading options
+ * @param {number} [options.maxTotalSize=MAX_TOTAL_SIZE] - Most bytes all the
+ *   reads together may return; a read that would go past it throws
+ * @returns {Object} { names, has(name), read(name) }, where read returns the
+ *   entry content as a Buffer, or null if there is no such entry
+ * @throws {Error} If the buffer is not a supported ZIP archive
+ */
+function openZip(buffer, { maxTotalSize = MAX_TOTAL_SIZE } = {}) {
+  const entries = readEntries(buffer);
+  let totalSize = 0;
+
+  const read = name => {
+    const entry = entries.get(name);
+    if (!entry) return null;
+
+    if (entry.flags & 1) {
+      throw new Error(`${name} is encrypted`);
+    }
+    if (entry.offset + 30 > buffer.length || buffer.readUInt32LE(entry.offset) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt ZIP entry ${name}`);
+    }
+
+    // The local header repeats the name and has its own extra field
+    const start = entry.offset + 30 + buffer.readUInt16LE(entry.offset + 26) + buffer.readUInt16LE(entry.offset + 28);
+    const data = buffer.subarray(start, start + entry.compressedSize);
+    const remaining = maxTotalSize - totalSize;
+
+    let content;
+    if (entry.method === STORED) {
+      content = data;
+    } else if (entry.method === DEFLATED) {
+      // Inflating stops at the size left under the limit, whatever size the
+      // entry declares
+      try {
+        content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(Math.min(entry.size, remaining), 1) });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE' && entry.size >= remaining) {
+          throw new Error(`ZIP content is larger than ${maxTotalSize} bytes`);
+        }
+        throw new Error(`Corrupt ZIP entry ${name}`);
+      }
+    } else {
+      throw new Error(`Unsupported compression method ${entry.method} in ${name}`);
+    }
+
+    if (content.length > remaining) {
+      throw new Error(`ZIP content is larger than ${maxTotalSize} bytes`);
+    }
+    totalSize += content.length;
+    return content;
+  };
+
+  return {
+    names: Array.from(entries.keys()),
+    has: name => entries.has(name),
+    read
+  };
+}
+
+module.exports = {
+  openZip
+};
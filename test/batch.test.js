@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { convertBatch, parseNdjson } = require('../src/batch');
+
+test('converts every item and reports failures per item', async () => {
+  const results = [];
+  const summary = await convertBatch([
+    { id: 'a', html: '<p>A</p>', options: { ids: 'sequence' } },
+    { id: 'b' },
+    { markdown: '# C' },
+    'not an object'
+  ], {}, result => results.push(result));
+
+  assert.deepEqual(summary, { total: 4, succeeded: 2, failed: 2 });
+  const byId = Object.fromEntries(results.map(result => [result.id, result]));
+  assert.equal(byId.a.ricos.nodes[0].nodes[0].textData.text, 'A');
+  assert.equal(byId.b.error.message, 'HTML content is required');
+  assert.equal(byId[2].ricos.nodes[0].type, 'HEADING');
+  assert.equal(byId[3].error.message, 'Batch items must be objects');
+});
+
+test('lets other work run between documents', async () => {
+  const events = [];
+  const items = Array.from({ length: 3 }, (_, index) => ({ html: `<p>${index}</p>` }));
+  const batch = convertBatch(items, { concurrency: 1 }, result => events.push(`result ${result.id}`));
+  setImmediate(() => events.push('other'));
+  await batch;
+
+  const other = events.indexOf('other');
+  assert.ok(other !== -1 && other < events.indexOf('result 2'), events.join(', '));
+});
+
+test('reads NDJSON items and reports lines that are not JSON', async () => {
+  const items = [];
+  for await (const item of parseNdjson(Readable.from(['{"id":1,"html":"<p>x</p>"}\n\nnot json\n']))) {
+    items.push(item);
+  }
+
+  assert.equal(items.length, 2);
+  assert.equal(items[0].id, 1);
+  assert.equal(items[1].id, 'line-3');
+  assert.match(items[1].parseError, /^Invalid JSON on line 3/);
+});
+
+test('waits for onResult before starting more items than the concurrency', async () => {
+  const events = [];
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  const items = [{ id: 'a', html: '<p>a</p>' }, { id: 'b', html: '<p>b</p>' }];
+
+  async function* read() {
+    for (const item of items) {
+      events.push(`read ${item.id}`);
+      yield item;
+    }
+  }
+
+  const batch = convertBatch(read(), { concurrency: 1 }, result => {
+    events.push(`result ${result.id}`);
+    return result.id === 'a' ? held : undefined;
+  });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.deepEqual(events, ['read a', 'result a']);
+
+  release();
+  await batch;
+  assert.deepEqual(events, ['read a', 'result a', 'read b', 'result b']);
+});
+
+test('stops reading items once the signal is aborted', async () => {
+  const controller = new AbortController();
+  const items = Array.from({ length: 10 }, (_, index) => ({ html: `<p>${index}</p>` }));
+  const results = [];
+
+  const summary = await convertBatch(items, { concurrency: 1, signal: controller.signal }, result => {
+    results.push(result.id);
+    controller.abort();
+  });
+
+  assert.deepEqual(results, [0]);
+  assert.deepEqual(summary, { total: 1, succeeded: 1, failed: 0 });
+});
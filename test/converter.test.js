@@ -0,0 +1,455 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  htmlToRicos,
+  htmlToRicosAsync,
+  markdownToRicos,
+  ricosToHtml,
+  validateRicos,
+  RicosValidationError,
+  ConversionOptionsError
+} = require('../src/converter');
+
+const OPTIONS = { ids: 'sequence' };
+
+/**
+ * Collect the text of every TEXT node in a list of nodes
+ * @param {Array} nodes - Ricos nodes
+ * @returns {string} The texts joined with '|'
+ */
+function texts(nodes) {
+  const found = [];
+  const visit = siblings => siblings.forEach(node => {
+    if (node.textData) found.push(node.textData.text);
+    if (node.nodes) visit(node.nodes);
+  });
+  visit(nodes);
+  return found.join('|');
+}
+
+/**
+ * List the node types of a document, depth first
+ * @param {Array} nodes - Ricos nodes
+ * @returns {Array} The types, with TEXT left out
+ */
+function types(nodes) {
+  const found = [];
+  const visit = siblings => siblings.forEach(node => {
+    if (node.type !== 'TEXT') found.push(node.type);
+    if (node.nodes) visit(node.nodes);
+  });
+  visit(nodes);
+  return found;
+}
+
+test('converts paragraphs and headings with spacing', () => {
+  const { nodes } = htmlToRicos('<h2>Title</h2><p>Text</p>', OPTIONS);
+  assert.deepEqual(types(nodes), ['HEADING', 'PARAGRAPH', 'PARAGRAPH']);
+  assert.equal(nodes[0].headingData.level, 2);
+  assert.equal(texts(nodes), 'Title| |Text');
+});
+
+test('maps inline formatting to decorations', () => {
+  const { nodes } = htmlToRicos('<p><b>a</b> <i>b</i> <a href="https://example.com">c</a></p>', OPTIONS);
+  const [bold, , italic, , link] = nodes[0].nodes;
+  assert.deepEqual(bold.textData.decorations.map(decoration => decoration.type), ['BOLD']);
+  assert.deepEqual(italic.textData.decorations.map(decoration => decoration.type), ['ITALIC']);
+  assert.ok(link.textData.decorations.some(decoration =>
+    decoration.type === 'LINK' && decoration.linkData.link.url === 'https://example.com'));
+  assert.equal(texts(nodes), 'a| |b| |c');
+});
+
+test('maps strikethrough, scripts, highlights and font sizes to decorations', () => {
+  const html = '<p><s>s</s><del>d</del><sup>1</sup><sub>2</sub><mark>m</mark><mark style="background-color: #00ff00">g</mark>' +
+    '<span style="font-size: 20px">big</span><small>sm</small>' +
+    '<span style="vertical-align: super">x<span style="vertical-align: baseline">b</span></span>' +
+    '<s><span style="text-decoration: none">n</span></s></p>';
+  const { nodes } = htmlToRicos(html, OPTIONS);
+  const decorations = nodes[0].nodes.map(node => node.textData.decorations || []);
+
+  assert.deepEqual(decorations, [
+    [{ type: 'STRIKETHROUGH' }],
+    [{ type: 'STRIKETHROUGH' }],
+    [{ type: 'SUPERSCRIPT' }],
+    [{ type: 'SUBSCRIPT' }],
+    [{ type: 'COLOR', colorData: { background: '#ffff00' } }],
+    [{ type: 'COLOR', colorData: { background: '#00ff00' } }],
+    [{ type: 'FONT_SIZE', fontSizeData: { unit: 'PX', value: 20 } }],
+    [{ type: 'FONT_SIZE', fontSizeData: { unit: 'PX', value: 13 } }],
+    [{ type: 'SUPERSCRIPT' }],
+    [],
+    []
+  ]);
+  assert.equal(ricosToHtml(nodes), '<p><s>s</s><s>d</s><sup>1</sup><sub>2</sub>' +
+    '<span style="background-color: #ffff00">m</span><span style="background-color: #00ff00">g</span>' +
+    '<span style="font-size: 20px">big</span><span style="font-size: 13px">sm</span><sup>x</sup>bn</p>');
+});
+
+test('converts nested lists with a paragraph first in every item', () => {
+  const { nodes } = htmlToRicos('<ul><li>One<ul><li>Two</li></ul></li></ul>', OPTIONS);
+  assert.deepEqual(types(nodes), ['BULLETED_LIST', 'LIST_ITEM', 'PARAGRAPH', 'BULLETED_LIST', 'LIST_ITEM', 'PARAGRAPH']);
+  assert.equal(nodes[0].nodes[0].nodes[1].bulletedListData.indentation, 1);
+});
+
+test('converts tables to rows and cells', () => {
+  const { nodes } = htmlToRicos('<table><tr><th>A</th><th>B</th></tr><tr><td>1</td><td>2</td></tr></table>', OPTIONS);
+  assert.equal(nodes[0].type, 'TABLE');
+  assert.equal(nodes[0].nodes.length, 2);
+  assert.equal(nodes[0].tableData.rowHeader, true);
+});
+
+test('keeps table spans, header rows, widths and cell styles', () => {
+  const html = '<table><colgroup><col style="width: 200px"><col width="100"></colgroup>' +
+    '<thead><tr><th colspan="2">H</th></tr></thead>' +
+    '<tbody><tr style="height: 80px"><td rowspan="2" style="background-color: #ff0000; vertical-align: middle">a</td><td>b</td></tr>' +
+    '<tr><td style="text-align: right">c</td></tr></tbody></table>';
+  const [table] = htmlToRicos(html, OPTIONS).nodes;
+  const [header, first, second] = table.nodes;
+
+  assert.equal(table.tableData.rowHeader, true);
+  assert.deepEqual(table.tableData.dimensions.colsWidthRatio, [200, 100]);
+  assert.deepEqual(table.tableData.dimensions.rowsHeight, [50, 80, 50]);
+  assert.deepEqual(header.nodes[0].cellData, { colspan: 2 });
+  assert.equal(header.nodes[0].nodes[0].paragraphData.textStyle.textAlignment, 'CENTER');
+  assert.deepEqual(first.nodes[0].cellData,
+    { rowspan: 2, cellStyle: { verticalAlignment: 'MIDDLE', backgroundColor: '#ff0000' } });
+  assert.equal(second.nodes.length, 1);
+  assert.equal(second.nodes[0].nodes[0].paragraphData.textStyle.textAlignment, 'RIGHT');
+});
+
+test('converts provider iframes, media elements and other frames', () => {
+  const html = '<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ" width="560" height="315"></iframe>' +
+    '<iframe src="https://player.vimeo.com/video/76979871"></iframe>' +
+    '<blockquote class="twitter-tweet"><a href="https://twitter.com/x/status/123">t</a></blockquote>' +
+    '<iframe src="https://example.com/widget"></iframe>' +
+    '<video src="https://example.com/v.mp4" poster="https://example.com/p.png"></video>' +
+    '<audio src="https://example.com/a.mp3"></audio>';
+  const document = htmlToRicos(html, OPTIONS);
+  const [youtube, vimeo, tweet, frame, video, audio] = document.nodes;
+
+  assert.deepEqual(types(document.nodes), ['VIDEO', 'VIDEO', 'EMBED', 'HTML', 'VIDEO', 'AUDIO']);
+  assert.equal(youtube.videoData.video.src.url, 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+  assert.deepEqual(youtube.videoData.containerData.width, { custom: '560' });
+  assert.equal(vimeo.videoData.video.src.url, 'https://vimeo.com/76979871');
+  assert.equal(tweet.embedData.oembed.providerName, 'Twitter');
+  assert.equal(tweet.embedData.src, 'https://twitter.com/x/status/123');
+  assert.deepEqual({ url: frame.htmlData.url, source: frame.htmlData.source }, { url: 'https://example.com/widget', source: 'HTML' });
+  assert.equal(video.videoData.thumbnail.src.url, 'https://example.com/p.png');
+  assert.equal(audio.audioData.audio.src.url, 'https://example.com/a.mp3');
+  assert.deepEqual(validateRicos(document, { strict: true }).errors, []);
+});
+
+test('keeps pre as a code block', () => {
+  const { nodes } = htmlToRicos('<pre class="language-js">  let a;\n  a = 1;\n</pre>', OPTIONS);
+  assert.equal(nodes[0].type, 'CODE_BLOCK');
+  assert.equal(nodes[0].nodes[0].textData.text, '  let a;\n  a = 1;');
+  assert.equal(nodes[0].codeBlockData.language, 'js');
+});
+
+test('reads code block languages and keeps inline code', () => {
+  const html = '<pre><code class="lang-python">def f():\n    return 1</code></pre><pre data-language="ruby">x</pre>' +
+    '<pre>a <b>b</b>\n  c</pre><p>Use <code>npm test</code> now</p>';
+  const { nodes } = htmlToRicos(html, OPTIONS);
+  const [python, ruby, plain, paragraph] = nodes;
+
+  assert.deepEqual(python.codeBlockData, { language: 'python' });
+  assert.equal(python.nodes[0].textData.text, 'def f():\n    return 1');
+  assert.deepEqual(ruby.codeBlockData, { language: 'ruby' });
+  assert.equal(plain.codeBlockData, undefined);
+  assert.equal(plain.nodes[0].textData.text, 'a b\n  c');
+  assert.deepEqual(paragraph.nodes[1].textData,
+    { text: 'npm test', decorations: [{ type: 'EXTERNAL', externalData: { type: 'CODE' } }] });
+  assert.equal(ricosToHtml([paragraph]), '<p>Use <code>npm test</code> now</p>');
+});
+
+test('collapses whitespace and keeps line breaks as soft breaks', () => {
+  const { nodes } = htmlToRicos('<p>\n  one\n  two<br>\n  three<br></p>', OPTIONS);
+  assert.equal(texts(nodes), 'one two|\n|three');
+});
+
+test('sequence ids are stable between runs', () => {
+  const html = '<h1>A</h1><p>B</p>';
+  assert.deepEqual(htmlToRicos(html, OPTIONS).nodes, htmlToRicos(html, OPTIONS).nodes);
+});
+
+test('converts Markdown', () => {
+  const { nodes } = markdownToRicos('# Title\n\nSome *text*', OPTIONS);
+  assert.equal(nodes[0].type, 'HEADING');
+  assert.equal(texts(nodes), 'Title| |Some |text');
+});
+
+test('output passes strict validation', () => {
+  const html = '<h1>T</h1><p>a <b>b</b></p><ul><li>x</li></ul><blockquote>q</blockquote>' +
+    '<table><tr><td>c</td></tr></table><img src="https://example.com/a.png"><hr><pre>code</pre>';
+  const document = htmlToRicos(html, OPTIONS);
+  assert.deepEqual(validateRicos(document, { strict: true }).errors, []);
+});
+
+test('custom rules convert their elements before the built-in rules', () => {
+  const { htmlToRicos: convert } = require('../src/converter').createConverter({
+    rules: [
+      {
+        selector: 'div.callout',
+        convert: (element, { convertInline }) => ({ type: 'BLOCKQUOTE', nodes: [{ type: 'PARAGRAPH', nodes: convertInline(element) }] })
+      },
+      {
+        tag: 'x-product',
+        attributes: ['sku'],
+        convert: element => ({ type: 'PARAGRAPH', nodes: [{ type: 'TEXT', textData: { text: `sku ${element.getAttribute('sku')}` } }] })
+      },
+      {
+        selector: 'span.tag',
+        context: 'inline',
+        convert: (element, { createTextNode, addDecoration, decorations }) =>
+          createTextNode(`#${element.textContent}`, addDecoration(decorations, { type: 'ITALIC' }))
+      },
+      {
+        tag: 'h2',
+        convert: (element, { convertInline }) =>
+          (element.getAttribute('class') === 'plain' ? { type: 'PARAGRAPH', nodes: convertInline(element) } : null)
+      },
+      { tag: 'aside', convert: () => [] }
+    ]
+  });
+  const html = '<div class="callout">Note <b>this</b></div><x-product sku="42"></x-product>' +
+    '<p><strong>see <span class="tag">news</span></strong></p><h2 class="plain">P</h2><h2>H</h2><aside>gone</aside>';
+  const document = convert(html, { ...OPTIONS, validate: 'strict' });
+
+  // The spacing policy puts a spacer before the heading
+  assert.deepEqual(document.nodes.map(node => node.type), ['BLOCKQUOTE', 'PARAGRAPH', 'PARAGRAPH', 'PARAGRAPH', 'PARAGRAPH', 'HEADING']);
+  assert.equal(texts(document.nodes), 'Note |this|sku 42|see |#news|P| |H');
+  assert.deepEqual(document.nodes[2].nodes[1].textData.decorations,
+    [{ type: 'BOLD', fontWeightValue: 700 }, { type: 'ITALIC' }]);
+  assert.ok(document.nodes.every(node => node.id));
+});
+
+test('custom rules need a convert function and something to match', () => {
+  const { createConverter } = require('../src/converter');
+  assert.throws(() => createConverter({ rules: [{ tag: 'p' }] }), /Conversion rule 0 needs a convert function/);
+  assert.throws(() => createConverter({ rules: [{ convert: () => null }] }), /Conversion rule 0 needs a tag, selector or match predicate/);
+});
+
+test('validate option throws RicosValidationError for invalid output', () => {
+  const converter = require('../src/converter').createConverter({
+    rules: [{ tag: 'p', convert: () => ({ type: 'MADE_UP', id: 'x' }) }]
+  });
+  assert.throws(() => converter.htmlToRicos('<p>x</p>', { validate: true }), RicosValidationError);
+});
+
+test('hash and sequence IDs make the whole document the same on every run', () => {
+  const html = '<h1>T</h1><p>x</p>';
+  for (const ids of ['hash', 'sequence']) {
+    assert.deepEqual(htmlToRicos(html, { ids }), htmlToRicos(html, { ids }), ids);
+  }
+
+  assert.deepEqual(htmlToRicos(html, { ids: 'sequence', idSeed: 'post' }).metadata, { version: 1, id: 'post-document' });
+  assert.notEqual(htmlToRicos(html, { ids: 'hash' }).metadata.id, htmlToRicos('<p>y</p>', { ids: 'hash' }).metadata.id);
+
+  const metadata = htmlToRicos(html).metadata;
+  assert.match(metadata.id, /^[0-9a-f-]{36}$/);
+  assert.equal(metadata.createdTimestamp, metadata.updatedTimestamp);
+});
+
+test('text does not repeat the documentStyle defaults', () => {
+  const html = '<style>body { color: #333333; line-height: 1.5 } h2 { color: navy } .red { color: red }</style>' +
+    '<h2>T</h2><p class="red">r <span style="color: #333333">b</span></p><blockquote>q</blockquote>';
+  const document = htmlToRicos(html, OPTIONS);
+  const color = value => ({ type: 'COLOR', colorData: { foreground: value } });
+
+  assert.deepEqual(document.documentStyle.paragraph, { decorations: [color('#333333')], lineHeight: '1.5' });
+  assert.deepEqual(document.documentStyle.headerTwo.decorations, [color('#000080')]);
+
+  const [heading, , paragraph, quote] = document.nodes;
+  assert.equal(heading.nodes[0].textData.decorations, undefined);
+  assert.deepEqual(paragraph.nodes[0].textData.decorations, [color('#ff0000')]);
+  assert.equal(paragraph.nodes[1].textData.decorations, undefined);
+  assert.equal(paragraph.paragraphData.textStyle.lineHeight, undefined);
+  assert.equal(quote.nodes[0].nodes[0].textData.decorations, undefined);
+
+  // Without documentStyle the text keeps its colour
+  const plain = htmlToRicos(html, { ...OPTIONS, documentStyle: false });
+  assert.deepEqual(plain.nodes[2].nodes[1].textData.decorations, [color('#333333')]);
+});
+
+test('p rules do not become the default of paragraphs from other elements', () => {
+  const html = '<style>body { color: #333333 } p { color: red }</style><p>a</p><div>b</div><ul><li>c</li></ul>';
+  const document = htmlToRicos(html, OPTIONS);
+  const color = value => ({ type: 'COLOR', colorData: { foreground: value } });
+
+  assert.deepEqual(document.documentStyle.paragraph, { decorations: [color('#333333')] });
+  assert.deepEqual(document.nodes[0].nodes[0].textData.decorations, [color('#ff0000')]);
+  assert.equal(document.nodes[1].nodes[0].textData.decorations, undefined);
+  assert.equal(document.nodes[2].nodes[0].nodes[0].nodes[0].textData.decorations, undefined);
+});
+
+test('throws ConversionOptionsError for option values it cannot take', async () => {
+  const cases = [
+    [{ spacing: 'bogus' }, 'spacing', 'Unknown spacing mode "bogus", expected one of: paragraphs, padding, none'],
+    [{ ids: 'bogus' }, 'ids', /^Unknown id strategy "bogus"/],
+    [{ source: null }, 'source', /^Unknown source null/],
+    [{ validate: 'strcit' }, 'validate', 'Unknown validate mode "strcit", expected one of: false, true, strict'],
+    [{ metadata: 'x' }, 'metadata', 'The metadata option must be an object'],
+    [null, 'options', 'Conversion options must be an object']
+  ];
+  for (const [options, option, message] of cases) {
+    assert.throws(() => htmlToRicos('<p>x</p>', options), { name: 'ConversionOptionsError', option, message });
+  }
+  await assert.rejects(htmlToRicosAsync('<p>x</p>', null), ConversionOptionsError);
+  await assert.rejects(htmlToRicosAsync('<p>x</p>', { validate: 'strcit' }), { name: 'ConversionOptionsError', option: 'validate' });
+});
+
+test('lifts blocks a list item cannot hold out of the list', () => {
+  const html = '<ul><li><h2>x</h2><img src="https://example.com/a.png"><table><tr><td>c</td></tr></table></li></ul>';
+  const document = htmlToRicos(html, OPTIONS);
+  assert.deepEqual(types(document.nodes),
+    ['BULLETED_LIST', 'LIST_ITEM', 'PARAGRAPH', 'IMAGE', 'TABLE', 'TABLE_ROW', 'TABLE_CELL', 'PARAGRAPH']);
+  assert.deepEqual(validateRicos(document, { strict: true }).errors, []);
+});
+
+test('drops lists without items', () => {
+  const html = '<p>a</p><ul></ul><ol> </ol><ul><li>b<ul></ul></li></ul>';
+  const document = htmlToRicos(html, { ...OPTIONS, report: true });
+  assert.deepEqual(types(document.nodes), ['PARAGRAPH', 'BULLETED_LIST', 'LIST_ITEM', 'PARAGRAPH']);
+  assert.deepEqual(document.report.droppedElements, [
+    { tag: 'ul', reason: 'list without items', count: 2, snippet: '<ul>' },
+    { tag: 'ol', reason: 'list without items', count: 1, snippet: '<ol>' }
+  ]);
+  assert.deepEqual(validateRicos(document, { strict: true }).errors, []);
+});
+
+test('continues the numbering of an ordered list split by a lifted block', () => {
+  const html = '<ol start="3"><li>a</li><li>b<img src="https://example.com/a.png">c</li><li>d</li></ol>';
+  const { nodes } = htmlToRicos(html, OPTIONS);
+  assert.deepEqual(nodes.map(node => node.type), ['ORDERED_LIST', 'IMAGE', 'ORDERED_LIST']);
+  assert.equal(nodes[0].orderedListData.start, 3);
+  assert.equal(nodes[2].orderedListData.start, 4);
+  assert.equal(texts(nodes), 'a|b|c|d');
+});
+
+test('splits quotes around lists and turns their headings into paragraphs', () => {
+  const document = htmlToRicos('<blockquote><ul><li>x</li></ul><h2>h</h2><blockquote><p>inner</p></blockquote></blockquote>', OPTIONS);
+  assert.deepEqual(types(document.nodes),
+    ['BULLETED_LIST', 'LIST_ITEM', 'PARAGRAPH', 'BLOCKQUOTE', 'PARAGRAPH', 'PARAGRAPH']);
+  assert.equal(texts(document.nodes), 'x|h|inner');
+  assert.deepEqual(validateRicos(document, { strict: true }).errors, []);
+});
+
+test('unwraps a table nested in a table cell', () => {
+  const document = htmlToRicos('<table><tr><td><table><tr><td>in</td><td>two</td></tr></table></td></tr></table>', OPTIONS);
+  assert.deepEqual(types(document.nodes), ['TABLE', 'TABLE_ROW', 'TABLE_CELL', 'PARAGRAPH', 'PARAGRAPH']);
+  assert.deepEqual(validateRicos(document, { strict: true }).errors, []);
+});
+
+test('converts task lists to bulleted lists with ballot boxes', () => {
+  const document = markdownToRicos('- [ ] open\n- [x] done\n', OPTIONS);
+  assert.deepEqual(types(document.nodes),
+    ['BULLETED_LIST', 'LIST_ITEM', 'PARAGRAPH', 'LIST_ITEM', 'PARAGRAPH']);
+  assert.equal(texts(document.nodes), '☐| open|☑| done');
+  assert.deepEqual(validateRicos(document, { strict: true }).errors, []);
+});
+
+test('rebuilds Word lists from their mso-list levels', () => {
+  const marker = text => `<![if !supportLists]><span style="mso-list:Ignore">${text}<span>&nbsp;&nbsp; </span></span><![endif]>`;
+  const html = '<html xmlns:o="urn:schemas-microsoft-com:office:office"><body>' +
+    '<p class="MsoNormal" style="margin-bottom:12pt;font-family:Calibri;mso-fareast-font-family:Calibri">Intro<o:p></o:p></p>' +
+    `<p class="MsoListParagraphCxSpFirst" style="mso-list:l0 level1 lfo1">${marker('1.')}One</p>` +
+    `<p class="MsoListParagraphCxSpMiddle" style="mso-list:l0 level2 lfo1">${marker('a.')}Nested</p>` +
+    `<p class="MsoListParagraphCxSpLast" style="mso-list:l0 level1 lfo1">${marker('2.')}Two</p>` +
+    `<p class="MsoListParagraph" style="mso-list:l1 level1 lfo2">${marker('·')}Bullet</p>` +
+    '</body></html>';
+  const document = htmlToRicos(html, { ...OPTIONS, report: true });
+  const [intro, ordered, bulleted] = document.nodes;
+
+  assert.equal(document.report.source, 'word');
+  assert.deepEqual(intro.nodes, [{ type: 'TEXT', id: '', textData: { text: 'Intro' } }]);
+  assert.equal(intro.paragraphData, undefined);
+  assert.deepEqual(types([ordered]), ['ORDERED_LIST', 'LIST_ITEM', 'PARAGRAPH', 'ORDERED_LIST', 'LIST_ITEM', 'PARAGRAPH', 'LIST_ITEM', 'PARAGRAPH']);
+  assert.deepEqual(ordered.nodes[0].nodes[1].orderedListData, { indentation: 1, listStyleType: 'lower-alpha' });
+  assert.equal(texts([ordered]), 'One|Nested|Two');
+  assert.deepEqual(types([bulleted]), ['BULLETED_LIST', 'LIST_ITEM', 'PARAGRAPH']);
+  assert.equal(texts([bulleted]), 'Bullet');
+  assert.deepEqual(validateRicos(document, { strict: true }).errors, []);
+});
+
+test('cleans up Google Docs clipboard HTML', () => {
+  const span = (style, text) => `<span style="font-family:Arial;white-space:pre-wrap;${style}">${text}</span>`;
+  const html = '<meta charset="utf-8"><b style="font-weight:normal;" id="docs-internal-guid-1234-abcd">' +
+    '<p dir="ltr" style="line-height:1.38;margin-top:0pt;margin-bottom:0pt;">' +
+    span('font-size:11pt;color:#000000;background-color:transparent;font-weight:400;font-style:normal;', 'Plain  text ') +
+    span('font-size:11pt;color:#000000;font-weight:700;', 'bold') +
+    span('font-size:14pt;color:#ff0000;font-style:italic;', 'red') +
+    '</p></b>';
+  const document = htmlToRicos(html, { ...OPTIONS, report: true });
+  const [plain, bold, red] = document.nodes[0].nodes;
+
+  assert.equal(document.report.source, 'google-docs');
+  assert.deepEqual(plain.textData, { text: 'Plain  text ' });
+  assert.deepEqual(bold.textData.decorations, [{ type: 'BOLD', fontWeightValue: 700 }]);
+  assert.deepEqual(red.textData.decorations, [
+    { type: 'COLOR', colorData: { foreground: '#ff0000' } },
+    { type: 'ITALIC' },
+    { type: 'FONT_SIZE', fontSizeData: { unit: 'PX', value: 19 } }
+  ]);
+
+  // Without cleanup the Docs defaults stay on the text
+  const raw = htmlToRicos(html, { ...OPTIONS, source: 'none' });
+  assert.deepEqual(raw.nodes[0].nodes[0].textData.decorations.map(decoration => decoration.type), ['COLOR', 'FONT_SIZE']);
+});
+
+test('detectDirection gives text without a dir the direction of its language or first letter', () => {
+  const html = '<div lang="he"><p>Hello</p></div><p>مرحبا world</p><p>Hello עולם</p><p dir="ltr">שלום</p>' +
+    '<h2 lang="ar-EG">T</h2><p dir="auto">  123 שלום</p><ul dir="rtl"><li>x</li></ul><p>123</p>';
+
+  // The textDirection of every paragraph and heading but spacers, '-' for none
+  const directions = nodes => nodes.flatMap(node => {
+    if ((node.type === 'PARAGRAPH' || node.type === 'HEADING') && node.nodes[0].textData.text !== ' ') {
+      const textStyle = (node.paragraphData || node.headingData || {}).textStyle;
+      return [(textStyle && textStyle.textDirection) || '-'];
+    }
+    return directions(node.nodes || []);
+  });
+
+  assert.deepEqual(directions(htmlToRicos(html, { ...OPTIONS, detectDirection: true }).nodes),
+    ['RTL', 'RTL', 'LTR', 'LTR', 'RTL', 'RTL', 'RTL', '-']);
+  assert.deepEqual(directions(htmlToRicos(html, OPTIONS).nodes),
+    ['-', '-', '-', 'LTR', '-', 'RTL', 'RTL', '-']);
+});
+
+test('puts bidi controls into the text of the element they wrap', () => {
+  const html = '<p>User <bdi>إيان</bdi> wrote <b><bdo dir="rtl">abc</bdo></b> <span dir="rtl">x <i>y</i></span></p>';
+  const paragraph = htmlToRicos(html, OPTIONS).nodes[0];
+
+  assert.equal(texts([paragraph]), 'User |\u2068إيان\u2069| wrote |\u202eabc\u202c| |\u2067x |y\u2069');
+  assert.deepEqual(paragraph.nodes[3].textData.decorations, [{ type: 'BOLD', fontWeightValue: 700 }]);
+});
+
+test('reports removed, flattened and ignored content', () => {
+  const html = '<section><nav><p>a</p></nav><font color="red">b</font></section><script>alert(1)</script>' +
+    '<a href="javascript:alert(1)" onclick="x()">c</a><p style="box-shadow: 1px 1px red">d</p>' +
+    '<img src="https://example.com/a.png"><dl><dt>t</dt><dd>e</dd></dl>';
+  const { report } = htmlToRicos(html, { ...OPTIONS, report: true });
+
+  assert.equal(report.source, null);
+  assert.deepEqual(report.removedTags, [{ tag: 'script', count: 1, snippet: '<script>alert(1)' }]);
+  assert.deepEqual(report.removedAttributes.map(({ attribute, reason }) => `${attribute}: ${reason}`),
+    ['href: javascript: URLs are not allowed', 'onclick: not allowed']);
+  assert.deepEqual(report.flattenedElements.map(({ tag, result }) => `${tag} ${result}`),
+    ['section content', 'nav content', 'font content', 'dl content', 'dt content', 'dd content']);
+  assert.deepEqual(report.ignoredStyles, [{ property: 'box-shadow', count: 1, snippet: '<p style="box-shadow:1px 1px red">d' }]);
+  assert.deepEqual(report.imagesWithoutDimensions,
+    [{ src: 'https://example.com/a.png', snippet: '<img src="https://example.com/a.png">' }]);
+});
+
+test('drops images without a source and reports them', () => {
+  const html = '<p>a <img src="javascript:alert(1)"> b</p>' +
+    '<figure><img src=""><figcaption>caption</figcaption></figure>' +
+    '<div class="gallery"><img alt="x"><img src="https://example.com/b.png"></div>';
+  const document = htmlToRicos(html, { ...OPTIONS, report: true });
+
+  assert.deepEqual(types(document.nodes), ['PARAGRAPH', 'PARAGRAPH', 'GALLERY']);
+  assert.equal(texts(document.nodes), 'a |b|caption');
+  assert.equal(document.nodes[2].galleryData.items.length, 1);
+  assert.deepEqual(document.report.droppedElements,
+    [{ tag: 'img', reason: 'image without a source', count: 3, snippet: '<img>' }]);
+  assert.deepEqual(validateRicos(document, { strict: true }).errors, []);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { docxToHtml, DocxError } = require('../src/docx');
+const { docxToRicos, validateRicos } = require('../src/converter');
+
+/**
+ * Read a file from test/fixtures
+ * @param {string} name - The file name
+ * @returns {Buffer} The file content
+ */
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name));
+}
+
+test('converts headings, formatting, links and notes to HTML', () => {
+  const html = docxToHtml(fixture('sample.docx'));
+  assert.match(html, /<h1>Overview<\/h1>/);
+  assert.match(html, /<strong>bold<\/strong>/);
+  assert.match(html, /<a href="https:\/\/example.com\/"><u>our site<\/u><\/a>/);
+  assert.match(html, /<hr><ol><li><p> Source: annual <em>survey<\/em><\/p><\/li><\/ol>$/);
+});
+
+test('rebuilds lists from the numbering and continues them after interruptions', () => {
+  const html = docxToHtml(fixture('sample.docx'));
+  assert.match(html, /<ul><li>First bullet<ul><li>Nested bullet<\/li><\/ul><\/li><li>Second bullet<\/li><\/ul>/);
+  assert.match(html, /<p>Interruption<\/p><ol start="3" type="a"><li>Step three<\/li><\/ol>/);
+});
+
+test('embeds images as data URLs and keeps merged table cells', () => {
+  const html = docxToHtml(fixture('sample.docx'));
+  assert.match(html, /<img src="data:image\/png;base64,[^"]+" alt="A chart" width="200" height="100">/);
+  assert.match(html, /<th colspan="2"><p>Values<\/p><\/th>/);
+  assert.match(html, /<td rowspan="2"><p>Merged<\/p><\/td>/);
+});
+
+test('converts a .docx file to valid Ricos', () => {
+  const document = docxToRicos(fixture('sample.docx'), { ids: 'sequence' });
+  assert.deepEqual(validateRicos(document, { strict: true }).errors, []);
+  assert.ok(document.nodes.some(node => node.type === 'TABLE'));
+  assert.ok(document.nodes.some(node => node.type === 'IMAGE'));
+});
+
+test('keeps right-to-left paragraphs and bidi runs', () => {
+  const html = docxToHtml(fixture('rtl.docx'));
+  assert.match(html, /<p dir="rtl">/);
+  assert.match(html, /<bdo dir="rtl">abc<\/bdo>/);
+});
+
+test('throws DocxError for files that are not .docx documents', () => {
+  assert.throws(() => docxToHtml(Buffer.from('not a zip')), DocxError);
+});
+
+test('throws DocxError for an image that cannot be read', () => {
+  assert.throws(() => docxToHtml(fixture('corrupt-image.docx')), {
+    name: 'DocxError',
+    message: 'Invalid .docx file: Corrupt ZIP entry word/media/image1.png'
+  });
+});
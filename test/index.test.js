@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const app = require('../src/index');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+/**
+ * POST a JSON body to the API
+ * @param {string} path - The route
+ * @param {Object} body - The request body
+ * @returns {Promise<Object>} { status, body } with the parsed JSON response
+ */
+async function post(path, body) {
+  const response = await fetch(baseUrl + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('POST /validate accepts a valid document', async () => {
+  const ricos = {
+    nodes: [{ type: 'PARAGRAPH', id: 'a', nodes: [{ type: 'TEXT', id: '', nodes: [], textData: { text: 'Hi', decorations: [] } }] }]
+  };
+  const { status, body } = await post('/validate', { ricos });
+  assert.equal(status, 200);
+  assert.deepEqual(body, { valid: true, errors: [] });
+});
+
+test('POST /validate lists the errors of an invalid document', async () => {
+  const ricos = { nodes: [{ type: 'TEXT', id: 'a', nodes: [], textData: { text: 'Hi', decorations: [] } }] };
+  const { status, body } = await post('/validate', ricos);
+  assert.equal(status, 200);
+  assert.equal(body.valid, false);
+  assert.equal(body.errors[0].path, '$.nodes[0]');
+});
+
+test('POST /validate requires a document', async () => {
+  const { status, body } = await post('/validate', {});
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Ricos content is required');
+});
+
+test('POST /convert returns Ricos for HTML', async () => {
+  const { status, body } = await post('/convert', { html: '<p>Hello</p>', options: { ids: 'sequence' } });
+  assert.equal(status, 200);
+  assert.equal(body.nodes[0].type, 'PARAGRAPH');
+  assert.equal(body.nodes[0].nodes[0].textData.text, 'Hello');
+});
+
+test('POST /convert requires content', async () => {
+  const { status } = await post('/convert', {});
+  assert.equal(status, 400);
+});
+
+test('POST /convert?report=true adds a report', async () => {
+  const html = '<section><p>Hello</p></section><script>alert(1)</script>';
+  const { status, body } = await post('/convert?report=true', { html, options: { ids: 'sequence' } });
+  assert.equal(status, 200);
+  assert.deepEqual(body.report.removedTags, [{ tag: 'script', count: 1, snippet: '<script>alert(1)' }]);
+  assert.deepEqual(body.report.flattenedElements, [{ tag: 'section', result: 'content', count: 1, snippet: '<section>Hello' }]);
+
+  const plain = await post('/convert', { html, options: { ids: 'sequence' } });
+  assert.equal(plain.body.report, undefined);
+});
+
+test('POST /convert answers 400 for an unknown option value', async () => {
+  const { status, body } = await post('/convert', { html: '<p>Hello</p>', options: { spacing: 'bogus' } });
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Invalid options');
+  assert.match(body.message, /^Unknown spacing mode "bogus"/);
+});
+
+test('POST /convert/ricos-to-html skips nodes that are null', async () => {
+  const ricos = { nodes: [null, { type: 'PARAGRAPH', id: 'a', nodes: [null] }] };
+  const { status, body } = await post('/convert/ricos-to-html', { ricos });
+  assert.equal(status, 200);
+  assert.equal(body.html, '<p></p>');
+});
+
+test('POST /convert/docx converts an uploaded document', async () => {
+  const form = new FormData();
+  form.append('file', new Blob([fs.readFileSync(path.join(__dirname, 'fixtures', 'sample.docx'))]), 'sample.docx');
+  const response = await fetch(`${baseUrl}/convert/docx`, { method: 'POST', body: form });
+  const body = await response.json();
+  assert.equal(response.status, 200);
+  assert.equal(body.nodes[0].type, 'HEADING');
+});
+
+test('POST /convert/docx answers 400 for an unknown option value', async () => {
+  const form = new FormData();
+  form.append('file', new Blob([fs.readFileSync(path.join(__dirname, 'fixtures', 'sample.docx'))]), 'sample.docx');
+  form.append('options', JSON.stringify({ spacing: 'bogus' }));
+  const response = await fetch(`${baseUrl}/convert/docx`, { method: 'POST', body: form });
+  const body = await response.json();
+  assert.equal(response.status, 400);
+  assert.equal(body.error, 'Invalid options');
+});
+
+test('POST /convert/docx answers 400 for a document with a corrupt image', async () => {
+  const form = new FormData();
+  form.append('file', new Blob([fs.readFileSync(path.join(__dirname, 'fixtures', 'corrupt-image.docx'))]), 'corrupt.docx');
+  const response = await fetch(`${baseUrl}/convert/docx`, { method: 'POST', body: form });
+  const body = await response.json();
+  assert.equal(response.status, 400);
+  assert.equal(body.error, 'Invalid .docx file');
+});
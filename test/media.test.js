@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createLocalUploader } = require('../src/media');
+
+// A 1x1 PNG header, enough for the size to be read
+const PNG = Buffer.from('89504e470d0a1a0a0000000d4948445200000001000000010806000000', 'hex');
+
+let server;
+let baseUrl;
+let directory;
+
+before(async () => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ricos-media-test-'));
+  server = http.createServer((req, res) => {
+    if (req.url === '/image.png') {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(PNG);
+    } else if (req.url === '/redirect') {
+      res.writeHead(302, { Location: '/image.png' });
+      res.end();
+    } else if (req.url === '/page.png') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<script>alert(1)</script>');
+    } else if (req.url === '/untyped.png') {
+      res.writeHead(200);
+      res.end(PNG);
+    } else if (req.url === '/large') {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.write(Buffer.alloc(64));
+      res.end(Buffer.alloc(64));
+    }
+    // Any other path never answers
+  });
+  server.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('downloads media and reads its size', async () => {
+  const upload = createLocalUploader({ directory, allowPrivateHosts: true });
+  const result = await upload({ url: `${baseUrl}/redirect` });
+  assert.equal(result.width, 1);
+  assert.equal(result.height, 1);
+  assert.match(result.url, /^file:.*\.png$/);
+});
+
+test('refuses loopback and private addresses', async () => {
+  const upload = createLocalUploader({ directory });
+  const urls = [
+    `${baseUrl}/image.png`,
+    'http://10.0.0.1/image.png',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]/image.png',
+    'http://[::ffff:127.0.0.1]/image.png'
+  ];
+  for (const url of urls) {
+    await assert.rejects(upload({ url }), /is a private address/, url);
+  }
+});
+
+test('refuses host names that resolve to a private address', async () => {
+  const upload = createLocalUploader({ directory });
+  const url = `http://localhost:${server.address().port}/image.png`;
+  await assert.rejects(upload({ url }), /localhost resolves to the private address/);
+});
+
+test('refuses URLs that are not HTTP', async () => {
+  const upload = createLocalUploader({ directory });
+  await assert.rejects(upload({ url: 'file:///etc/passwd' }), /only HTTP and HTTPS URLs/);
+});
+
+test('stops downloads larger than the limit', async () => {
+  const upload = createLocalUploader({ directory, allowPrivateHosts: true, maxSize: 100 });
+  await assert.rejects(upload({ url: `${baseUrl}/large` }), /is larger than 100 bytes/);
+});
+
+test('stops downloads that take too long', async () => {
+  const upload = createLocalUploader({ directory, allowPrivateHosts: true, timeout: 100 });
+  await assert.rejects(upload({ url: `${baseUrl}/slow` }), /timed out after 100 ms/);
+});
+
+test('stores only image and video types, whatever the URL says', async () => {
+  const upload = createLocalUploader({ directory, allowPrivateHosts: true });
+  await assert.rejects(upload({ url: `${baseUrl}/page.png` }), /Cannot store media of type text\/html: only image\/png/);
+  await assert.rejects(upload({ url: `${baseUrl}/untyped.png` }), /Cannot store media without a content type/);
+  await assert.rejects(upload({ url: 'data:text/html,x', data: Buffer.from('x'), mimeType: 'text/html' }), /type text\/html/);
+  assert.deepEqual(fs.readdirSync(directory).filter(name => !name.endsWith('.png')), []);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { htmlToRicos } = require('../src/converter');
+const { ricosToHtml } = require('../src/ricosToHtml');
+
+const OPTIONS = { ids: 'sequence' };
+
+/**
+ * Build a paragraph holding one linked text
+ * @param {string} url - The link URL
+ * @returns {Object} A Ricos PARAGRAPH node
+ */
+function linkParagraph(url) {
+  return {
+    type: 'PARAGRAPH',
+    id: 'p',
+    nodes: [{
+      type: 'TEXT',
+      id: '',
+      textData: { text: 'link', decorations: [{ type: 'LINK', linkData: { link: { url } } }] }
+    }]
+  };
+}
+
+test('HTML rendered from Ricos converts back to the same Ricos', () => {
+  const html = '<h2>Title</h2>' +
+    '<p>Some <strong>bold</strong>, <em>italic</em> and <a href="https://example.com/">linked</a> text.</p>' +
+    '<ul><li>one</li><li>two<ol><li>nested</li></ol></li></ul>' +
+    '<blockquote><p>quoted</p><p>twice</p></blockquote>' +
+    '<table><tr><td>a</td><td><p>b</p><p>c</p></td></tr></table>' +
+    '<pre><code>let x = 1;</code></pre><hr>' +
+    '<p style="text-align: center"><a href="mailto:a@example.com">mail</a></p>';
+  const ricos = htmlToRicos(html, OPTIONS);
+
+  assert.deepEqual(htmlToRicos(ricosToHtml(ricos), OPTIONS).nodes, ricos.nodes);
+});
+
+test('keeps links to http, https, mailto and relative URLs', () => {
+  for (const url of ['https://example.com/', 'http://example.com/', 'mailto:a@example.com', '/about', '#top', 'page.html']) {
+    assert.equal(ricosToHtml([linkParagraph(url)]), `<p><a href="${url}">link</a></p>`, url);
+  }
+});
+
+test('drops links with a scheme that can run script', () => {
+  for (const url of ['javascript:alert(1)', ' JavaScript:alert(1)', 'java\tscript:alert(1)', 'data:text/html,<script>', 'vbscript:x']) {
+    assert.equal(ricosToHtml([linkParagraph(url)]), '<p>link</p>', url);
+  }
+});
+
+test('skips entries of nodes that are not nodes', () => {
+  const ricos = {
+    nodes: [
+      null,
+      { type: 'PARAGRAPH', id: 'p', nodes: [null] },
+      { type: 'PARAGRAPH', id: 'q', nodes: [{ type: 'TEXT', id: '', textData: { text: 'x' } }, 5] },
+      { type: 'BULLETED_LIST', id: 'l', nodes: [null, { type: 'LIST_ITEM', id: 'i', nodes: [null] }] },
+      { type: 'TABLE', id: 't', nodes: [null, { type: 'TABLE_ROW', id: 'r', nodes: [null] }] },
+      { type: 'CODE_BLOCK', id: 'c', nodes: [null] },
+      'text'
+    ]
+  };
+
+  assert.equal(ricosToHtml(ricos), [
+    '<p></p>',
+    '<p>x</p>',
+    '<ul><li></li></ul>',
+    '<table><tbody><tr></tr></tbody></table>',
+    '<pre><code></code></pre>'
+  ].join('\n'));
+});
+
+test('renders the documentStyle as a style element that converts back', () => {
+  const html = '<style>body { color: #333333; line-height: 1.5 } h1 { color: red; font-style: italic }</style>' +
+    '<h1>T</h1><p>p</p><ul><li>i</li></ul>';
+  const ricos = htmlToRicos(html, OPTIONS);
+  const rendered = ricosToHtml(ricos);
+
+  assert.match(rendered, /^<style>body \{ color: #333333; line-height: 1\.5 \} h1 \{ color: #ff0000; font-style: italic; line-height: 1\.5 \}/);
+  const back = htmlToRicos(rendered, OPTIONS);
+  assert.deepEqual(back.documentStyle, ricos.documentStyle);
+  assert.deepEqual(back.nodes, ricos.nodes);
+});
+
+test('drops documentStyle values that could end the style element', () => {
+  const documentStyle = {
+    paragraph: { decorations: [{ type: 'COLOR', colorData: { foreground: 'red }</style><script>x</script>' } }] },
+    headerOne: { decorations: [{ type: 'BOLD' }], lineHeight: 2 }
+  };
+  assert.equal(ricosToHtml({ nodes: [], documentStyle }), '<style>h1 { font-weight: bold; line-height: 2 }</style>');
+});
+
+test('keeps the line height of paragraphs and headings', () => {
+  const html = '<p style="line-height:2">x</p><h2 style="line-height: 150%">y</h2>' +
+    '<ul><li><p style="line-height: 2">z</p></li></ul><table><tr><td><p style="line-height: 3">c</p></td></tr></table>';
+  const ricos = htmlToRicos(html, OPTIONS);
+  const rendered = ricosToHtml(ricos);
+
+  assert.match(rendered, /^<p style="line-height: 2">x<\/p>\n<h2 style="line-height: 1\.5">y<\/h2>/);
+  assert.deepEqual(htmlToRicos(rendered, OPTIONS).nodes, ricos.nodes);
+});
+
+test('ignores text styles that are not strings', () => {
+  const paragraph = (textStyle, text = 'x') => ({
+    type: 'PARAGRAPH',
+    id: 'p',
+    nodes: [{ type: 'TEXT', id: '', textData: { text } }],
+    paragraphData: { textStyle }
+  });
+  const ricos = [
+    paragraph({ textAlignment: 5, textDirection: { value: 'RTL' }, lineHeight: ['2'] }),
+    {
+      type: 'TABLE',
+      id: 't',
+      nodes: [{
+        type: 'TABLE_ROW',
+        id: 'r',
+        nodes: [{ type: 'TABLE_CELL', id: 'c', nodes: [paragraph({ textAlignment: true })], cellData: { cellStyle: { verticalAlignment: 1 } } }]
+      }]
+    }
+  ];
+
+  assert.equal(ricosToHtml(ricos), '<p>x</p>\n<table><tbody><tr><td>x</td></tr></tbody></table>');
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveStylesheets } = require('../src/stylesheet');
+const { parseStylesheet } = require('../src/css');
+
+/**
+ * Resolve a document and return its body HTML
+ * @param {string} html - The HTML document
+ * @returns {string} The body of the resolved HTML
+ */
+function resolvedBody(html) {
+  return resolveStylesheets(html).html.match(/<body>([\s\S]*)<\/body>/)[1];
+}
+
+test('parses style rules and screen media rules, leaving out other at-rules', () => {
+  const rules = parseStylesheet('<!-- @import url(a.css); @font-face { font-family: X } p, li { color: red !important } ' +
+    '@media screen { h1 { color: blue } } @page x { size: 1in } -->');
+  assert.deepEqual(rules, [
+    { selector: 'p, li', declarations: [{ property: 'color', value: 'red', important: true }] },
+    { media: 'screen', rules: [{ selector: 'h1', declarations: [{ property: 'color', value: 'blue', important: false }] }] }
+  ]);
+});
+
+test('applies rules with combinators by specificity and source order', () => {
+  const body = resolvedBody('<style>div > p { color: red } div p { font-weight: bold } p ~ p { font-style: italic } ' +
+    '.a.b { color: green }</style><div><p>a</p><section><p>b</p></section><p class="a b">c</p></div>');
+  assert.equal(body, '<div><p style="color: red; font-weight: bold">a</p><section><p style="font-weight: bold">b</p></section>' +
+    '<p class="a b" style="color: green; font-weight: bold; font-style: italic">c</p></div>');
+});
+
+test('matches structural, negation and attribute pseudo-classes', () => {
+  const body = resolvedBody('<style>li:first-child { color: red } li:nth-child(2n+1):not(.x) { font-weight: bold } ' +
+    'a[href$=".pdf"] { color: green } li:hover { color: blue }</style><ul><li>1</li><li>2</li><li class="x">3</li></ul>' +
+    '<p><a href="a.pdf">pdf</a></p>');
+  assert.equal(body, '<ul><li style="color: red; font-weight: bold">1</li><li>2</li><li class="x">3</li></ul>' +
+    '<p><a href="a.pdf" style="color: green">pdf</a></p>');
+});
+
+test('ignores print media and keeps inline styles over stylesheet rules', () => {
+  const body = resolvedBody('<style>@media print { p { color: black } } p { color: red; font-size: 2em }</style>' +
+    '<p style="color: blue">x &amp; &lt;y&gt;&nbsp;z</p>');
+  assert.equal(body, '<p style="color: blue; font-size: 32px">x &amp; &lt;y&gt;&nbsp;z</p>');
+});
+
+test('computes base styles from body styles and tag rules', () => {
+  const { html, baseStyles } = resolveStylesheets('<html><body style="color: #222; font-size: 18px">' +
+    '<style>h1 { color: navy }</style><p>x</p></body></html>');
+  assert.deepEqual(baseStyles.p, 'color: #222; font-size: 18px');
+  assert.deepEqual(baseStyles.h1, 'color: navy');
+  assert.match(html, /<p style="color: #222; font-size: 18px">x<\/p>/);
+});
+
+test('keeps p rules out of the paragraph base style', () => {
+  const { html, baseStyles } = resolveStylesheets('<style>body { color: #222 } p { color: red }</style><p>x</p>');
+  assert.equal(baseStyles.p, 'color: #222');
+  assert.match(html, /<p style="color: red">x<\/p>/);
+});
+
+test('leaves documents without stylesheets unchanged', () => {
+  const html = '<p class="a">x</p>';
+  assert.deepEqual(resolveStylesheets(html), { html, baseStyles: {} });
+});
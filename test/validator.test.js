@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRicos } = require('../src/validator');
+
+/**
+ * Build a paragraph node holding one text node
+ * @param {string} text - The text
+ * @param {string} [id='p1'] - The node ID
+ * @returns {Object} A Ricos paragraph node
+ */
+function paragraph(text, id = 'p1') {
+  return { type: 'PARAGRAPH', id, nodes: [{ type: 'TEXT', id: '', textData: { text } }] };
+}
+
+test('accepts a minimal document', () => {
+  const result = validateRicos({ nodes: [paragraph('Hello')] }, { strict: true });
+  assert.deepEqual(result, { valid: true, errors: [] });
+});
+
+test('requires a nodes array', () => {
+  const result = validateRicos({});
+  assert.equal(result.valid, false);
+  assert.equal(result.errors[0].path, '$.nodes');
+});
+
+test('rejects unknown node types', () => {
+  const result = validateRicos({ nodes: [{ type: 'MADE_UP', id: 'x' }] });
+  assert.equal(result.valid, false);
+  assert.match(result.errors[0].message, /unknown node type "MADE_UP"/);
+});
+
+test('rejects list types the Ricos schema does not define', () => {
+  const result = validateRicos({ nodes: [{ type: 'CHECKBOX_LIST', id: 'x', nodes: [] }] });
+  assert.deepEqual(result.errors, [{ path: '$.nodes[0]', message: 'unknown node type "CHECKBOX_LIST"' }]);
+});
+
+test('rejects children the parent cannot hold', () => {
+  const result = validateRicos({
+    nodes: [{ type: 'BLOCKQUOTE', id: 'q', nodes: [{ type: 'HEADING', id: 'h', headingData: { level: 2 }, nodes: [] }] }]
+  });
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors[0], { path: '$.nodes[0].nodes[0]', message: 'HEADING is not allowed inside BLOCKQUOTE' });
+});
+
+test('rejects text at the document root', () => {
+  const result = validateRicos({ nodes: [{ type: 'TEXT', id: '', textData: { text: 'x' } }] });
+  assert.match(result.errors[0].message, /TEXT is not allowed inside the document root/);
+});
+
+test('checks heading levels and image sources', () => {
+  const result = validateRicos({
+    nodes: [
+      { type: 'HEADING', id: 'h', headingData: { level: 7 }, nodes: [] },
+      { type: 'IMAGE', id: 'i', imageData: { image: { src: { url: '' } } } }
+    ]
+  });
+  assert.deepEqual(result.errors.map(error => error.path), [
+    '$.nodes[0].headingData.level',
+    '$.nodes[1].imageData.image.src'
+  ]);
+});
+
+test('strict mode checks ids, decorations and empty containers', () => {
+  const document = {
+    nodes: [
+      paragraph('a', 'same'),
+      paragraph('b', 'same'),
+      { type: 'BULLETED_LIST', id: 'l', nodes: [] },
+      {
+        type: 'PARAGRAPH',
+        id: 'd',
+        nodes: [{ type: 'TEXT', id: '', textData: { text: 'x', decorations: [{ type: 'SPARKLE' }] } }]
+      }
+    ]
+  };
+
+  assert.equal(validateRicos(document).valid, true);
+
+  const messages = validateRicos(document, { strict: true }).errors.map(error => error.message);
+  assert.deepEqual(messages, [
+    'duplicate id "same"',
+    'BULLETED_LIST must have child nodes',
+    'unknown decoration type "SPARKLE"'
+  ]);
+});
+
+test('strict mode requires list items to start with a paragraph', () => {
+  const result = validateRicos({
+    nodes: [{
+      type: 'BULLETED_LIST',
+      id: 'l',
+      nodes: [{ type: 'LIST_ITEM', id: 'i', nodes: [{ type: 'BULLETED_LIST', id: 'n', nodes: [] }] }]
+    }]
+  }, { strict: true });
+  assert.ok(result.errors.some(error => error.message === 'LIST_ITEM must start with a PARAGRAPH'));
+});
+
+test('checks metadata and documentStyle', () => {
+  const result = validateRicos({
+    nodes: [],
+    metadata: { version: '1', createdTimestamp: 'yesterday' },
+    documentStyle: { footer: {} }
+  });
+  assert.deepEqual(result.errors.map(error => error.path), [
+    '$.metadata.version',
+    '$.metadata.createdTimestamp',
+    '$.documentStyle.footer'
+  ]);
+});
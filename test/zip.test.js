@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { openZip } = require('../src/zip');
+
+/**
+ * Build a ZIP archive in memory. CRCs are left at 0, since the reader does
+ * not check them.
+ * @param {Array} files - Entries as { name, data, deflate, size }, where size
+ *   overrides the uncompressed size written to the central directory
+ * @returns {Buffer} The archive
+ */
+function createZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { name, data, deflate, size } of files) {
+    const nameBuffer = Buffer.from(name);
+    const content = deflate ? zlib.deflateRawSync(data) : data;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(content.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    localParts.push(local, nameBuffer, content);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(content.length, 20);
+    central.writeUInt32LE(size === undefined ? data.length : size, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + content.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+test('reads stored and deflated entries', () => {
+  const zip = openZip(createZip([
+    { name: 'a.txt', data: Buffer.from('stored') },
+    { name: 'b.txt', data: Buffer.from('deflated '.repeat(10)), deflate: true }
+  ]));
+  assert.deepEqual(zip.names, ['a.txt', 'b.txt']);
+  assert.equal(zip.read('a.txt').toString(), 'stored');
+  assert.equal(zip.read('b.txt').toString(), 'deflated '.repeat(10));
+  assert.equal(zip.read('missing.txt'), null);
+});
+
+test('rejects buffers that are not ZIP archives', () => {
+  assert.throws(() => openZip(Buffer.from('not a zip archive at all')), /Not a ZIP archive/);
+});
+
+test('stops inflating at the total size limit, whatever size an entry declares', () => {
+  const data = Buffer.alloc(64 * 1024);
+  const zip = openZip(createZip([
+    { name: 'bomb.xml', data, deflate: true, size: 0xfffffff0 }
+  ]), { maxTotalSize: 1024 });
+  assert.throws(() => zip.read('bomb.xml'), /larger than 1024 bytes/);
+});
+
+test('counts every read against the total size limit', () => {
+  const data = Buffer.alloc(600);
+  const zip = openZip(createZip([
+    { name: 'a.xml', data, deflate: true },
+    { name: 'b.xml', data, deflate: true }
+  ]), { maxTotalSize: 1024 });
+  assert.equal(zip.read('a.xml').length, 600);
+  assert.throws(() => zip.read('b.xml'), /larger than 1024 bytes/);
+});
+
+test('rejects entries that inflate past their declared size', () => {
+  const zip = openZip(createZip([
+    { name: 'a.xml', data: Buffer.alloc(600), deflate: true, size: 10 }
+  ]));
+  assert.throws(() => zip.read('a.xml'), /Corrupt ZIP entry a.xml/);
+});